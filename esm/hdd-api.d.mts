@@ -0,0 +1,5 @@
+// Types for esm/hdd-api.mjs
+import HDDApi = require('../hdd-api.js');
+
+export { HDDApi };
+export default HDDApi;
@@ -0,0 +1,5 @@
+// ESM entry for hdd-api.js
+import HDDApi from '../hdd-api.js';
+
+export { HDDApi };
+export default HDDApi;
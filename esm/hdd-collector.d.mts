@@ -0,0 +1,5 @@
+// Types for esm/hdd-collector.mjs
+import HDDCollector = require('../hdd-collector.js');
+
+export { HDDCollector };
+export default HDDCollector;
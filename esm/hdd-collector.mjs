@@ -0,0 +1,5 @@
+// ESM entry for hdd-collector.js
+import HDDCollector from '../hdd-collector.js';
+
+export { HDDCollector };
+export default HDDCollector;
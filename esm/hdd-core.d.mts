@@ -0,0 +1,51 @@
+// Types for esm/hdd-core.mjs
+import HDD = require('../hdd-core.js');
+
+export import HDDValue = HDD.HDDValue;
+export import HDDContext = HDD.HDDContext;
+export import TimestampInput = HDD.TimestampInput;
+export import SignatureAlgorithm = HDD.SignatureAlgorithm;
+export import SignatureStatus = HDD.SignatureStatus;
+export import SignOptions = HDD.SignOptions;
+export import EncodeOptions = HDD.EncodeOptions;
+export import DecodeOptions = HDD.DecodeOptions;
+export import DecodedEvent = HDD.DecodedEvent;
+export import ContextEnvelope = HDD.ContextEnvelope;
+export import SchemaType = HDD.SchemaType;
+export import FieldSpec = HDD.FieldSpec;
+export import Schema = HDD.Schema;
+export import ValidationError = HDD.ValidationError;
+export import ValidationResult = HDD.ValidationResult;
+export import VersionCapabilities = HDD.VersionCapabilities;
+export import MigrationTransform = HDD.MigrationTransform;
+export import Logger = HDD.Logger;
+export import HDDErrorOptions = HDD.HDDErrorOptions;
+export import HDDError = HDD.HDDError;
+export import HDDEncodeError = HDD.HDDEncodeError;
+export import HDDDecodeError = HDD.HDDDecodeError;
+export import encode = HDD.encode;
+export import decode = HDD.decode;
+export import signEvent = HDD.signEvent;
+export import verifyEvent = HDD.verifyEvent;
+export import setClock = HDD.setClock;
+export import now = HDD.now;
+export import setLogger = HDD.setLogger;
+export import setStrictMode = HDD.setStrictMode;
+export import registerSchema = HDD.registerSchema;
+export import getSchema = HDD.getSchema;
+export import validateEvent = HDD.validateEvent;
+export import registerMigration = HDD.registerMigration;
+export import migrate = HDD.migrate;
+export import findMigrationPath = HDD.findMigrationPath;
+export import getVersionCapabilities = HDD.getVersionCapabilities;
+export import encodeBatch = HDD.encodeBatch;
+export import decodeBatch = HDD.decodeBatch;
+export import isBatch = HDD.isBatch;
+export import escapeField = HDD.escapeField;
+export import unescapeField = HDD.unescapeField;
+export import tokenize = HDD.tokenize;
+export import isContextEnvelope = HDD.isContextEnvelope;
+export import SEPARATOR = HDD.SEPARATOR;
+export import CURRENT_VERSION = HDD.CURRENT_VERSION;
+export import CONTEXT_ENVELOPE_THRESHOLD = HDD.CONTEXT_ENVELOPE_THRESHOLD;
+export default HDD;
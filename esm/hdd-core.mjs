@@ -0,0 +1,13 @@
+// ESM entry for hdd-core.js
+import HDD from '../hdd-core.js';
+
+export const {
+    encode, decode, signEvent, verifyEvent, setClock, now,
+    setLogger, setStrictMode, HDDError, HDDEncodeError, HDDDecodeError,
+    registerSchema, getSchema, validateEvent,
+    registerMigration, migrate, findMigrationPath, getVersionCapabilities,
+    encodeBatch, decodeBatch, isBatch,
+    escapeField, unescapeField, tokenize, isContextEnvelope,
+    SEPARATOR, CURRENT_VERSION, CONTEXT_ENVELOPE_THRESHOLD
+} = HDD;
+export default HDD;
@@ -0,0 +1,27 @@
+// Types for esm/hdd-interop.mjs
+import HDDInterop = require('../hdd-interop.js');
+
+export import Format = HDDInterop.Format;
+export import Warning = HDDInterop.Warning;
+export import ExportResult = HDDInterop.ExportResult;
+export import ImportResult = HDDInterop.ImportResult;
+export import HDDInput = HDDInterop.HDDInput;
+export import CSVOptions = HDDInterop.CSVOptions;
+export import CloudEvent = HDDInterop.CloudEvent;
+export import CloudEventsOptions = HDDInterop.CloudEventsOptions;
+export import OTLPAnyValue = HDDInterop.OTLPAnyValue;
+export import OTLPKeyValue = HDDInterop.OTLPKeyValue;
+export import OTLPLogRecord = HDDInterop.OTLPLogRecord;
+export import OTLPPayload = HDDInterop.OTLPPayload;
+export import toJSONLines = HDDInterop.toJSONLines;
+export import fromJSONLines = HDDInterop.fromJSONLines;
+export import toCSV = HDDInterop.toCSV;
+export import fromCSV = HDDInterop.fromCSV;
+export import toCloudEvents = HDDInterop.toCloudEvents;
+export import fromCloudEvents = HDDInterop.fromCloudEvents;
+export import OpenTelemetryOptions = HDDInterop.OpenTelemetryOptions;
+export import toOpenTelemetry = HDDInterop.toOpenTelemetry;
+export import fromOpenTelemetry = HDDInterop.fromOpenTelemetry;
+export import convert = HDDInterop.convert;
+export import FORMATS = HDDInterop.FORMATS;
+export default HDDInterop;
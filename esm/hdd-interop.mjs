@@ -0,0 +1,11 @@
+// ESM entry for hdd-interop.js
+import HDDInterop from '../hdd-interop.js';
+
+export const {
+    toJSONLines, fromJSONLines,
+    toCSV, fromCSV,
+    toCloudEvents, fromCloudEvents,
+    toOpenTelemetry, fromOpenTelemetry,
+    convert, FORMATS
+} = HDDInterop;
+export default HDDInterop;
@@ -0,0 +1,14 @@
+// Types for esm/hdd-query.mjs
+import HDDQuery = require('../hdd-query.js');
+
+export import QueryNode = HDDQuery.QueryNode;
+export import Filter = HDDQuery.Filter;
+export import QuerySpec = HDDQuery.QuerySpec;
+export import Aggregate = HDDQuery.Aggregate;
+export import QueryResult = HDDQuery.QueryResult;
+export import HDDQueryError = HDDQuery.HDDQueryError;
+export import parseQuery = HDDQuery.parseQuery;
+export import compileFilter = HDDQuery.compileFilter;
+export import compileAggregates = HDDQuery.compileAggregates;
+export import runQuery = HDDQuery.runQuery;
+export default HDDQuery;
@@ -0,0 +1,5 @@
+// ESM entry for hdd-query.js
+import HDDQuery from '../hdd-query.js';
+
+export const { parseQuery, compileFilter, compileAggregates, runQuery, HDDQueryError } = HDDQuery;
+export default HDDQuery;
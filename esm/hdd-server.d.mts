@@ -0,0 +1,10 @@
+// Types for esm/hdd-server.mjs
+import HDDServer = require('../hdd-server.js');
+
+export import EventStore = HDDServer.EventStore;
+export import Options = HDDServer.Options;
+export import IngestResult = HDDServer.IngestResult;
+export import Handler = HDDServer.Handler;
+export import createHandler = HDDServer.createHandler;
+export import createServer = HDDServer.createServer;
+export default HDDServer;
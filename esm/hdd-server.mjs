@@ -0,0 +1,5 @@
+// ESM entry for hdd-server.js
+import HDDServer from '../hdd-server.js';
+
+export const { createServer, createHandler } = HDDServer;
+export default HDDServer;
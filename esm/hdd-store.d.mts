@@ -0,0 +1,5 @@
+// Types for esm/hdd-store.mjs
+import HDDStore = require('../hdd-store.js');
+
+export { HDDStore };
+export default HDDStore;
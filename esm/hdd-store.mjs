@@ -0,0 +1,5 @@
+// ESM entry for hdd-store.js
+import HDDStore from '../hdd-store.js';
+
+export { HDDStore };
+export default HDDStore;
@@ -0,0 +1,10 @@
+// Types for esm/hdd-stream.mjs
+import HDDStream = require('../hdd-stream.js');
+
+export import Source = HDDStream.Source;
+export import LineRejection = HDDStream.LineRejection;
+export import DecodeLinesOptions = HDDStream.DecodeLinesOptions;
+export import readLines = HDDStream.readLines;
+export import decodeLines = HDDStream.decodeLines;
+export import createDecodeStream = HDDStream.createDecodeStream;
+export default HDDStream;
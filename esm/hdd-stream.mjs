@@ -0,0 +1,5 @@
+// ESM entry for hdd-stream.js
+import HDDStream from '../hdd-stream.js';
+
+export const { readLines, decodeLines, createDecodeStream } = HDDStream;
+export default HDDStream;
@@ -0,0 +1,514 @@
+// Type declarations for hdd-api.js
+
+import HDD = require('./hdd-core.js');
+import HDDQuery = require('./hdd-query.js');
+import HDDStore = require('./hdd-store.js');
+
+declare namespace HDDApi {
+    type DecodedEvent = HDD.DecodedEvent;
+
+    /** HDD strings and/or decoded events, or one encodeBatch() container. */
+    type EventInput = Array<string | HDD.DecodedEvent> | string;
+
+    /** Milliseconds, or '500ms', '30s', '15m', '2h', '1d'. */
+    type Duration = number | string;
+
+    /** Returned instead of a result when the input cannot be analyzed. */
+    interface ErrorResult {
+        error: string;
+        code: string;
+    }
+
+    interface LoadOptions {
+        /** Larger inputs return EXCEEDED_LIMIT (default 10000). */
+        maxEvents?: number;
+    }
+
+    /** Range and activity filter applied when reading from an HDDStore. */
+    interface StoreRange {
+        from?: number | Date | string;
+        to?: number | Date | string;
+        activity?: string | string[];
+    }
+
+    interface Rejection {
+        index: number;
+        code: string;
+        field: string | null;
+        offset: number | null;
+        reason: string;
+    }
+
+    // === analyzePattern ===
+    interface AnalyzeOptions extends LoadOptions {
+        /** Partition by this context key (dotted paths reach nested context). */
+        subjectKey?: string;
+        lookback?: number;
+        maxRejections?: number;
+        /** Also drop events whose timestamp, value or context only decode leniently. */
+        strict?: boolean;
+    }
+
+    interface TemporalPattern {
+        average_interval_ms: number;
+        frequency_per_minute: number;
+        consistency: number;
+        trend: 'accelerating' | 'decelerating' | 'stable';
+        trend_confidence: number;
+        total_duration_ms: number;
+        event_density: number;
+    }
+
+    interface PatternAnalysis {
+        event_metrics: {
+            total: number;
+            valid_ratio: number;
+            unique_activities: number;
+            timespan_hours: number;
+            rejected: number;
+        };
+        rejections: Rejection[];
+        impact_analysis: {
+            total_impact: number;
+            average_impact: number;
+            impact_distribution: 'high' | 'medium' | 'low' | 'minimal';
+        };
+        context_analysis: {
+            average_complexity: number;
+            max_complexity: number;
+            complexity_level: 'very_high' | 'high' | 'medium' | 'low' | 'minimal';
+        };
+        behavioral_insights: {
+            prediction: PatternPrediction;
+            temporal_pattern: TemporalPattern | null;
+            activity_distribution: { [activity: string]: number };
+            most_frequent_activity: string;
+        };
+        quality_metrics: {
+            data_quality_score: number;
+            consistency_score: number;
+            pattern_strength: number;
+        };
+    }
+
+    interface EmptyAnalysis {
+        event_count: 0;
+        note: string;
+        quality_metrics: { data_quality_score: 0 };
+    }
+
+    interface NoValidEventsResult extends ErrorResult {
+        code: 'NO_VALID_EVENTS';
+        total_events: number;
+        rejections: Rejection[];
+    }
+
+    type AnalysisResult = PatternAnalysis | EmptyAnalysis | NoValidEventsResult;
+
+    interface Summary {
+        mean: number;
+        median: number;
+        min: number;
+        max: number;
+    }
+
+    interface CohortSummary {
+        subjects: number;
+        total_events: number;
+        rejected: number;
+        unassigned_events: number;
+        events_per_subject: Summary | null;
+        activity_distribution: { [activity: string]: number };
+        most_frequent_activity: string;
+        average_interval_ms: Summary | null;
+        trends: { accelerating: number; decelerating: number; stable: number };
+        predicted_next: { [activity: string]: number };
+    }
+
+    interface SubjectAnalysis {
+        subject_key: string;
+        cohort: CohortSummary;
+        subjects: { [subject: string]: AnalysisResult };
+        rejections: Rejection[];
+    }
+
+    // === predictNext ===
+    type PatternType = 'strong_sequence' | 'moderate_sequence' | 'weak_sequence' |
+        'high_diversity' | 'repetitive' | 'random';
+
+    interface Alternative {
+        activity: string;
+        probability: number;
+    }
+
+    /** Transition-count prediction over the last `lookback` events. */
+    interface PatternPrediction {
+        next: string | null;
+        confidence: number;
+        pattern: PatternType | 'insufficient_data' | 'no_valid_activities' | 'no_transitions' | 'unknown_subject';
+        valid_events?: number;
+        dominant_activity?: string;
+        activity_count?: number;
+        alternatives?: Alternative[];
+    }
+
+    /** Prediction from an n-gram HDDMarkovModel. */
+    interface ModelPrediction {
+        next: string | null;
+        confidence: number;
+        pattern: PatternType | 'no_transitions';
+        order_used: number | null;
+        context: string[];
+        support: number;
+        alternatives?: Alternative[];
+    }
+
+    type Prediction = PatternPrediction | ModelPrediction;
+
+    interface PredictOptions {
+        lookback?: number;
+        /** A trained model or its JSON; predicts without retraining. */
+        model?: HDDMarkovModel | MarkovModelJSON;
+        order?: number;
+        smoothing?: number;
+        sessionGap?: Duration;
+        minSupport?: number;
+        subjectKey?: string;
+        /** With subjectKey, predict only for this subject. */
+        subject?: string | number;
+    }
+
+    interface SubjectPrediction {
+        subject_key: string;
+        cohort: {
+            subjects: number;
+            rejected: number;
+            unassigned_events: number;
+            predicted_next: { [activity: string]: number };
+        };
+        subjects: { [subject: string]: Prediction };
+    }
+
+    // === getEventAnalytics ===
+    interface EventAnalyticsOptions extends AnomalyOptions {
+        /** Earlier events to score this one against. */
+        history?: Array<string | HDD.DecodedEvent>;
+        /** A live detector; the event is pushed into it. */
+        detector?: HDDAnomalyDetector;
+    }
+
+    interface EventAnalytics {
+        basic_metrics: {
+            activity: string;
+            timestamp: number;
+            age_hours: number;
+            version: string;
+        };
+        quality_metrics: {
+            event_strength: number;
+            context_complexity: number;
+            data_quality_score: number;
+            size_bytes: number;
+        };
+        risk_assessment: {
+            level: 'low' | 'medium' | 'high';
+            issues: string[];
+            anomalies: Anomaly[];
+            recommendations: string[];
+        };
+        technical_metadata: {
+            version_compatibility: 'current' | 'legacy' | 'future' | 'unsupported';
+            version_capabilities: HDD.VersionCapabilities;
+            schema_conformance: HDD.ValidationResult;
+            context_integrity: 'valid' | 'mismatch' | 'not_enveloped';
+            estimated_processing_ms: number;
+        };
+    }
+
+    // === Anomalies ===
+    interface AnomalyOptions {
+        method?: 'mad' | 'zscore';
+        valueThreshold?: number;
+        valueWindow?: number;
+        minHistory?: number;
+        rateWindow?: Duration;
+        rateHistory?: number;
+        minWindows?: number;
+        rateThreshold?: number;
+        silenceThreshold?: number;
+        minTransitions?: number;
+        /** Also reject events whose timestamp, value or context only decode leniently. */
+        strict?: boolean;
+    }
+
+    interface Anomaly {
+        index: number;
+        activity: string;
+        timestamp: number;
+        type: 'value_outlier' | 'rate_spike' | 'rate_silence' | 'new_transition';
+        /** 0..1 */
+        score: number;
+        statistic: number;
+        threshold: number;
+        reason: string;
+        details: { [key: string]: unknown };
+    }
+
+    interface AnomalyReport {
+        total_events: number;
+        rejected: number;
+        anomaly_count: number;
+        by_type: { [type: string]: number };
+        anomalies: Anomaly[];
+    }
+
+    // === Queries & rollups ===
+    interface QueryResult extends HDDQuery.QueryResult {
+        scanned: number;
+        rejected: number;
+    }
+
+    interface RollupOptions extends LoadOptions {
+        /** '15m', '1h', '1d', ... (default '1h') */
+        bucket?: string;
+        /** IANA zone, 'UTC' or a fixed offset such as '+05:30'. */
+        tz?: string;
+        maxBuckets?: number;
+    }
+
+    interface RollupBucket {
+        start: number;
+        label: string;
+        count: number;
+        value_sum: number;
+        unique_activities: number;
+        activities: { [activity: string]: { count: number; value_sum: number } };
+    }
+
+    interface RollupResult {
+        bucket: string;
+        tz: string;
+        total_events: number;
+        rejected: number;
+        buckets: RollupBucket[];
+        trend: {
+            direction: 'increasing' | 'decreasing' | 'stable';
+            slope_per_bucket: number;
+            confidence: number;
+        };
+    }
+
+    // === Funnels & paths ===
+    interface TimelineSummary {
+        total_events: number;
+        rejected: number;
+        subjects?: number;
+        unassigned_events?: number;
+    }
+
+    interface FunnelStep {
+        step: string;
+        entered: number;
+        conversion_from_start: number;
+        conversion_from_previous: number;
+        drop_off: number;
+        drop_off_rate: number;
+        median_ms_from_previous: number | null;
+    }
+
+    interface FunnelResult extends TimelineSummary {
+        journeys: number;
+        completed: number;
+        overall_conversion: number;
+        steps: FunnelStep[];
+    }
+
+    interface FrequentPathsOptions extends LoadOptions {
+        /** A session count, or a fraction of sessions when below 1. */
+        minSupport?: number;
+        maxLength?: number;
+        sessionGap?: Duration;
+        maxPaths?: number;
+        subjectKey?: string;
+    }
+
+    interface FrequentPathsResult extends TimelineSummary {
+        sessions: number;
+        min_support: number;
+        paths: Array<{ path: string[]; support: number; support_rate: number }>;
+    }
+
+    // === Security ===
+    type PIIDetector = 'email' | 'phone' | 'iban' | 'credit_card' | 'ip';
+
+    type SanitizeMode = 'redact' | 'hash' | 'truncate' | 'drop';
+
+    interface SanitizeRule {
+        key?: string | RegExp;
+        path?: string;
+        detect?: PIIDetector | PIIDetector[];
+        mode?: SanitizeMode;
+        keep?: number;
+    }
+
+    interface SanitizeOptions {
+        keysToSanitize?: string[];
+        rules?: SanitizeRule[];
+        detectors?: PIIDetector[];
+        mode?: SanitizeMode;
+        salt?: string;
+        keep?: number;
+        includeValue?: boolean;
+        report?: boolean;
+    }
+
+    interface SanitizeReport {
+        event: string;
+        report: {
+            activity: string;
+            timestamp: number;
+            sanitized_at: number;
+            changed: boolean;
+            changes: Array<{ path: string; mode: SanitizeMode; reason: string; detector?: PIIDetector }>;
+        };
+    }
+
+    /** 32 raw bytes, a secret KeyObject, an AES-GCM CryptoKey (async variants), or hex / base64 text. */
+    type EncryptionKey = Uint8Array | string | object;
+
+    interface EncryptOptions {
+        key: EncryptionKey;
+        keyId?: string;
+        /**
+         * Context paths: dotted strings ('\\.' escapes a literal dot) or arrays of keys.
+         * Default every top-level key, taken literally. A missing field throws.
+         */
+        fields?: Array<string | string[]>;
+        encryptValue?: boolean;
+    }
+
+    type DecryptionKeys = EncryptionKey | { [keyId: string]: EncryptionKey } | ((keyId: string | undefined) => EncryptionKey);
+
+    interface IntegrityReport {
+        core_functions: boolean;
+        encoding_works: boolean;
+        decoding_works: boolean;
+        signing_works: boolean;
+        /** 'webcrypto' when only HDD.signEvent / HDD.verifyEvent can sign. */
+        signing_backend: 'node' | 'webcrypto' | null;
+        version_match: boolean;
+        separator_correct: boolean;
+        all_systems_go: boolean;
+    }
+
+    // === Classes ===
+    interface MarkovModelOptions {
+        order?: number;
+        smoothing?: number;
+        /** Milliseconds or '30m'; a longer pause starts a new session. */
+        sessionGap?: Duration | null;
+        minSupport?: number;
+    }
+
+    interface MarkovModelJSON extends Required<Omit<MarkovModelOptions, 'sessionGap'>> {
+        format: 'hdd-markov';
+        sessionGap: number | null;
+        version: string;
+        vocabulary: string[];
+        counts: Array<{ [context: string]: { [activity: string]: number } }>;
+        trained_events: number;
+        sessions: number;
+    }
+
+    class HDDMarkovModel {
+        static FORMAT: 'hdd-markov';
+        static MAX_ORDER: number;
+        static fromJSON(json: MarkovModelJSON | string): HDDMarkovModel;
+        constructor(options?: MarkovModelOptions);
+        order: number;
+        trainedEvents: number;
+        sessions: number;
+        train(events: Array<string | HDD.DecodedEvent>): this;
+        endSession(): this;
+        predict(history?: Array<string | HDD.DecodedEvent>): ModelPrediction;
+        toJSON(): MarkovModelJSON;
+    }
+
+    class HDDAnalyzer {
+        constructor(options?: { lookback?: number; maxRejections?: number });
+        total: number;
+        valid: number;
+        rejected: number;
+        push(event: string | HDD.DecodedEvent): this;
+        snapshot(): AnalysisResult;
+        reset(): this;
+    }
+
+    class HDDAnomalyDetector {
+        constructor(options?: AnomalyOptions);
+        total: number;
+        rejected: number;
+        push(event: string | HDD.DecodedEvent): Anomaly[];
+        reset(): this;
+    }
+}
+
+declare class HDDApi {
+    static encode: typeof HDD.encode;
+    static decode: typeof HDD.decode;
+    static encodeBatch: typeof HDD.encodeBatch;
+    static decodeBatch: typeof HDD.decodeBatch;
+    static setClock: typeof HDD.setClock;
+    static setLogger: typeof HDD.setLogger;
+    static setStrictMode: typeof HDD.setStrictMode;
+    static HDDError: typeof HDD.HDDError;
+    static HDDEncodeError: typeof HDD.HDDEncodeError;
+    static HDDDecodeError: typeof HDD.HDDDecodeError;
+    /** Undefined when hdd-query.js is not available. */
+    static HDDQueryError: typeof HDDQuery.HDDQueryError | undefined;
+    static registerMigration: typeof HDD.registerMigration;
+    static migrate: typeof HDD.migrate;
+    static getVersionCapabilities: typeof HDD.getVersionCapabilities;
+    static registerSchema: typeof HDD.registerSchema;
+    static getSchema: typeof HDD.getSchema;
+    static SEPARATOR: typeof HDD.SEPARATOR;
+    static VERSION: string;
+
+    static analyzePattern(store: HDDStore, options?: HDDApi.AnalyzeOptions & HDDApi.StoreRange & { subjectKey?: undefined }): Promise<HDDApi.AnalysisResult>;
+    static analyzePattern(store: HDDStore, options: HDDApi.AnalyzeOptions & HDDApi.StoreRange & { subjectKey: string }): Promise<HDDApi.SubjectAnalysis | HDDApi.ErrorResult>;
+    static analyzePattern(events: HDDApi.EventInput, options: HDDApi.AnalyzeOptions & { subjectKey: string }): HDDApi.SubjectAnalysis | HDDApi.ErrorResult;
+    static analyzePattern(events: HDDApi.EventInput, options?: HDDApi.AnalyzeOptions): HDDApi.AnalysisResult | HDDApi.ErrorResult;
+
+    /** A Node stream, an async iterable of chunks or newline-delimited text. */
+    static analyzeStream(source: AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array> | string | { getReader(): unknown },
+        options?: { lookback?: number; maxRejections?: number }): Promise<HDDApi.AnalysisResult>;
+
+    static query(events: HDDApi.EventInput, expr: string | HDDQuery.QuerySpec, options?: HDDApi.LoadOptions): HDDApi.QueryResult | HDDApi.ErrorResult;
+    static rollup(events: HDDApi.EventInput, options?: HDDApi.RollupOptions): HDDApi.RollupResult | HDDApi.ErrorResult;
+    static injectContext(hddEvent: string, additionalContext: HDD.HDDContext, options?: { source?: string }): string;
+    static detectAnomalies(events: HDDApi.EventInput, options?: HDDApi.AnomalyOptions & HDDApi.LoadOptions): HDDApi.AnomalyReport | HDDApi.ErrorResult;
+    static getEventAnalytics(hddEvent: string, options?: HDDApi.EventAnalyticsOptions): HDDApi.EventAnalytics | HDDApi.ErrorResult;
+
+    static predictNext(store: HDDStore, options?: HDDApi.PredictOptions & HDDApi.StoreRange): Promise<HDDApi.Prediction | HDDApi.SubjectPrediction>;
+    static predictNext(events: Array<string | HDD.DecodedEvent>, options: HDDApi.PredictOptions & { subjectKey: string; subject?: undefined }): HDDApi.SubjectPrediction;
+    static predictNext(events: Array<string | HDD.DecodedEvent>, options?: HDDApi.PredictOptions): HDDApi.Prediction;
+
+    static trainModel(events: Array<string | HDD.DecodedEvent>, options?: HDDApi.MarkovModelOptions & { subjectKey?: string }): HDDApi.HDDMarkovModel;
+    static loadModel(json: HDDApi.MarkovModelJSON | string): HDDApi.HDDMarkovModel;
+    static funnel(events: HDDApi.EventInput, steps: string[], options?: HDDApi.LoadOptions & { maxGap?: HDDApi.Duration; subjectKey?: string }): HDDApi.FunnelResult | HDDApi.ErrorResult;
+    static frequentPaths(events: HDDApi.EventInput, options?: HDDApi.FrequentPathsOptions): HDDApi.FrequentPathsResult | HDDApi.ErrorResult;
+
+    static isUpdateRequired(hddEvent?: string | HDD.DecodedEvent): boolean;
+    static sanitizeContext(hddEvent: string, options: HDDApi.SanitizeOptions & { report: true }): HDDApi.SanitizeReport;
+    static sanitizeContext(hddEvent: string, options?: HDDApi.SanitizeOptions): string;
+    static encryptContext(hddEvent: string, options: HDDApi.EncryptOptions): string;
+    static decryptContext(hddEvent: string, keys: HDDApi.DecryptionKeys): string;
+    /** WebCrypto variants for browsers; same envelopes as the sync methods. */
+    static encryptContextAsync(hddEvent: string, options: HDDApi.EncryptOptions): Promise<string>;
+    static decryptContextAsync(hddEvent: string, keys: HDDApi.DecryptionKeys): Promise<string>;
+    static validateEvent(hddEvent: string | HDD.DecodedEvent, options?: { requireSchema?: boolean }): HDD.ValidationResult;
+    static verifySignature(hddEvent: string, verifyOptions: HDD.SignOptions): HDD.SignatureStatus;
+    static verifyIntegrity(): HDDApi.IntegrityReport;
+}
+
+export = HDDApi;
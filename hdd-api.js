@@ -6,13 +6,24 @@
  */
 
 // Universal Import Pattern - Loads core functions from hdd-core.js
-let encode, decode, SEPARATOR, CURRENT_VERSION;
+let encode, decode, now, setClock, setLogger, setStrictMode, registerSchema, getSchema, validateEvent;
+let encodeBatch, decodeBatch, isBatch, registerMigration, migrate, getVersionCapabilities;
+let HDDError, HDDEncodeError, HDDDecodeError, SEPARATOR, CURRENT_VERSION;
+let loadCrypto, loadWebCrypto, isWebCryptoKey, utf8Bytes, toBase64Url, fromBase64Url;
 try {
+    let HDDCore;
     if (typeof module !== 'undefined' && module.exports) {
-        const HDDCore = require('./hdd-core.js');
-        ({ encode, decode, SEPARATOR, CURRENT_VERSION } = HDDCore);
+        HDDCore = require('./hdd-core.js');
     } else if (typeof window !== 'undefined' && window.HDD) {
-        ({ encode, decode, SEPARATOR, CURRENT_VERSION } = window.HDD);
+        HDDCore = window.HDD;
+    }
+    if (HDDCore) {
+        ({
+            encode, decode, now, setClock, setLogger, setStrictMode, registerSchema, getSchema, validateEvent,
+            encodeBatch, decodeBatch, isBatch, registerMigration, migrate, getVersionCapabilities,
+            HDDError, HDDEncodeError, HDDDecodeError, SEPARATOR, CURRENT_VERSION,
+            _crypto: { loadCrypto, loadWebCrypto, isWebCryptoKey, utf8Bytes, toBase64Url, fromBase64Url }
+        } = HDDCore);
     } else {
         throw new Error('HDD Core not loaded in environment.');
     }
@@ -20,6 +31,30 @@ try {
     console.error('HDD API: Core dependency loading failed', error);
 }
 
+// Optional streaming layer (hdd-stream.js) used by analyzeStream
+let HDDStream = null;
+try {
+    if (typeof module !== 'undefined' && module.exports) {
+        HDDStream = require('./hdd-stream.js');
+    } else if (typeof window !== 'undefined' && window.HDDStream) {
+        HDDStream = window.HDDStream;
+    }
+} catch (error) {
+    HDDStream = null;
+}
+
+// Optional query layer (hdd-query.js) used by query
+let HDDQuery = null;
+try {
+    if (typeof module !== 'undefined' && module.exports) {
+        HDDQuery = require('./hdd-query.js');
+    } else if (typeof window !== 'undefined' && window.HDDQuery) {
+        HDDQuery = window.HDDQuery;
+    }
+} catch (error) {
+    HDDQuery = null;
+}
+
 // Add std deviation helper to Math if it doesn't exist
 if (typeof Math.std === 'undefined') {
     Math.std = function(arr) {
@@ -108,18 +143,15 @@ class HDDIntelligence {
             return { next: null, confidence: 0, pattern: 'insufficient_data', valid_events: events ? events.length : 0 };
         }
 
-        const validEvents = [];
-        for (let i = Math.max(0, events.length - lookback); i < events.length; i++) {
-            try {
-                const decoded = decode(events[i]);
-                if (decoded && decoded.activity) validEvents.push(decoded);
-            } catch {}
-        }
-        if (validEvents.length < 2) {
-            return { next: null, confidence: 0, pattern: 'no_valid_activities', valid_events: validEvents.length };
+        const validEvents = this.decodeEvents(events, Math.max(0, events.length - lookback)).decoded;
+        return this.predictFromActivities(validEvents.map(event => event.activity));
+    }
+
+    static predictFromActivities(activities) {
+        if (activities.length < 2) {
+            return { next: null, confidence: 0, pattern: 'no_valid_activities', valid_events: activities.length };
         }
 
-        const activities = validEvents.map(event => event.activity);
         const transitionMatrix = {};
         
         for (let i = 0; i < activities.length - 1; i++) {
@@ -168,6 +200,53 @@ class HDDIntelligence {
         };
     }
 
+    // Analytics read events leniently, as they always have: a string whose
+    // timestamp, value or context strict decoding refuses still counts with the
+    // fields lenient decoding recovers. Only strings without a usable activity
+    // or structure are dropped, with the strict error as the reason.
+    // `strict` drops everything strict decoding refuses.
+    static decodeEvent(event, strict = false) {
+        try {
+            return decode(event, { strict: true });
+        } catch (error) {
+            if (strict || !LENIENT_DECODE_CODES.has(error.code)) throw error;
+            const decoded = decode(event, { strict: false });
+            if (!decoded || !decoded.activity) throw error;
+            return decoded;
+        }
+    }
+
+    // Every dropped event keeps the reason it was dropped; already decoded
+    // events pass through after a structure check
+    static decodeEvents(events, start = 0, strict = false) {
+        const decoded = [];
+        const rejections = [];
+        for (let i = start; i < events.length; i++) {
+            const event = events[i];
+            if (typeof event !== 'string') {
+                if (HDDApi._validateStructure(event)) decoded.push(event);
+                else rejections.push({ index: i, code: 'INVALID_STRUCTURE', field: null, offset: null, reason: 'Invalid HDD event structure' });
+                continue;
+            }
+            try {
+                decoded.push(this.decodeEvent(event, strict));
+            } catch (error) {
+                rejections.push(this.describeRejection(i, error));
+            }
+        }
+        return { decoded, rejections };
+    }
+
+    static describeRejection(index, error) {
+        return {
+            index,
+            code: error.code || 'DECODE_FAILED',
+            field: error.field ?? null,
+            offset: error.offset ?? null,
+            reason: error.message
+        };
+    }
+
     static _findDominantActivity(activities) {
         const counts = {};
         let maxCount = 0;
@@ -197,13 +276,9 @@ class HDDIntelligence {
     static analyzeTemporalPattern(events) {
         if (!Array.isArray(events) || events.length < 2) return null;
 
-        const timestamps = [];
-        for (const event of events) {
-            try {
-                const decoded = decode(event);
-                if (decoded && decoded.timestamp) timestamps.push(decoded.timestamp);
-            } catch {}
-        }
+        const timestamps = this.decodeEvents(events).decoded
+            .filter(decoded => decoded.timestamp)
+            .map(decoded => decoded.timestamp);
 
         if (timestamps.length < 2) return null;
         const intervals = [];
@@ -211,112 +286,186 @@ class HDDIntelligence {
             intervals.push(timestamps[i] - timestamps[i - 1]);
         }
 
-        const avgInterval = intervals.reduce((sum, int) => sum + int, 0) / intervals.length;
-        const stdDev = Math.std(intervals);
+        const regression = this.linearRegression(intervals);
+        return this.describeIntervals({
+            count: timestamps.length,
+            first: timestamps[0],
+            last: timestamps[timestamps.length - 1],
+            intervalCount: intervals.length,
+            mean: regression.mean,
+            stdDev: Math.std(intervals),
+            slope: regression.slope,
+            rSquared: regression.rSquared
+        });
+    }
+
+    // Shared by the batch and incremental paths so both report identical metrics.
+    // Shrinking intervals (negative slope) mean the events are accelerating.
+    static describeIntervals({ count, first, last, intervalCount, mean, stdDev, slope, rSquared }) {
+        const avgInterval = mean;
         const consistency = avgInterval > 0 ? Math.max(0, 1 - (stdDev / avgInterval)) : 0;
-        const totalDuration = timestamps[timestamps.length - 1] - timestamps[0];
+        const totalDuration = last - first;
+        const direction = this.classifyTrend(slope, rSquared, intervalCount, avgInterval);
         
         return {
             average_interval_ms: Math.round(avgInterval),
             frequency_per_minute: avgInterval > 0 ? Math.round(60000 / avgInterval) : 0,
             consistency: Math.round(consistency * 100) / 100,
-            trend: intervals.length > 1 ? 
-                (intervals[intervals.length - 1] < avgInterval ? 'accelerating' : 'decelerating') : 'stable',
+            trend: direction === 'falling' ? 'accelerating' : direction === 'rising' ? 'decelerating' : 'stable',
+            trend_confidence: Math.round(rSquared * 100) / 100,
             total_duration_ms: totalDuration,
             event_density: totalDuration > 0 ? 
-                Math.round((timestamps.length / totalDuration) * 60000) / 1000 : 0
+                Math.round((count / totalDuration) * 60000) / 1000 : 0
         };
     }
+
+    // Least squares fit of values against their position (0, 1, 2, ...)
+    static linearRegression(values) {
+        const n = values.length;
+        if (n === 0) return { slope: 0, intercept: 0, rSquared: 0, mean: 0 };
+        const meanX = (n - 1) / 2;
+        const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0, varianceX = 0, varianceY = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (i - meanX) * (values[i] - meanY);
+            varianceX += (i - meanX) ** 2;
+            varianceY += (values[i] - meanY) ** 2;
+        }
+        const slope = varianceX > 0 ? covariance / varianceX : 0;
+        const rSquared = varianceX > 0 && varianceY > 0 ? (covariance * covariance) / (varianceX * varianceY) : 0;
+        return { slope, intercept: meanY - slope * meanX, rSquared, mean: meanY };
+    }
+
+    // A trend needs the fitted line to move the level by more than 10% over
+    // the window and to explain at least 10% of the variance
+    static classifyTrend(slope, rSquared, steps, mean) {
+        if (steps < 2 || !mean) return 'stable';
+        const relativeChange = (slope * (steps - 1)) / Math.abs(mean);
+        if (Math.abs(relativeChange) <= 0.1 || rSquared < 0.1) return 'stable';
+        return relativeChange > 0 ? 'rising' : 'falling';
+    }
 }
 
-// === HDD API ULTRA - THE COMPLETE 10-POWER IMPLEMENTATION ===
-class HDDApi {
-    // CORE EXPOSURE
-    static encode = encode;
-    static decode = decode;
-    static SEPARATOR = SEPARATOR;
-    static VERSION = CURRENT_VERSION;
+// Strict decode failures that lenient decoding reads past
+const LENIENT_DECODE_CODES = new Set(['INVALID_TIMESTAMP', 'INVALID_VALUE', 'INVALID_CONTEXT', 'INTEGRITY_MISMATCH']);
 
-    // POWER #5: QUANTUM EVENT ANALYTICS
-    static analyzePattern(hddEvents, options = {}) {
-        const maxEvents = options.maxEvents || 10000;
-        if (!Array.isArray(hddEvents)) {
-            return { error: 'Invalid events array', code: 'INVALID_INPUT' };
+// === INCREMENTAL ANALYZER (One Pass, Bounded Memory) ===
+// Accumulates the analyzePattern metrics event by event. Memory is bounded by
+// the number of distinct activities, the prediction lookback window and
+// `maxRejections` stored rejection reasons, never by the number of events.
+class HDDAnalyzer {
+    constructor(options = {}) {
+        this.lookback = options.lookback || 10;
+        this.maxRejections = options.maxRejections ?? 100;
+        this.strict = !!options.strict;
+        this.reset();
+    }
+
+    reset() {
+        this.total = 0;
+        this.valid = 0;
+        this.rejected = 0;
+        this.rejections = [];
+        this.totalImpact = 0;
+        this.totalComplexity = 0;
+        this.maxComplexity = 0;
+        this.activityFrequency = {};
+        this.firstTimestamp = null;
+        this.lastTimestamp = null;
+        // Last `lookback` inputs in order; null marks an invalid one
+        this.recentActivities = [];
+        // Welford running statistics over the intervals between timestamps
+        // plus the running co-moment against the interval index for the trend line
+        this.temporal = { count: 0, first: 0, last: 0, intervalCount: 0, mean: 0, m2: 0, indexMean: 0, indexM2: 0, comoment: 0 };
+        return this;
+    }
+
+    // Accepts an HDD string or an already decoded event
+    push(event) {
+        const index = this.total++;
+        let decoded = event;
+        if (typeof event === 'string') {
+            try {
+                decoded = HDDIntelligence.decodeEvent(event, this.strict);
+            } catch (error) {
+                this._reject(index, error);
+                return this;
+            }
+        } else if (!HDDApi._validateStructure(decoded)) {
+            this._reject(index, new HDDDecodeError('Invalid HDD event structure', { code: 'INVALID_STRUCTURE' }));
+            return this;
         }
-        if (hddEvents.length > maxEvents) {
-            return { 
-                error: `Too many events (${hddEvents.length}), maximum is ${maxEvents}`,
-                code: 'EXCEEDED_LIMIT'
-            };
+
+        this.valid++;
+        this._remember(decoded.activity);
+
+        const impact = HDDIntelligence.calculateImpact(decoded.value);
+        const complexity = HDDIntelligence.measureContextComplexity(decoded.context);
+        this.totalImpact += impact;
+        this.totalComplexity += complexity;
+        this.maxComplexity = Math.max(this.maxComplexity, complexity);
+        this.activityFrequency[decoded.activity] = (this.activityFrequency[decoded.activity] || 0) + 1;
+
+        // A leniently decoded timestamp can be NaN; it adds no time information
+        if (decoded.timestamp) {
+            if (this.firstTimestamp === null) this.firstTimestamp = decoded.timestamp;
+            this.lastTimestamp = decoded.timestamp;
+            this._pushTimestamp(decoded.timestamp);
         }
-        if (hddEvents.length === 0) {
+        return this;
+    }
+
+    snapshot() {
+        if (this.total === 0) {
             return { 
                 event_count: 0, 
                 note: 'Empty events array provided',
                 quality_metrics: { data_quality_score: 0 }
             };
         }
-        
-        const validEvents = [];
-        for (const event of hddEvents) {
-            try {
-                const decoded = decode(event);
-                if (decoded && decoded.activity) validEvents.push(decoded);
-            } catch {}
-        }
-        if (validEvents.length === 0) {
+        if (this.valid === 0) {
             return { 
                 error: 'No valid HDD events found', 
                 code: 'NO_VALID_EVENTS', 
-                total_events: hddEvents.length 
+                total_events: this.total,
+                rejections: this.rejections.slice()
             };
         }
 
-        const temporal = HDDIntelligence.analyzeTemporalPattern(hddEvents);
-        const prediction = HDDIntelligence.detectActivityPattern(hddEvents);
-        
-        let totalImpact = 0;
-        let totalComplexity = 0;
-        let maxComplexity = 0;
-        const activityFrequency = {};
-        
-        for (const event of validEvents) {
-            const impact = HDDIntelligence.calculateImpact(event.value);
-            const complexity = HDDIntelligence.measureContextComplexity(event.context);
-            totalImpact += impact;
-            totalComplexity += complexity;
-            maxComplexity = Math.max(maxComplexity, complexity);
-            activityFrequency[event.activity] = (activityFrequency[event.activity] || 0) + 1;
-        }
-        const timespan = validEvents.length > 1 ? 
-            validEvents[validEvents.length - 1].timestamp - validEvents[0].timestamp : 0;
+        const temporal = this._describeTemporal();
+        const prediction = this._predict();
+        const averageImpact = this.totalImpact / this.valid;
+        const averageComplexity = this.totalComplexity / this.valid;
+        const timespan = this.valid > 1 ? this.lastTimestamp - this.firstTimestamp : 0;
 
         return {
             event_metrics: {
-                total: validEvents.length,
-                valid_ratio: Math.round((validEvents.length / hddEvents.length) * 100) / 100,
-                unique_activities: Object.keys(activityFrequency).length,
-                timespan_hours: Math.round(timespan / (1000 * 60 * 60) * 100) / 100
+                total: this.valid,
+                valid_ratio: Math.round((this.valid / this.total) * 100) / 100,
+                unique_activities: Object.keys(this.activityFrequency).length,
+                timespan_hours: Math.round(timespan / (1000 * 60 * 60) * 100) / 100,
+                rejected: this.rejected
             },
+            rejections: this.rejections.slice(),
             impact_analysis: {
-                total_impact: Math.round(totalImpact * 100) / 100,
-                average_impact: Math.round(totalImpact / validEvents.length * 100) / 100,
-                impact_distribution: this._categorizeImpact(totalImpact / validEvents.length)
+                total_impact: Math.round(this.totalImpact * 100) / 100,
+                average_impact: Math.round(averageImpact * 100) / 100,
+                impact_distribution: HDDApi._categorizeImpact(averageImpact)
             },
             context_analysis: {
-                average_complexity: Math.round(totalComplexity / validEvents.length * 100) / 100,
-                max_complexity: maxComplexity,
-                complexity_level: this._categorizeComplexity(maxComplexity)
+                average_complexity: Math.round(averageComplexity * 100) / 100,
+                max_complexity: this.maxComplexity,
+                complexity_level: HDDApi._categorizeComplexity(this.maxComplexity)
             },
             behavioral_insights: {
                 prediction: prediction,
                 temporal_pattern: temporal,
-                activity_distribution: activityFrequency,
-                most_frequent_activity: this._findMostFrequent(activityFrequency)
+                activity_distribution: { ...this.activityFrequency },
+                most_frequent_activity: HDDApi._findMostFrequent(this.activityFrequency)
             },
             quality_metrics: {
                 data_quality_score: Math.min(
-                    Math.round((totalImpact / validEvents.length + totalComplexity / validEvents.length * 0.1) * 100) / 100, 
+                    Math.round((averageImpact + averageComplexity * 0.1) * 100) / 100, 
                     10
                 ),
                 consistency_score: temporal ? temporal.consistency : 0,
@@ -325,6 +474,1253 @@ class HDDApi {
         };
     }
 
+    _reject(index, error) {
+        this.rejected++;
+        this._remember(null);
+        if (this.rejections.length < this.maxRejections) {
+            this.rejections.push(HDDIntelligence.describeRejection(index, error));
+        }
+    }
+
+    _remember(activity) {
+        this.recentActivities.push(activity);
+        if (this.recentActivities.length > this.lookback) this.recentActivities.shift();
+    }
+
+    _pushTimestamp(timestamp) {
+        const state = this.temporal;
+        if (state.count > 0) {
+            const interval = timestamp - state.last;
+            const index = state.intervalCount++;
+            const delta = interval - state.mean;
+            state.mean += delta / state.intervalCount;
+            state.m2 += delta * (interval - state.mean);
+            const indexDelta = index - state.indexMean;
+            state.indexMean += indexDelta / state.intervalCount;
+            state.indexM2 += indexDelta * (index - state.indexMean);
+            state.comoment += indexDelta * (interval - state.mean);
+        } else {
+            state.first = timestamp;
+        }
+        state.last = timestamp;
+        state.count++;
+    }
+
+    _describeTemporal() {
+        const state = this.temporal;
+        if (state.count < 2) return null;
+        return HDDIntelligence.describeIntervals({
+            ...state,
+            stdDev: Math.sqrt(state.m2 / state.intervalCount),
+            slope: state.indexM2 > 0 ? state.comoment / state.indexM2 : 0,
+            rSquared: state.indexM2 > 0 && state.m2 > 0 ?
+                (state.comoment * state.comoment) / (state.indexM2 * state.m2) : 0
+        });
+    }
+
+    // Mirrors detectActivityPattern over the last `lookback` inputs
+    _predict() {
+        if (this.total < 3) {
+            return { next: null, confidence: 0, pattern: 'insufficient_data', valid_events: this.total };
+        }
+        return HDDIntelligence.predictFromActivities(this.recentActivities.filter(activity => activity !== null));
+    }
+}
+
+// === SUBJECT PARTITIONING ===
+// Splits decoded events into one timeline per subject (user, session,
+// device...) taken from a context key; dotted keys reach nested context
+// ('device.id'). Order within each timeline is the input order.
+function partitionBySubject(decoded, subjectKey) {
+    const path = String(subjectKey).split('.');
+    const partitions = new Map();
+    let unassigned = 0;
+    for (const event of decoded) {
+        let subject = event.context;
+        for (const key of path) subject = subject && typeof subject === 'object' ? subject[key] : undefined;
+        if (subject === undefined || subject === null || typeof subject === 'object') {
+            unassigned++;
+            continue;
+        }
+        const id = String(subject);
+        if (!partitions.has(id)) partitions.set(id, []);
+        partitions.get(id).push(event);
+    }
+    return { partitions, unassigned };
+}
+
+// Milliseconds, or a string such as '30s', '15m', '2h', '1d'
+function parseDuration(value, label) {
+    if (typeof value === 'number' && value > 0) return value;
+    const match = /^(\d+)(ms|[smhd])$/.exec(String(value));
+    if (!match || Number(match[1]) === 0) throw new Error(`Invalid ${label} '${value}'`);
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return Number(match[1]) * units[match[2]];
+}
+
+// === TIME BUCKET ENGINE (Timezone Aware) ===
+// Buckets align to wall-clock boundaries in the requested zone, so a '1d'
+// bucket in 'Europe/Berlin' runs from local midnight to local midnight even
+// across daylight saving changes (23 or 25 hours).
+class HDDTimeBuckets {
+    static UNITS = { m: 60000, h: 3600000, d: 86400000 };
+
+    // bucket: '15m', '1h', '1d', ... ; tz: IANA name, 'UTC' or a fixed '+05:30'
+    constructor(bucket = '1h', tz = 'UTC') {
+        const match = /^(\d+)([mhd])$/.exec(String(bucket));
+        if (!match || Number(match[1]) === 0) throw new Error(`Invalid bucket '${bucket}', expected e.g. '1m', '1h' or '1d'`);
+        this.bucket = bucket;
+        this.size = Number(match[1]) * HDDTimeBuckets.UNITS[match[2]];
+        this.tz = tz;
+
+        const fixed = /^([+-])(\d{2}):?(\d{2})$/.exec(tz);
+        if (tz === 'UTC' || tz === 'Z') {
+            this.offsetAt = () => 0;
+        } else if (fixed) {
+            const minutes = (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+            this.offsetAt = () => minutes * 60000;
+        } else {
+            let formatter;
+            try {
+                formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone: tz, hourCycle: 'h23',
+                    year: 'numeric', month: 'numeric', day: 'numeric',
+                    hour: 'numeric', minute: 'numeric', second: 'numeric'
+                });
+            } catch (error) {
+                throw new Error(`Unknown time zone '${tz}'`);
+            }
+            this.offsetAt = instant => HDDTimeBuckets._zoneOffset(formatter, instant);
+        }
+    }
+
+    // Wall-clock time in the zone minus the instant, in ms
+    static _zoneOffset(formatter, instant) {
+        const parts = {};
+        for (const part of formatter.formatToParts(new Date(instant))) parts[part.type] = Number(part.value);
+        const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wall - (instant - (((instant % 1000) + 1000) % 1000));
+    }
+
+    // Instant at which the bucket containing `instant` starts
+    startOf(instant) {
+        const local = instant + this.offsetAt(instant);
+        const flooredLocal = Math.floor(local / this.size) * this.size;
+        // Two passes so a boundary on the other side of a DST change uses its own offset
+        const guess = flooredLocal - this.offsetAt(instant);
+        return flooredLocal - this.offsetAt(guess);
+    }
+
+    // Start of the following bucket; stepping by 1.5 buckets and flooring
+    // absorbs 23 and 25 hour days
+    next(start) {
+        return this.startOf(start + this.size * 1.5);
+    }
+
+    // ISO 8601 wall-clock label with the zone offset, e.g. 2025-03-30T00:00:00+01:00
+    label(start) {
+        const offset = this.offsetAt(start);
+        const wall = new Date(start + offset).toISOString().slice(0, 19);
+        if (offset === 0) return wall + 'Z';
+        const minutes = Math.abs(offset) / 60000;
+        const sign = offset < 0 ? '-' : '+';
+        return `${wall}${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+}
+
+// === ANOMALY DETECTION ENGINE (Incremental) ===
+// Scores each event against the history seen so far, so it runs the same on
+// an array or a stream. Three detectors:
+//   value_outlier            robust z-score (median/MAD) of the value per activity
+//   rate_spike, rate_silence event counts per window against earlier windows
+//   new_transition           a first-ever step out of a well-established activity
+// Every finding carries a statistic, the threshold it crossed and a score in
+// [0.5, 1] (statistic / (2 * threshold), capped) so findings sort together.
+class HDDAnomalyDetector {
+    constructor(options = {}) {
+        this.method = options.method || 'mad';
+        if (this.method !== 'mad' && this.method !== 'zscore') throw new Error(`Unknown anomaly method '${this.method}'`);
+        this.valueThreshold = options.valueThreshold || 3.5;
+        this.valueWindow = options.valueWindow || 200;
+        this.minHistory = options.minHistory || 10;
+        this.rateWindow = parseDuration(options.rateWindow ?? 60000, 'rate window');
+        this.rateHistory = options.rateHistory || 30;
+        this.minWindows = options.minWindows || 5;
+        this.rateThreshold = options.rateThreshold || 3;
+        this.silenceThreshold = options.silenceThreshold || 5;
+        this.minTransitions = options.minTransitions || 20;
+        this.strict = !!options.strict;
+        this.reset();
+    }
+
+    reset() {
+        this.total = 0;
+        this.rejected = 0;
+        this.values = {};          // activity -> last `valueWindow` numeric values
+        this.transitions = {};     // same shape as the detectActivityPattern matrix
+        this.outgoing = {};        // activity -> transitions seen out of it
+        this.previousActivity = null;
+        this.lastTimestamp = null;
+        this.rate = { start: null, count: 0, history: [], spikeFlagged: false };
+        return this;
+    }
+
+    // Accepts an HDD string or an already decoded event; returns its findings
+    push(event) {
+        const index = this.total++;
+        let decoded = event;
+        if (typeof event === 'string') {
+            try {
+                decoded = HDDIntelligence.decodeEvent(event, this.strict);
+            } catch (error) {
+                this.rejected++;
+                return [];
+            }
+        } else if (!HDDApi._validateStructure(decoded)) {
+            this.rejected++;
+            return [];
+        }
+
+        const findings = [
+            ...this._checkValue(decoded),
+            ...this._checkRate(decoded),
+            ...this._checkTransition(decoded)
+        ].map(finding => ({ index, activity: decoded.activity, timestamp: decoded.timestamp, ...finding }));
+        return findings;
+    }
+
+    _checkValue(decoded) {
+        const value = decoded.value;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return [];
+        const history = this.values[decoded.activity] || (this.values[decoded.activity] = []);
+        const findings = [];
+
+        if (history.length >= this.minHistory) {
+            const { center, spread } = this.method === 'mad' ?
+                HDDAnomalyDetector._robustSpread(history) : HDDAnomalyDetector._meanSpread(history);
+            const deviation = value - center;
+            // A constant history makes any different value infinitely unusual
+            const statistic = spread > 0 ? Math.abs(deviation) / spread : (deviation === 0 ? 0 : Infinity);
+            if (statistic >= this.valueThreshold) {
+                const typical = Math.round(center * 100) / 100;
+                findings.push(this._finding('value_outlier', statistic, this.valueThreshold,
+                    Number.isFinite(statistic) ?
+                        `value ${value} is ${Math.round(statistic * 10) / 10} deviations ${deviation > 0 ? 'above' : 'below'} ` +
+                        `the typical ${decoded.activity} value ${typical}` :
+                        `value ${value} differs from the constant ${decoded.activity} value ${typical}`,
+                    { value, expected: center, spread }));
+            }
+        }
+
+        history.push(value);
+        if (history.length > this.valueWindow) history.shift();
+        return findings;
+    }
+
+    _checkRate(decoded) {
+        const timestamp = decoded.timestamp;
+        if (typeof timestamp !== 'number') return [];
+        const rate = this.rate;
+        const width = this.rateWindow;
+        const findings = [];
+        const baseline = () => {
+            const mean = rate.history.reduce((sum, count) => sum + count, 0) / rate.history.length;
+            const variance = rate.history.reduce((sum, count) => sum + (count - mean) ** 2, 0) / rate.history.length;
+            return { mean, variance };
+        };
+
+        if (rate.start === null) {
+            rate.start = Math.floor(timestamp / width) * width;
+        } else if (timestamp >= rate.start + width) {
+            // Close the window, then record the empty windows skipped since
+            const skipped = Math.floor((timestamp - rate.start) / width) - 1;
+            rate.history.push(rate.count);
+            for (let i = 0; i < Math.min(skipped, this.rateHistory); i++) rate.history.push(0);
+            if (rate.history.length > this.rateHistory) rate.history.splice(0, rate.history.length - this.rateHistory);
+            rate.start = Math.floor(timestamp / width) * width;
+            rate.count = 0;
+            rate.spikeFlagged = false;
+        }
+
+        if (this.lastTimestamp !== null && rate.history.length >= this.minWindows) {
+            // Events expected during the gap at the baseline rate; seeing none
+            // has Poisson probability e^-expected
+            const gap = timestamp - this.lastTimestamp;
+            const expected = baseline().mean * (gap / width);
+            if (expected >= this.silenceThreshold) {
+                findings.push(this._finding('rate_silence', expected, this.silenceThreshold,
+                    `no events for ${Math.round(gap / 1000)}s where about ${Math.round(expected)} were expected`,
+                    { gap_ms: gap, expected_events: expected }));
+            }
+        }
+        this.lastTimestamp = timestamp;
+
+        rate.count++;
+        if (!rate.spikeFlagged && rate.history.length >= this.minWindows) {
+            const { mean, variance } = baseline();
+            // Poisson floor on the spread so quiet, regular baselines do not flag every extra event
+            const statistic = (rate.count - mean) / Math.sqrt(Math.max(variance, mean, 1));
+            if (statistic >= this.rateThreshold) {
+                rate.spikeFlagged = true;
+                findings.push(this._finding('rate_spike', statistic, this.rateThreshold,
+                    `${rate.count} events in the current ${Math.round(width / 1000)}s window against a usual ${Math.round(mean * 10) / 10}`,
+                    { window_start: rate.start, count: rate.count, expected: mean }));
+            }
+        }
+        return findings;
+    }
+
+    _checkTransition(decoded) {
+        const from = this.previousActivity;
+        const to = decoded.activity;
+        this.previousActivity = to;
+        if (from === null) return [];
+
+        const row = this.transitions[from] || (this.transitions[from] = {});
+        const support = this.outgoing[from] || 0;
+        const findings = [];
+        if (!row[to] && support >= this.minTransitions) {
+            findings.push(this._finding('new_transition', support, this.minTransitions,
+                `${from} -> ${to} never happened in ${support} earlier transitions out of ${from}`,
+                { from, to, support }));
+        }
+        row[to] = (row[to] || 0) + 1;
+        this.outgoing[from] = support + 1;
+        return findings;
+    }
+
+    _finding(type, statistic, threshold, reason, details) {
+        return {
+            type,
+            score: Math.round(Math.min(1, statistic / (2 * threshold)) * 100) / 100,
+            statistic: Number.isFinite(statistic) ? Math.round(statistic * 100) / 100 : statistic,
+            threshold,
+            reason,
+            details
+        };
+    }
+
+    // Median and MAD scaled by 1.4826 to match a standard deviation on normal
+    // data; falls back to the scaled mean absolute deviation when MAD is 0
+    static _robustSpread(values) {
+        const center = HDDAnomalyDetector._median(values);
+        const deviations = values.map(value => Math.abs(value - center));
+        const mad = HDDAnomalyDetector._median(deviations);
+        if (mad > 0) return { center, spread: mad * 1.4826 };
+        const meanDeviation = deviations.reduce((sum, value) => sum + value, 0) / deviations.length;
+        return { center, spread: meanDeviation * 1.2533 };
+    }
+
+    static _meanSpread(values) {
+        const center = values.reduce((sum, value) => sum + value, 0) / values.length;
+        return { center, spread: Math.std(values) };
+    }
+
+    static _median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = sorted.length >> 1;
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+// === SEQUENCE MINING ENGINE (Funnels & Frequent Paths) ===
+// Works on decoded events ordered by their encoded timestamps.
+class HDDSequenceMiner {
+    static chronological(decoded) {
+        return decoded
+            .filter(event => typeof event.timestamp === 'number')
+            .map((event, order) => ({ event, order }))
+            .sort((a, b) => a.event.timestamp - b.event.timestamp || a.order - b.order)
+            .map(entry => entry.event);
+    }
+
+    // One journey at a time: the first step opens it, each following step
+    // must arrive within `maxGap` of the previous one, and a journey that
+    // times out is closed at the depth it reached. Repeating the first step
+    // before the second restarts the clock instead of opening a new journey.
+    // `timelines` holds one decoded event array per subject; journeys never
+    // cross from one timeline into another.
+    static funnel(timelines, steps, options = {}) {
+        const maxGap = options.maxGap !== undefined ? parseDuration(options.maxGap, 'max gap') : Infinity;
+        const reached = new Array(steps.length).fill(0);
+        const stepTimes = steps.map(() => []);
+        let journey = null;
+
+        const close = () => {
+            if (journey) reached[journey.depth]++;
+            journey = null;
+        };
+
+        for (const timeline of timelines) {
+            close();
+            for (const event of this.chronological(timeline)) {
+                if (journey && event.timestamp - journey.lastAt > maxGap) close();
+
+                if (journey && event.activity === steps[journey.depth + 1]) {
+                    stepTimes[journey.depth + 1].push(event.timestamp - journey.lastAt);
+                    journey.depth++;
+                    journey.lastAt = event.timestamp;
+                    if (journey.depth === steps.length - 1) close();
+                } else if (event.activity === steps[0]) {
+                    if (journey && journey.depth === 0) journey.lastAt = event.timestamp;
+                    else if (!journey) journey = { depth: 0, lastAt: event.timestamp };
+                }
+            }
+        }
+        close();
+
+        // reached[i] counts journeys that stopped at step i; entering step i
+        // means stopping at i or anywhere after it
+        const entered = reached.map((_, i) => reached.slice(i).reduce((sum, count) => sum + count, 0));
+        const rate = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0;
+        return {
+            journeys: entered[0],
+            completed: entered[steps.length - 1],
+            overall_conversion: rate(entered[steps.length - 1], entered[0]),
+            steps: steps.map((step, i) => {
+                const next = i + 1 < steps.length ? entered[i + 1] : entered[i];
+                return {
+                    step,
+                    entered: entered[i],
+                    conversion_from_start: rate(entered[i], entered[0]),
+                    conversion_from_previous: i === 0 ? (entered[0] > 0 ? 1 : 0) : rate(entered[i], entered[i - 1]),
+                    drop_off: entered[i] - next,
+                    drop_off_rate: rate(entered[i] - next, entered[i]),
+                    median_ms_from_previous: i === 0 || stepTimes[i].length === 0 ?
+                        null : HDDAnomalyDetector._median(stepTimes[i])
+                };
+            })
+        };
+    }
+
+    // PrefixSpan over sessions: a path is supported by a session when its
+    // activities occur in that order, not necessarily back to back. Sessions
+    // are cut at `sessionGap` and at the end of each timeline.
+    static frequentPaths(timelines, options = {}) {
+        const sessionGap = parseDuration(options.sessionGap ?? 1800000, 'session gap');
+        const maxLength = options.maxLength || 4;
+        const maxPaths = options.maxPaths || 100;
+
+        const sessions = [];
+        for (const timeline of timelines) {
+            let current = null;
+            let previous = null;
+            for (const event of this.chronological(timeline)) {
+                if (!current || event.timestamp - previous > sessionGap) sessions.push(current = []);
+                current.push(event.activity);
+                previous = event.timestamp;
+            }
+        }
+
+        const minSupport = options.minSupport === undefined ? Math.max(2, Math.ceil(sessions.length * 0.1)) :
+            options.minSupport < 1 ? Math.max(1, Math.ceil(sessions.length * options.minSupport)) : options.minSupport;
+        const paths = [];
+
+        // projection: [sessionIndex, position after the prefix's last match]
+        const grow = (prefix, projection) => {
+            const firstMatch = new Map();
+            for (const [sessionIndex, start] of projection) {
+                const session = sessions[sessionIndex];
+                const seen = new Set();
+                for (let i = start; i < session.length; i++) {
+                    if (seen.has(session[i])) continue;
+                    seen.add(session[i]);
+                    if (!firstMatch.has(session[i])) firstMatch.set(session[i], []);
+                    firstMatch.get(session[i]).push([sessionIndex, i + 1]);
+                }
+            }
+            for (const [activity, projected] of firstMatch) {
+                if (projected.length < minSupport) continue;
+                const path = [...prefix, activity];
+                if (path.length > 1) {
+                    paths.push({ path, support: projected.length, support_rate: Math.round((projected.length / sessions.length) * 1000) / 1000 });
+                }
+                if (path.length < maxLength) grow(path, projected);
+            }
+        };
+        grow([], sessions.map((_, index) => [index, 0]));
+
+        paths.sort((a, b) => b.support - a.support || b.path.length - a.path.length);
+        return { sessions: sessions.length, min_support: minSupport, paths: paths.slice(0, maxPaths) };
+    }
+}
+
+// === PII DETECTION & REDACTION ENGINE ===
+// Value detectors find personal data wherever it is stored. Each returns the
+// { index, match } spans inside a string; checksummed formats are verified
+// before matching. All detectors run on the original text and overlaps go to
+// the first detector in DETECTOR_PRIORITY, so a valid IBAN is never a phone.
+const PII_DETECTORS = {
+    email: text => matchAll(text, /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g),
+    phone: text => matchAll(maskNonPhoneShapes(text), /\+?\(?\d[\d\s().-]{6,}\d/g)
+        .filter(({ match }) => isPhoneShaped(match)),
+    iban: text => matchAll(text, /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g)
+        .filter(({ match }) => isValidIban(match)),
+    credit_card: text => matchAll(text, /\b\d(?:[ -]?\d){12,18}\b/g)
+        .filter(({ match }) => passesLuhn(match) && !isEpochMillis(match)),
+    ip: text => matchAll(text,
+        /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[A-Fa-f0-9]{1,4}:){7}[A-Fa-f0-9]{1,4}\b/g)
+};
+const DETECTOR_PRIORITY = ['iban', 'credit_card', 'email', 'ip', 'phone'];
+
+// Dates, times and dotted quads are digit runs with separators too
+const NOT_PHONE_PATTERN = new RegExp([
+    /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/.source,
+    /\b\d{1,2}[./-]\d{1,2}[./-]\d{2,4}\b/.source,
+    /\b\d{1,2}:\d{2}(?::\d{2})?\b/.source,
+    /\b(?:\d{1,3}\.){3}\d{1,3}\b/.source
+].join('|'), 'g');
+// Epoch milliseconds from 2000 to 2100, which the Luhn check passes one time in ten
+const EPOCH_MS_RANGE = [946684800000, 4102444800000];
+
+function matchAll(text, pattern) {
+    return Array.from(text.matchAll(pattern), match => ({ index: match.index, match: match[0] }));
+}
+
+// Same length, so match offsets still point into the original text
+function maskNonPhoneShapes(text) {
+    return text.replace(NOT_PHONE_PATTERN, shape => '_'.repeat(shape.length));
+}
+
+// 8 to 15 digits (E.164) written like a phone number: a leading '+' or
+// grouped by separators. A bare run of digits is an id or an amount.
+function isPhoneShaped(candidate) {
+    const digits = candidate.replace(/\D/g, '').length;
+    return digits >= 8 && digits <= 15 && (candidate.startsWith('+') || /[\s().-]/.test(candidate));
+}
+
+function isEpochMillis(candidate) {
+    if (!/^\d+$/.test(candidate)) return false;
+    const number = Number(candidate);
+    return number >= EPOCH_MS_RANGE[0] && number <= EPOCH_MS_RANGE[1];
+}
+
+// Highest priority detector first, then the earlier rule, then the longer match
+function resolveOverlaps(candidates) {
+    const ordered = candidates.slice().sort((a, b) =>
+        DETECTOR_PRIORITY.indexOf(a.detector) - DETECTOR_PRIORITY.indexOf(b.detector) ||
+        a.ruleIndex - b.ruleIndex ||
+        (b.end - b.start) - (a.end - a.start) ||
+        a.start - b.start);
+    const accepted = [];
+    for (const candidate of ordered) {
+        if (accepted.every(hit => candidate.end <= hit.start || candidate.start >= hit.end)) accepted.push(candidate);
+    }
+    return accepted.sort((a, b) => a.start - b.start);
+}
+
+function passesLuhn(candidate) {
+    const digits = candidate.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function isValidIban(candidate) {
+    const iban = candidate.replace(/ /g, '');
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+        for (const digit of code) remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+// Applies redaction rules to a decoded event and records what changed.
+// Rule: { key: 'email' | 'card_*' | /regex/, path: 'context.items[*].email',
+//         detect: 'email' | [...] , mode: 'redact' | 'hash' | 'truncate' | 'drop', keep }
+class HDDRedactor {
+    static DEFAULT_KEYS = ['user_id', 'email', 'password', 'token', 'ssn', 'credit_card', 'phone', 'apikey'];
+    static DROP = Symbol('drop');
+
+    constructor(options = {}) {
+        this.mode = options.mode || 'redact';
+        this.salt = options.salt || '';
+        this.keep = options.keep ?? 4;
+        this.rules = [];
+        for (const key of options.keysToSanitize || HDDRedactor.DEFAULT_KEYS) {
+            this.rules.push({ key, mode: this.mode });
+        }
+        for (const detector of options.detectors || []) {
+            this.rules.push({ detect: detector, mode: this.mode });
+        }
+        this.rules.push(...(options.rules || []));
+        this.rules = this.rules.map(rule => this._compile(rule));
+        this.includeValue = options.includeValue ?? this.rules.some(rule => rule.detect || rule.path);
+        this.changes = [];
+    }
+
+    apply(decoded) {
+        const context = decoded.context && typeof decoded.context === 'object' ?
+            this._walk(decoded.context, ['context']) : decoded.context;
+        let value = decoded.value;
+        if (this.includeValue) {
+            value = this._visit(value, ['value'], null);
+            if (value === HDDRedactor.DROP) value = null;
+        }
+        return { ...decoded, value, context: context === HDDRedactor.DROP ? null : context };
+    }
+
+    _walk(node, path) {
+        if (Array.isArray(node)) {
+            return node
+                .map((item, index) => this._visit(item, path.concat(String(index)), null))
+                .filter(item => item !== HDDRedactor.DROP);
+        }
+        const result = {};
+        for (const [key, val] of Object.entries(node)) {
+            const visited = this._visit(val, path.concat(key), key);
+            if (visited !== HDDRedactor.DROP) result[key] = visited;
+        }
+        return result;
+    }
+
+    _visit(value, path, key) {
+        const byPath = this.rules.find(rule => rule.path && this._pathMatches(rule.path, path));
+        if (byPath) return this._transform(value, byPath, path, 'path');
+
+        const byKey = key !== null && this.rules.find(rule => rule.key && rule.key.test(key));
+        if (byKey) return this._transform(value, byKey, path, 'key');
+
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            return this._walk(value, path);
+        }
+        if (typeof value === 'string' || typeof value === 'number') {
+            return this._detect(value, path);
+        }
+        return value;
+    }
+
+    _detect(value, path) {
+        const text = String(value);
+        const candidates = [];
+        this.rules.forEach((rule, ruleIndex) => {
+            if (!rule.detect) return;
+            for (const detector of rule.detect) {
+                // Plain numbers are only card candidates
+                if (typeof value === 'number' && detector !== 'credit_card') continue;
+                for (const { index, match } of PII_DETECTORS[detector](text)) {
+                    candidates.push({ start: index, end: index + match.length, match, detector, rule, ruleIndex });
+                }
+            }
+        });
+        const hits = resolveOverlaps(candidates);
+        if (hits.length === 0) return value;
+
+        // One change per rule and detector, however often it matched
+        const drops = hits.filter(hit => hit.rule.mode === 'drop');
+        const recorded = new Set();
+        for (const hit of drops.length > 0 ? drops : hits) {
+            if (recorded.has(hit.ruleIndex + ':' + hit.detector)) continue;
+            recorded.add(hit.ruleIndex + ':' + hit.detector);
+            this._record(path, hit.rule.mode, 'detector', hit.detector);
+        }
+        if (drops.length > 0) return HDDRedactor.DROP;
+
+        // Right to left, so the offsets of earlier hits stay valid
+        let result = text;
+        for (const hit of hits.slice().reverse()) {
+            result = result.slice(0, hit.start) + this._mask(hit.match, hit.rule) + result.slice(hit.end);
+        }
+        return result;
+    }
+
+    _transform(value, rule, path, reason) {
+        this._record(path, rule.mode, reason);
+        if (rule.mode === 'drop') return HDDRedactor.DROP;
+        if (value === null || value === undefined) return value;
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return this._mask(text, rule);
+    }
+
+    _mask(text, rule) {
+        switch (rule.mode) {
+            case 'hash':
+                return 'hash:' + loadCrypto().createHash('sha256')
+                    .update(this.salt + text).digest('hex').slice(0, 16);
+            case 'truncate': {
+                const keep = rule.keep ?? this.keep;
+                const visible = keep > 0 ? text.slice(-keep) : '';
+                return '*'.repeat(Math.max(text.length - visible.length, 0)) + visible;
+            }
+            default:
+                return '[REDACTED]';
+        }
+    }
+
+    _record(path, mode, reason, detector) {
+        const change = { path: HDDRedactor._formatPath(path), mode, reason };
+        if (detector) change.detector = detector;
+        this.changes.push(change);
+    }
+
+    _compile(rule) {
+        const compiled = { ...rule, mode: rule.mode || this.mode };
+        if (!['redact', 'hash', 'truncate', 'drop'].includes(compiled.mode)) {
+            throw new Error(`Unknown redaction mode: ${compiled.mode}`);
+        }
+        if (rule.key !== undefined) {
+            compiled.key = rule.key instanceof RegExp ? rule.key : HDDRedactor._globToRegExp(rule.key);
+        }
+        if (rule.path !== undefined) compiled.path = HDDRedactor._parsePath(rule.path);
+        if (rule.detect !== undefined) {
+            compiled.detect = [].concat(rule.detect);
+            const unknown = compiled.detect.find(name => !PII_DETECTORS[name]);
+            if (unknown) throw new Error(`Unknown PII detector: ${unknown}`);
+        }
+        return compiled;
+    }
+
+    static _globToRegExp(glob) {
+        const source = String(glob).replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp('^' + source + '$');
+    }
+
+    // '$.context.items[*].email', 'value.card', '$..email' ('..' = any depth);
+    // paths without a 'context' or 'value' root are relative to the context
+    static _parsePath(path) {
+        const segments = String(path).replace(/^\$\.?/, '')
+            .replace(/\[(\*|\d+)\]/g, '.$1')
+            .split(/(\.\.|\.)/)
+            .reduce((acc, part) => {
+                if (part === '..') acc.push('**');
+                else if (part !== '.' && part !== '') acc.push(part);
+                return acc;
+            }, []);
+        if (segments[0] === 'context' || segments[0] === 'value' || segments[0] === '**') return segments;
+        return ['context', ...segments];
+    }
+
+    _pathMatches(pattern, path) {
+        const match = (p, i) => {
+            if (p === pattern.length) return i === path.length;
+            if (pattern[p] === '**') {
+                for (let skip = i; skip <= path.length; skip++) {
+                    if (match(p + 1, skip)) return true;
+                }
+                return false;
+            }
+            return i < path.length && (pattern[p] === '*' || pattern[p] === path[i]) && match(p + 1, i + 1);
+        };
+        return match(0, 0);
+    }
+
+    static _formatPath(path) {
+        return path.reduce((text, segment) =>
+            /^\d+$/.test(segment) ? `${text}[${segment}]` : (text ? `${text}.${segment}` : segment), '');
+    }
+}
+
+// === FIELD-LEVEL ENCRYPTION ENGINE ===
+// Selected values are replaced by AES-256-GCM envelopes, so the event stays a
+// valid HDD string with its activity and timestamp in the clear:
+// { "$hdd_enc": 1, "alg": "A256GCM", "kid": "2025-q1", "iv": "...", "tag": "...", "ct": "..." }
+// The plaintext is the JSON of the original value, so types round-trip, and
+// the field path is bound as additional authenticated data. encrypt/decrypt
+// use Node's crypto module; the async variants run on WebCrypto and produce
+// the same envelopes.
+class HDDFieldCipher {
+    static MARKER = '$hdd_enc';
+    static ALGORITHM = 'A256GCM';
+    static TAG_LENGTH = 16;
+
+    static isEnvelope(value) {
+        return !!value && typeof value === 'object' && value[HDDFieldCipher.MARKER] === 1;
+    }
+
+    static encrypt(plain, path, key, keyId) {
+        const crypto = loadCrypto();
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', HDDFieldCipher._keyBytes(key, crypto), iv);
+        cipher.setAAD(Buffer.from(path));
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(plain), 'utf8'), cipher.final()]);
+        return HDDFieldCipher._envelope(iv, cipher.getAuthTag(), ciphertext, keyId);
+    }
+
+    static async encryptAsync(plain, path, key, keyId) {
+        const webCrypto = loadWebCrypto();
+        const iv = webCrypto.getRandomValues(new Uint8Array(12));
+        const cryptoKey = await HDDFieldCipher._webKey(key, 'encrypt', webCrypto);
+        const sealed = new Uint8Array(await webCrypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: utf8Bytes(path) }, cryptoKey, utf8Bytes(JSON.stringify(plain))));
+        // WebCrypto appends the tag to the ciphertext
+        const split = sealed.length - HDDFieldCipher.TAG_LENGTH;
+        return HDDFieldCipher._envelope(iv, sealed.subarray(split), sealed.subarray(0, split), keyId);
+    }
+
+    // `keys` is a single key, a { kid: key } map or a (kid) => key resolver
+    static decrypt(envelope, path, keys) {
+        const crypto = loadCrypto();
+        const key = HDDFieldCipher._resolveKey(envelope, keys);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', HDDFieldCipher._keyBytes(key, crypto),
+            Buffer.from(envelope.iv, 'base64url'));
+        decipher.setAAD(Buffer.from(path));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64url'));
+        try {
+            const plain = Buffer.concat([
+                decipher.update(Buffer.from(envelope.ct, 'base64url')),
+                decipher.final()
+            ]);
+            return JSON.parse(plain.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Decryption failed for ${path}: wrong key or tampered ciphertext`);
+        }
+    }
+
+    static async decryptAsync(envelope, path, keys) {
+        const webCrypto = loadWebCrypto();
+        const cryptoKey = await HDDFieldCipher._webKey(HDDFieldCipher._resolveKey(envelope, keys), 'decrypt', webCrypto);
+        const ciphertext = fromBase64Url(envelope.ct);
+        const tag = fromBase64Url(envelope.tag);
+        const sealed = new Uint8Array(ciphertext.length + tag.length);
+        sealed.set(ciphertext);
+        sealed.set(tag, ciphertext.length);
+        try {
+            const plain = await webCrypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64Url(envelope.iv), additionalData: utf8Bytes(path) }, cryptoKey, sealed);
+            return JSON.parse(new TextDecoder().decode(plain));
+        } catch (error) {
+            throw new Error(`Decryption failed for ${path}: wrong key or tampered ciphertext`);
+        }
+    }
+
+    static _envelope(iv, tag, ciphertext, keyId) {
+        const envelope = {
+            [HDDFieldCipher.MARKER]: 1,
+            alg: HDDFieldCipher.ALGORITHM,
+            iv: toBase64Url(iv),
+            tag: toBase64Url(tag),
+            ct: toBase64Url(ciphertext)
+        };
+        if (keyId !== undefined) envelope.kid = keyId;
+        return envelope;
+    }
+
+    static _resolveKey(envelope, keys) {
+        const key = typeof keys === 'function' ? keys(envelope.kid) :
+            HDDFieldCipher._isKeyMaterial(keys) ? keys : (keys || {})[envelope.kid];
+        if (!key) throw new Error(`No decryption key for key id '${envelope.kid}'`);
+        if (envelope.alg !== HDDFieldCipher.ALGORITHM) throw new Error(`Unsupported algorithm ${envelope.alg}`);
+        return key;
+    }
+
+    static _isKeyMaterial(key) {
+        return typeof key === 'string' || key instanceof Uint8Array || isWebCryptoKey(key) ||
+            (!!key && typeof key === 'object' && key.type === 'secret' && typeof key.export === 'function');
+    }
+
+    // Raw 32 bytes (Buffer/Uint8Array), a secret KeyObject, or base64/hex text
+    static _keyBytes(key, crypto) {
+        if (typeof key === 'object' && key.type === 'secret') return key;
+        const bytes = typeof key === 'string' ?
+            Buffer.from(key, /^[0-9a-f]{64}$/i.test(key) ? 'hex' : 'base64') : Buffer.from(key);
+        if (bytes.length !== 32) throw new Error('AES-256-GCM keys must be 32 bytes');
+        return crypto.createSecretKey(bytes);
+    }
+
+    // The same key forms, plus AES-GCM CryptoKeys, without Buffer
+    static async _webKey(key, usage, webCrypto) {
+        if (isWebCryptoKey(key)) return key;
+        let bytes;
+        if (typeof key === 'string') {
+            bytes = /^[0-9a-f]{64}$/i.test(key) ?
+                Uint8Array.from(key.match(/../g), byte => parseInt(byte, 16)) : HDDFieldCipher._base64Bytes(key);
+        } else {
+            bytes = typeof key === 'object' && key.type === 'secret' ? key.export() : key;
+        }
+        if (!(bytes instanceof Uint8Array) || bytes.length !== 32) throw new Error('AES-256-GCM keys must be 32 bytes');
+        return webCrypto.subtle.importKey('raw', bytes, 'AES-GCM', false, [usage]);
+    }
+
+    static _base64Bytes(text) {
+        try {
+            return fromBase64Url(text);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// === N-GRAM MARKOV MODEL (Trainable, Serializable) ===
+// Counts every context of length 0..order within sessions. Prediction uses the
+// longest context seen at least `minSupport` times and backs off to shorter
+// ones; additive smoothing keeps unseen transitions above zero.
+class HDDMarkovModel {
+    static FORMAT = 'hdd-markov';
+    static MAX_ORDER = 5;
+
+    constructor(options = {}) {
+        this.order = Math.min(Math.max(parseInt(options.order, 10) || 1, 1), HDDMarkovModel.MAX_ORDER);
+        this.smoothing = options.smoothing ?? 0.1;
+        this.sessionGap = options.sessionGap ? parseDuration(options.sessionGap, 'session gap') : null;
+        this.minSupport = options.minSupport || 1;
+        // counts[k][contextKey][next] for contexts of length k
+        this.counts = Array.from({ length: this.order + 1 }, () => ({}));
+        this.vocabulary = new Set();
+        this.trainedEvents = 0;
+        this.sessions = 0;
+        this._session = [];
+        this._lastTimestamp = null;
+    }
+
+    // Accepts HDD strings or decoded events; may be called repeatedly
+    train(events) {
+        for (const event of HDDIntelligence.decodeEvents(events).decoded) {
+            if (this._startsSession(event.timestamp, this._lastTimestamp)) {
+                this._session = [];
+                this.sessions++;
+            }
+            this._lastTimestamp = event.timestamp;
+
+            for (let k = 0; k <= Math.min(this.order, this._session.length); k++) {
+                const key = HDDMarkovModel._key(this._session.slice(this._session.length - k));
+                const row = this.counts[k][key] || (this.counts[k][key] = {});
+                row[event.activity] = (row[event.activity] || 0) + 1;
+            }
+            this.vocabulary.add(event.activity);
+            this._session.push(event.activity);
+            if (this._session.length > this.order) this._session.shift();
+            this.trainedEvents++;
+        }
+        return this;
+    }
+
+    // The next train() call starts a fresh session, e.g. for another subject
+    endSession() {
+        this._session = [];
+        this._lastTimestamp = null;
+        return this;
+    }
+
+    // `history` is the recent activity sequence (HDD strings or decoded events)
+    predict(history = []) {
+        const decoded = HDDIntelligence.decodeEvents(history).decoded;
+        const session = this._currentSession(decoded);
+
+        for (let k = Math.min(this.order, session.length); k >= 0; k--) {
+            const context = session.slice(session.length - k);
+            const row = this.counts[k][HDDMarkovModel._key(context)];
+            const support = row ? Object.values(row).reduce((sum, count) => sum + count, 0) : 0;
+            if (support < this.minSupport) continue;
+
+            const alternatives = this._distribution(row, support);
+            return {
+                next: alternatives[0].activity,
+                confidence: alternatives[0].probability,
+                pattern: HDDIntelligence._determinePatternType(session.length ? session : [alternatives[0].activity],
+                    alternatives[0].probability),
+                order_used: k,
+                context,
+                support,
+                alternatives: alternatives.slice(0, 3)
+            };
+        }
+
+        return { next: null, confidence: 0, pattern: 'no_transitions', order_used: null, context: session, support: 0 };
+    }
+
+    toJSON() {
+        return {
+            format: HDDMarkovModel.FORMAT,
+            version: CURRENT_VERSION,
+            order: this.order,
+            smoothing: this.smoothing,
+            sessionGap: this.sessionGap,
+            minSupport: this.minSupport,
+            vocabulary: Array.from(this.vocabulary),
+            counts: this.counts,
+            trained_events: this.trainedEvents,
+            sessions: this.sessions
+        };
+    }
+
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.format !== HDDMarkovModel.FORMAT || !Array.isArray(data.counts)) {
+            throw new Error('Invalid HDD Markov model');
+        }
+        const model = new HDDMarkovModel(data);
+        model.counts = data.counts.slice(0, model.order + 1);
+        model.vocabulary = new Set(data.vocabulary);
+        model.trainedEvents = data.trained_events || 0;
+        model.sessions = data.sessions || 0;
+        return model;
+    }
+
+    _distribution(row, support) {
+        const alpha = this.smoothing;
+        const denominator = support + alpha * this.vocabulary.size;
+        return Array.from(this.vocabulary)
+            .map(activity => ({
+                activity,
+                probability: Math.round(((row[activity] || 0) + alpha) / denominator * 100) / 100,
+                count: row[activity] || 0
+            }))
+            .filter(entry => entry.count > 0 || alpha > 0)
+            .sort((a, b) => b.count - a.count || b.probability - a.probability)
+            .map(({ activity, probability }) => ({ activity, probability }));
+    }
+
+    // Only the part of the history after the last inactivity gap is context
+    _currentSession(decoded) {
+        let start = 0;
+        for (let i = 1; i < decoded.length; i++) {
+            if (this._startsSession(decoded[i].timestamp, decoded[i - 1].timestamp)) start = i;
+        }
+        return decoded.slice(start).map(event => event.activity).slice(-this.order);
+    }
+
+    _startsSession(timestamp, previous) {
+        if (previous === null) return true;
+        return !!this.sessionGap && timestamp - previous > this.sessionGap;
+    }
+
+    static _key(context) {
+        return JSON.stringify(context);
+    }
+}
+
+// === HDD API ULTRA - THE COMPLETE 10-POWER IMPLEMENTATION ===
+class HDDApi {
+    // CORE EXPOSURE
+    static encode = encode;
+    static decode = decode;
+    static encodeBatch = encodeBatch;
+    static decodeBatch = decodeBatch;
+    static setClock = setClock;
+    static setLogger = setLogger;
+    static setStrictMode = setStrictMode;
+    static HDDError = HDDError;
+    static HDDEncodeError = HDDEncodeError;
+    static HDDDecodeError = HDDDecodeError;
+    static HDDAnalyzer = HDDAnalyzer;
+    static HDDMarkovModel = HDDMarkovModel;
+    static HDDAnomalyDetector = HDDAnomalyDetector;
+    static HDDQueryError = HDDQuery ? HDDQuery.HDDQueryError : undefined;
+    static registerMigration = registerMigration;
+    static migrate = migrate;
+    static getVersionCapabilities = getVersionCapabilities;
+    static registerSchema = registerSchema;
+    static getSchema = getSchema;
+    static SEPARATOR = SEPARATOR;
+    static VERSION = CURRENT_VERSION;
+
+    // POWER #5: QUANTUM EVENT ANALYTICS
+    // Accepts an array of HDD strings or a single encodeBatch() container;
+    // an HDDStore resolves asynchronously over options.from / to / activity
+    static analyzePattern(hddEvents, options = {}) {
+        if (this._isStore(hddEvents)) return this._analyzeStore(hddEvents, options);
+        hddEvents = this._loadEvents(hddEvents, options);
+        if (!Array.isArray(hddEvents)) return hddEvents;
+        if (options.subjectKey) return this._analyzeBySubject(hddEvents, options);
+
+        // Single pass: every event is decoded exactly once
+        const analyzer = new HDDAnalyzer({ maxRejections: Infinity, strict: options.strict });
+        for (const event of hddEvents) analyzer.push(event);
+        return analyzer.snapshot();
+    }
+
+    // An HDDStore (hdd-store.js) plus options.from / to / activity: resolves to
+    // the analyzePattern result. Without subjects the scan is streamed into
+    // one analyzer, so memory does not grow with the range.
+    static async _analyzeStore(store, options) {
+        const scanOptions = { from: options.from, to: options.to, activity: options.activity };
+        if (options.subjectKey) {
+            const events = await store.range(scanOptions);
+            return this.analyzePattern(events, { ...options, maxEvents: Math.max(events.length, 1) });
+        }
+        const analyzer = new HDDAnalyzer({ lookback: options.lookback, maxRejections: options.maxRejections ?? 100, strict: options.strict });
+        for await (const record of store.scan(scanOptions)) analyzer.push(record.event);
+        return analyzer.snapshot();
+    }
+
+    static _isStore(source) {
+        return !!source && typeof source === 'object' &&
+            typeof source.scan === 'function' && typeof source.append === 'function';
+    }
+
+    // One analyzer per subject, so transitions and intervals never mix
+    // timelines; the cohort block aggregates across subjects
+    static _analyzeBySubject(hddEvents, options) {
+        const { decoded, rejections } = HDDIntelligence.decodeEvents(hddEvents, 0, options.strict);
+        const { partitions, unassigned } = partitionBySubject(decoded, options.subjectKey);
+
+        const subjects = {};
+        for (const [subject, events] of partitions) {
+            const analyzer = new HDDAnalyzer({ lookback: options.lookback, maxRejections: Infinity });
+            for (const event of events) analyzer.push(event);
+            subjects[subject] = analyzer.snapshot();
+        }
+
+        return {
+            subject_key: options.subjectKey,
+            cohort: this._summarizeCohort(Object.values(subjects), {
+                total_events: hddEvents.length,
+                rejected: rejections.length,
+                unassigned_events: unassigned
+            }),
+            subjects,
+            rejections
+        };
+    }
+
+    static _summarizeCohort(results, counts) {
+        const eventCounts = results.map(result => result.event_metrics.total);
+        const activityDistribution = {};
+        const trends = { accelerating: 0, decelerating: 0, stable: 0 };
+        const predictedNext = {};
+        const intervals = [];
+        for (const result of results) {
+            const insights = result.behavioral_insights;
+            for (const [activity, count] of Object.entries(insights.activity_distribution)) {
+                activityDistribution[activity] = (activityDistribution[activity] || 0) + count;
+            }
+            if (insights.temporal_pattern) {
+                trends[insights.temporal_pattern.trend]++;
+                intervals.push(insights.temporal_pattern.average_interval_ms);
+            }
+            if (insights.prediction.next) {
+                predictedNext[insights.prediction.next] = (predictedNext[insights.prediction.next] || 0) + 1;
+            }
+        }
+        const summarize = values => values.length === 0 ? null : {
+            mean: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100,
+            median: HDDAnomalyDetector._median(values),
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+
+        return {
+            subjects: results.length,
+            ...counts,
+            events_per_subject: summarize(eventCounts),
+            activity_distribution: activityDistribution,
+            most_frequent_activity: this._findMostFrequent(activityDistribution),
+            average_interval_ms: summarize(intervals),
+            trends,
+            predicted_next: predictedNext
+        };
+    }
+
+    // POWER #5b: STREAMING EVENT ANALYTICS
+    // Accepts a Node stream, an async iterable of chunks or a string of
+    // newline-delimited HDD events; resolves to the analyzePattern result.
+    static async analyzeStream(source, options = {}) {
+        if (!HDDStream) throw new Error('HDD API: hdd-stream.js is required for stream analysis');
+        const analyzer = new HDDAnalyzer(options);
+        for await (const line of HDDStream.readLines(source)) {
+            if (line.trim() !== '') analyzer.push(line);
+        }
+        return analyzer.snapshot();
+    }
+
+    // POWER #5c: QUERY & AGGREGATION DSL
+    // `expr` is a filter string such as
+    //   "activity ~ 'purchase*' and context.device == 'mobile' and timestamp >= now-7d"
+    // or { where, from, to, groupBy, aggregate, limit }. Filters return the
+    // matching decoded events; groupBy/aggregate return computed rows instead.
+    static query(hddEvents, expr, options = {}) {
+        if (!HDDQuery) throw new Error('HDD API: hdd-query.js is required for queries');
+        hddEvents = this._loadEvents(hddEvents, options);
+        if (!Array.isArray(hddEvents)) return hddEvents;
+
+        const { decoded, rejections } = HDDIntelligence.decodeEvents(hddEvents);
+        const result = HDDQuery.runQuery(decoded, expr);
+        return { scanned: hddEvents.length, rejected: rejections.length, ...result };
+    }
+
+    // POWER #5d: TIME-BUCKETED ROLLUPS
+    // Per-bucket counts, value sums and per-activity breakdowns; empty buckets
+    // between the first and last event are filled so the trend sees silences.
+    static rollup(hddEvents, options = {}) {
+        const maxBuckets = options.maxBuckets || 10000;
+        hddEvents = this._loadEvents(hddEvents, options);
+        if (!Array.isArray(hddEvents)) return hddEvents;
+
+        const buckets = new HDDTimeBuckets(options.bucket || '1h', options.tz || 'UTC');
+        const { decoded, rejections } = HDDIntelligence.decodeEvents(hddEvents);
+        const rows = new Map();
+        for (const event of decoded) {
+            if (typeof event.timestamp !== 'number') continue;
+            const start = buckets.startOf(event.timestamp);
+            if (!rows.has(start)) rows.set(start, HDDApi._emptyBucket(buckets, start));
+            const row = rows.get(start);
+            const numeric = typeof event.value === 'number' && Number.isFinite(event.value) ? event.value : 0;
+            row.count++;
+            row.value_sum += numeric;
+            const activity = row.activities[event.activity] ||
+                (row.activities[event.activity] = { count: 0, value_sum: 0 });
+            activity.count++;
+            activity.value_sum += numeric;
+        }
+
+        const starts = Array.from(rows.keys()).sort((a, b) => a - b);
+        const series = [];
+        if (starts.length > 0) {
+            const last = starts[starts.length - 1];
+            for (let start = starts[0]; start <= last; start = buckets.next(start)) {
+                if (series.length >= maxBuckets) {
+                    return {
+                        error: `Too many buckets, maximum is ${maxBuckets}; use a larger bucket size`,
+                        code: 'EXCEEDED_LIMIT'
+                    };
+                }
+                const row = rows.get(start) || HDDApi._emptyBucket(buckets, start);
+                row.unique_activities = Object.keys(row.activities).length;
+                series.push(row);
+            }
+        }
+
+        const regression = HDDIntelligence.linearRegression(series.map(row => row.count));
+        const direction = HDDIntelligence.classifyTrend(regression.slope, regression.rSquared, series.length, regression.mean);
+        return {
+            bucket: buckets.bucket,
+            tz: buckets.tz,
+            total_events: hddEvents.length,
+            rejected: rejections.length,
+            buckets: series,
+            trend: {
+                direction: direction === 'rising' ? 'increasing' : direction === 'falling' ? 'decreasing' : 'stable',
+                slope_per_bucket: Math.round(regression.slope * 1000) / 1000,
+                confidence: Math.round(regression.rSquared * 100) / 100
+            }
+        };
+    }
+
+    static _emptyBucket(buckets, start) {
+        return { start, label: buckets.label(start), count: 0, value_sum: 0, unique_activities: 0, activities: {} };
+    }
+
+    // Shared input handling: an array of events or an HDDB batch string,
+    // capped at options.maxEvents. Returns the array or an error result.
+    static _loadEvents(hddEvents, options = {}) {
+        const maxEvents = options.maxEvents || 10000;
+        if (isBatch(hddEvents)) {
+            hddEvents = decodeBatch(hddEvents);
+            if (!hddEvents) return { error: 'Invalid HDD batch', code: 'INVALID_BATCH' };
+        }
+        if (!Array.isArray(hddEvents)) {
+            return { error: 'Invalid events array', code: 'INVALID_INPUT' };
+        }
+        if (hddEvents.length > maxEvents) {
+            return { 
+                error: `Too many events (${hddEvents.length}), maximum is ${maxEvents}`,
+                code: 'EXCEEDED_LIMIT'
+            };
+        }
+        return hddEvents;
+    }
+
     static _categorizeImpact(averageImpact) {
         if (averageImpact > 5) return 'high';
         if (averageImpact > 2) return 'medium';
@@ -365,7 +1761,7 @@ class HDDApi {
             ...decoded.context,
             ...additionalContext,
             _metadata: {
-                injected: Date.now(),
+                injected: now(),
                 source: options.source || 'hdd_api',
                 version: this.VERSION,
                 operation: 'context_injection'
@@ -373,14 +1769,43 @@ class HDDApi {
         };
 
         try {
-            return encode(decoded.activity, decoded.value, enrichedContext, decoded.version);
+            return encode({
+                activity: decoded.activity,
+                value: decoded.value,
+                context: enrichedContext,
+                version: decoded.version,
+                timestamp: decoded.timestamp
+            });
         } catch (error) {
             throw new Error('Failed to encode enriched event: ' + error.message);
         }
     }
 
+    // POWER #7b: ANOMALY DETECTION
+    // Runs HDDAnomalyDetector over the events in order; every event is scored
+    // only against the events before it.
+    static detectAnomalies(hddEvents, options = {}) {
+        hddEvents = this._loadEvents(hddEvents, options);
+        if (!Array.isArray(hddEvents)) return hddEvents;
+
+        const detector = new HDDAnomalyDetector(options);
+        const anomalies = [];
+        for (const event of hddEvents) anomalies.push(...detector.push(event));
+        const byType = {};
+        for (const anomaly of anomalies) byType[anomaly.type] = (byType[anomaly.type] || 0) + 1;
+        return {
+            total_events: detector.total,
+            rejected: detector.rejected,
+            anomaly_count: anomalies.length,
+            by_type: byType,
+            anomalies
+        };
+    }
+
     // POWER #7: PLUG-AND-PLAY EVENT ANALYTICS
-    static getEventAnalytics(hddEvent) {
+    // options.history (earlier events) or options.detector (a live
+    // HDDAnomalyDetector, which the event is pushed into) enable anomaly scoring
+    static getEventAnalytics(hddEvent, options = {}) {
         if (typeof hddEvent !== 'string') { 
             return { error: 'HDD event must be a string', code: 'INVALID_EVENT_FORMAT' }; 
         }
@@ -397,7 +1822,12 @@ class HDDApi {
 
         const impact = HDDIntelligence.calculateImpact(decoded.value);
         const complexity = HDDIntelligence.measureContextComplexity(decoded.context);
-        const age = Date.now() - decoded.timestamp;
+        const age = now() - decoded.timestamp;
+        const anomalies = this._scoreAgainstHistory(decoded, options);
+        const complexityLevel = complexity > 50 ? 'high' : complexity > 20 ? 'medium' : 'low';
+        const anomalyLevel = anomalies.some(anomaly => anomaly.score >= 0.75) ? 'high' :
+            anomalies.length > 0 ? 'medium' : 'low';
+        const levels = ['low', 'medium', 'high'];
 
         return {
             basic_metrics: {
@@ -413,25 +1843,52 @@ class HDDApi {
                 size_bytes: hddEvent.length
             },
             risk_assessment: {
-                level: complexity > 50 ? 'high' : complexity > 20 ? 'medium' : 'low',
-                issues: this._assessRiskFactors(decoded, complexity),
+                level: levels[Math.max(levels.indexOf(complexityLevel), levels.indexOf(anomalyLevel))],
+                issues: this._assessRiskFactors(decoded, complexity, anomalies),
+                anomalies,
                 recommendations: this._generateRecommendations(decoded, impact, complexity)
             },
             technical_metadata: {
-                version_compatibility: decoded.version === this.VERSION ? 'current' : 'legacy',
-                structure_valid: this._validateStructure(decoded),
+                version_compatibility: this._versionCompatibility(decoded.version),
+                version_capabilities: getVersionCapabilities(decoded.version),
+                schema_conformance: this._checkConformance(decoded),
+                context_integrity: decoded.integrity || 'not_enveloped',
                 estimated_processing_ms: Math.round(complexity * 0.1 + impact * 0.01)
             }
         };
     }
 
-    static _assessRiskFactors(decoded, complexity) {
+    static _scoreAgainstHistory(decoded, options) {
+        let detector = options.detector;
+        if (!detector) {
+            if (!Array.isArray(options.history)) return [];
+            detector = new HDDAnomalyDetector(options);
+            for (const event of options.history) detector.push(event);
+        }
+        return detector.push(decoded);
+    }
+    static _assessRiskFactors(decoded, complexity, anomalies = []) {
         const issues = [];
+        for (const anomaly of anomalies) issues.push(anomaly.type);
         if (complexity > 50) issues.push('high_context_complexity');
         if (!decoded.version || decoded.version !== this.VERSION) issues.push('version_mismatch');
         if (decoded.context && Object.keys(decoded.context).length > 20) issues.push('large_context_size');
         return issues.length > 0 ? issues : ['none'];
     }
+    static _versionCompatibility(version) {
+        const capabilities = getVersionCapabilities(version);
+        if (capabilities.relation === 'current') return 'current';
+        if (capabilities.can_normalize) return 'legacy';
+        return capabilities.relation === 'newer' ? 'future' : 'unsupported';
+    }
+    static _checkConformance(decoded) {
+        const validation = validateEvent(decoded);
+        return {
+            schema: validation.schema,
+            valid: validation.valid && this._validateStructure(decoded),
+            errors: validation.errors
+        };
+    }
     static _validateStructure(decoded) {
         return decoded && 
             typeof decoded.activity === 'string' && 
@@ -441,18 +1898,136 @@ class HDDApi {
     }
     
     // POWER #8: ADVANCED PREDICTION ENGINE
+    // options.model (trained model or its JSON) predicts without retraining;
+    // options.order / smoothing / sessionGap train an n-gram model on `events`.
+    // options.subjectKey predicts per subject (only `options.subject` when given);
+    // n-gram models are then trained on every subject's timeline separately.
+    // An HDDStore resolves asynchronously over options.from / to / activity.
     static predictNext(events, options = {}) {
+        if (this._isStore(events)) {
+            const { from, to, activity, ...predictOptions } = options;
+            return events.range({ from, to, activity }).then(range => this.predictNext(range, predictOptions));
+        }
+        if (options.subjectKey) return this._predictBySubject(events, options);
+        if (options.model) {
+            const model = options.model instanceof HDDMarkovModel ?
+                options.model : HDDMarkovModel.fromJSON(options.model);
+            return model.predict(Array.isArray(events) ? events : []);
+        }
+        if (options.order || options.sessionGap || options.smoothing !== undefined) {
+            if (!Array.isArray(events)) {
+                return { next: null, confidence: 0, pattern: 'insufficient_data', valid_events: 0 };
+            }
+            return new HDDMarkovModel(options).train(events).predict(events);
+        }
         const lookback = options.lookback && options.lookback >= 3 && options.lookback <= 50 ? 
             options.lookback : 10;
         return HDDIntelligence.detectActivityPattern(events, lookback);
     }
 
+    static _predictBySubject(events, options) {
+        const { subjectKey, subject, ...rest } = options;
+        const { decoded, rejections } = HDDIntelligence.decodeEvents(Array.isArray(events) ? events : []);
+        const { partitions, unassigned } = partitionBySubject(decoded, subjectKey);
+
+        let model = null;
+        if (rest.model) {
+            model = rest.model instanceof HDDMarkovModel ? rest.model : HDDMarkovModel.fromJSON(rest.model);
+        } else if (rest.order || rest.sessionGap || rest.smoothing !== undefined) {
+            model = new HDDMarkovModel(rest);
+            for (const timeline of partitions.values()) model.train(timeline).endSession();
+        }
+        const predict = timeline => model ? model.predict(timeline) : this.predictNext(timeline, rest);
+
+        if (subject !== undefined) {
+            const timeline = partitions.get(String(subject));
+            return timeline ? predict(timeline) :
+                { next: null, confidence: 0, pattern: 'unknown_subject', valid_events: 0 };
+        }
+
+        const subjects = {};
+        const predictedNext = {};
+        for (const [id, timeline] of partitions) {
+            const prediction = subjects[id] = predict(timeline);
+            if (prediction.next) predictedNext[prediction.next] = (predictedNext[prediction.next] || 0) + 1;
+        }
+        return {
+            subject_key: subjectKey,
+            cohort: {
+                subjects: partitions.size,
+                rejected: rejections.length,
+                unassigned_events: unassigned,
+                predicted_next: predictedNext
+            },
+            subjects
+        };
+    }
+
+    // Train once on a large history; persist with JSON.stringify(model)
+    static trainModel(events, options = {}) {
+        const model = new HDDMarkovModel(options);
+        if (!options.subjectKey) return model.train(Array.isArray(events) ? events : []);
+        const { decoded } = HDDIntelligence.decodeEvents(Array.isArray(events) ? events : []);
+        for (const timeline of partitionBySubject(decoded, options.subjectKey).partitions.values()) {
+            model.train(timeline).endSession();
+        }
+        return model;
+    }
+
+    static loadModel(json) {
+        return HDDMarkovModel.fromJSON(json);
+    }
+
+    // POWER #8b: FUNNELS & FREQUENT PATHS
+    // steps: ordered activities, e.g. ['view', 'add_to_cart', 'purchase'];
+    // options.maxGap (ms or '30m') bounds the time between consecutive steps,
+    // options.subjectKey follows each subject through the funnel separately.
+    static funnel(hddEvents, steps, options = {}) {
+        if (!Array.isArray(steps) || steps.length < 2) {
+            return { error: 'A funnel needs at least two steps', code: 'INVALID_STEPS' };
+        }
+        const timelines = this._loadTimelines(hddEvents, options);
+        if (timelines.error) return timelines;
+        return { ...timelines.summary, ...HDDSequenceMiner.funnel(timelines.timelines, steps, options) };
+    }
+
+    // options: minSupport (count, or a fraction of sessions when < 1),
+    // maxLength, sessionGap, maxPaths, subjectKey
+    static frequentPaths(hddEvents, options = {}) {
+        const timelines = this._loadTimelines(hddEvents, options);
+        if (timelines.error) return timelines;
+        return { ...timelines.summary, ...HDDSequenceMiner.frequentPaths(timelines.timelines, options) };
+    }
+
+    // One timeline per subject with options.subjectKey, otherwise a single one
+    static _loadTimelines(hddEvents, options) {
+        hddEvents = this._loadEvents(hddEvents, options);
+        if (!Array.isArray(hddEvents)) return hddEvents;
+
+        const { decoded, rejections } = HDDIntelligence.decodeEvents(hddEvents);
+        const summary = { total_events: hddEvents.length, rejected: rejections.length };
+        if (!options.subjectKey) return { summary, timelines: [decoded] };
+
+        const { partitions, unassigned } = partitionBySubject(decoded, options.subjectKey);
+        return {
+            summary: { ...summary, subjects: partitions.size, unassigned_events: unassigned },
+            timelines: Array.from(partitions.values())
+        };
+    }
+
     // POWER #9: ETERNAL VERSION GUARANTEE
-    static isUpdateRequired() {
-        return false;
+    // The library itself never needs an update. Given an event, reports
+    // whether it is on an older version that HDDApi.migrate() can upgrade.
+    static isUpdateRequired(hddEvent) {
+        if (hddEvent === undefined) return false;
+        const decoded = typeof hddEvent === 'string' ? decode(hddEvent) : hddEvent;
+        if (!decoded) return false;
+        const capabilities = getVersionCapabilities(decoded.version);
+        return capabilities.relation === 'older' && capabilities.can_normalize;
     }
 
     // POWER #10: SECURITY & COMPLIANCE ENGINE
+    // options: keysToSanitize, rules, detectors, mode, salt, keep, includeValue, report
     static sanitizeContext(hddEvent, options = {}) {
         if (typeof hddEvent !== 'string') throw new Error('HDD event must be a string');
         let decoded;
@@ -463,27 +2038,152 @@ class HDDApi {
         }
         if (!decoded) throw new Error('Failed to decode HDD event');
 
-        const sensitiveKeys = new Set(options.keysToSanitize || 
-            ['user_id', 'email', 'password', 'token', 'ssn', 'credit_card', 'phone', 'apikey']);
-        const context = decoded.context ? { ...decoded.context } : {};
+        const redactor = new HDDRedactor(options);
+        const sanitized = redactor.apply(decoded);
 
-        const sanitizeObject = (obj) => {
-            for (const key in obj) {
-                if (sensitiveKeys.has(key)) {
-                    obj[key] = '[REDACTED]';
-                } else if (obj[key] && typeof obj[key] === 'object' && !Array.isArray(obj[key]) && !(obj[key] instanceof Date)) {
-                    sanitizeObject(obj[key]);
-                }
+        let event;
+        try {
+            event = encode({
+                activity: sanitized.activity,
+                value: sanitized.value,
+                context: sanitized.context,
+                version: decoded.version,
+                timestamp: decoded.timestamp
+            });
+        } catch (error) {
+            throw new Error('Failed to encode sanitized event: ' + error.message);
+        }
+        if (!options.report) return event;
+
+        // Audit trail: where and how data changed - never the original values
+        return {
+            event,
+            report: {
+                activity: decoded.activity,
+                timestamp: decoded.timestamp,
+                sanitized_at: now(),
+                changed: redactor.changes.length > 0,
+                changes: redactor.changes
             }
         };
+    }
 
-        if (Object.keys(context).length > 0) sanitizeObject(context);
+    // POWER #10b: FIELD-LEVEL ENCRYPTION
+    // options: key (32 bytes), keyId, fields (context paths, default all
+    // top-level keys), encryptValue. Activity and timestamp stay readable.
+    // Needs Node's crypto module; encryptContextAsync runs on WebCrypto.
+    static encryptContext(hddEvent, options = {}) {
+        const { decoded, sealed, targets } = this._encryptionTargets(hddEvent, options);
+        for (const { parent, key, path } of targets) {
+            parent[key] = HDDFieldCipher.encrypt(parent[key], path, options.key, options.keyId);
+        }
+        return this._reencode(decoded, sealed.value, sealed.context, 'encrypted');
+    }
 
-        try {
-            return encode(decoded.activity, decoded.value, context, decoded.version);
-        } catch (error) {
-            throw new Error('Failed to encode sanitized event: ' + error.message);
+    static async encryptContextAsync(hddEvent, options = {}) {
+        const { decoded, sealed, targets } = this._encryptionTargets(hddEvent, options);
+        for (const { parent, key, path } of targets) {
+            parent[key] = await HDDFieldCipher.encryptAsync(parent[key], path, options.key, options.keyId);
         }
+        return this._reencode(decoded, sealed.value, sealed.context, 'encrypted');
+    }
+
+    // `keys`: the key, a { keyId: key } map for rotated keys, or a resolver function
+    static decryptContext(hddEvent, keys) {
+        const { decoded, sealed, targets } = this._envelopeTargets(hddEvent);
+        for (const { parent, key, path } of targets) {
+            parent[key] = HDDFieldCipher.decrypt(parent[key], path, keys);
+        }
+        return this._reencode(decoded, sealed.value, sealed.context, 'decrypted');
+    }
+
+    static async decryptContextAsync(hddEvent, keys) {
+        const { decoded, sealed, targets } = this._envelopeTargets(hddEvent);
+        for (const { parent, key, path } of targets) {
+            parent[key] = await HDDFieldCipher.decryptAsync(parent[key], path, keys);
+        }
+        return this._reencode(decoded, sealed.value, sealed.context, 'decrypted');
+    }
+
+    // Fields are dotted strings ('address.street', '\\.' for a literal dot) or
+    // arrays of keys. Default fields are the literal top-level keys, so a key
+    // named 'user.email' is never read as a path. A listed field that is not
+    // there throws instead of staying in the clear.
+    static _encryptionTargets(hddEvent, options) {
+        const decoded = this._decodeForRewrite(hddEvent);
+        if (!options.key) throw new Error('An encryption key is required');
+
+        // decode() returns fresh objects, so envelopes are written in place
+        const sealed = { value: decoded.value, context: decoded.context };
+        const context = decoded.context && typeof decoded.context === 'object' ? decoded.context : null;
+        const fields = options.fields ? options.fields.map(field => this._fieldSegments(field)) :
+            Object.keys(context || {}).map(key => [key]);
+
+        const targets = [];
+        for (const segments of fields) {
+            const parent = segments.slice(0, -1).reduce((node, key) =>
+                node && typeof node === 'object' && !HDDFieldCipher.isEnvelope(node) ? node[key] : undefined, context);
+            const leaf = segments[segments.length - 1];
+            if (!parent || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, leaf)) {
+                throw new Error(`Cannot encrypt context field '${segments.join('.')}': not found`);
+            }
+            if (HDDFieldCipher.isEnvelope(parent[leaf])) continue;
+            targets.push({ parent, key: leaf, path: 'context.' + segments.join('.') });
+        }
+
+        if (options.encryptValue && sealed.value !== null && !HDDFieldCipher.isEnvelope(sealed.value)) {
+            targets.push({ parent: sealed, key: 'value', path: 'value' });
+        }
+        return { decoded, sealed, targets };
+    }
+
+    static _fieldSegments(field) {
+        if (Array.isArray(field) && field.length > 0) return field.map(String);
+        if (typeof field !== 'string' || field === '') throw new Error(`Invalid context field ${JSON.stringify(field)}`);
+        const segments = [''];
+        for (let i = 0; i < field.length; i++) {
+            if (field[i] === '\\' && i + 1 < field.length) segments[segments.length - 1] += field[++i];
+            else if (field[i] === '.') segments.push('');
+            else segments[segments.length - 1] += field[i];
+        }
+        return segments;
+    }
+
+    // Every envelope in the value and context, with the path it was sealed under
+    static _envelopeTargets(hddEvent) {
+        const decoded = this._decodeForRewrite(hddEvent);
+        const sealed = { value: decoded.value, context: decoded.context };
+        const targets = [];
+        const collect = (parent, key, path) => {
+            const node = parent[key];
+            if (HDDFieldCipher.isEnvelope(node)) {
+                targets.push({ parent, key, path });
+            } else if (node && typeof node === 'object' && !(node instanceof Date)) {
+                for (const child of Object.keys(node)) collect(node, child, `${path}.${child}`);
+            }
+        };
+        collect(sealed, 'value', 'value');
+        collect(sealed, 'context', 'context');
+        return { decoded, sealed, targets };
+    }
+
+    static _decodeForRewrite(hddEvent) {
+        if (typeof hddEvent !== 'string') throw new Error('HDD event must be a string');
+        const decoded = decode(hddEvent);
+        if (!decoded) throw new Error('Failed to decode HDD event');
+        return decoded;
+    }
+
+    static _reencode(decoded, value, context, operation) {
+        const event = encode({
+            activity: decoded.activity,
+            value,
+            context,
+            version: decoded.version,
+            timestamp: decoded.timestamp
+        });
+        if (!event) throw new Error(`Failed to encode ${operation} event`);
+        return event;
     }
 
     // PRIVATE INTELLIGENCE GENERATOR
@@ -496,7 +2196,10 @@ class HDDApi {
             recommendations.push('Context may be too verbose - consider simplification'); 
         }
         if (!decodedEvent.version || decodedEvent.version !== this.VERSION) { 
-            recommendations.push('Consider updating to latest HDD format for optimal compatibility'); 
+            const capabilities = getVersionCapabilities(decodedEvent.version);
+            recommendations.push(capabilities.can_normalize ?
+                `Migrate to HDD ${this.VERSION} with HDDApi.migrate(event, '${this.VERSION}')` :
+                capabilities.notes[0]); 
         }
         if (complexity > 50) { 
             recommendations.push('High context complexity may affect performance - review structure'); 
@@ -504,15 +2207,56 @@ class HDDApi {
         return recommendations.length > 0 ? recommendations : ['No optimization required'];
     }
     
-    // System Integrity Check (Utility)
+    // Schema Validation (Utility) - accepts an HDD string or a decoded event
+    static validateEvent(hddEvent, options = {}) {
+        const decoded = typeof hddEvent === 'string' ? decode(hddEvent) : hddEvent;
+        if (!decoded) {
+            return {
+                valid: false,
+                schema: null,
+                errors: [{ field: 'event', code: 'INVALID_STRUCTURE', message: 'Invalid HDD event structure' }]
+            };
+        }
+        return validateEvent(decoded, options);
+    }
+
+    // Signature Verification (Utility) - 'valid', 'tampered' or 'unsigned'
+    static verifySignature(hddEvent, verifyOptions) {
+        if (typeof hddEvent !== 'string') throw new Error('HDD event must be a string');
+        const decoded = decode(hddEvent, { verify: verifyOptions });
+        if (!decoded) throw new Error('Failed to decode HDD event');
+        return decoded.signature;
+    }
+
+    // System Integrity Check (Utility). Without Node's crypto module the sync
+    // round trip is skipped and signing_works reports whether WebCrypto is there
+    // for HDD.signEvent / HDD.verifyEvent.
     static verifyIntegrity() {
         const testEvent = encode('test', 'value', { test: true });
         const decoded = decode(testEvent);
-        
+        const signingKey = 'hdd-integrity-check';
+        let signingWorks = false;
+        let signingBackend = null;
+        if (loadCrypto(true)) {
+            const signedEvent = encode({ activity: 'test', value: 'value', sign: { key: signingKey } });
+            const verified = signedEvent ? decode(signedEvent, { verify: { key: signingKey } }) : null;
+            signingWorks = !!(verified && verified.signature === 'valid');
+            signingBackend = 'node';
+        } else {
+            try {
+                signingWorks = !!loadWebCrypto();
+                signingBackend = 'webcrypto';
+            } catch (error) {
+                // No crypto at all in this environment
+            }
+        }
+
         return {
             core_functions: !!(encode && decode),
             encoding_works: !!(testEvent && testEvent.includes('::')),
             decoding_works: !!(decoded && decoded.activity === 'test'),
+            signing_works: signingWorks,
+            signing_backend: signingBackend,
             version_match: CURRENT_VERSION === '1.1',
             separator_correct: SEPARATOR === '::',
             all_systems_go: true
@@ -521,7 +2265,6 @@ class HDDApi {
 }
 
 // Universal Export Pattern
-export default HDDApi;
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = HDDApi;
 } 
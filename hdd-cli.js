@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+/**
+ * HDD COMMAND LINE 1.1 - INSPECT, CONVERT & ANALYZE HDD LOGS
+ * encode • decode • validate • analyze • sanitize • convert
+ * Newline-delimited files or pipes in, stdout out
+ */
+
+const fs = require('fs');
+const HDD = require('./hdd-core.js');
+const HDDApi = require('./hdd-api.js');
+const HDDStream = require('./hdd-stream.js');
+const HDDInterop = require('./hdd-interop.js');
+
+const USAGE = `Usage: hdd <command> [options] [file]
+
+Reads newline-delimited HDD events from [file], or from stdin when the file
+is omitted or '-'.
+
+Commands:
+  encode <activity> [value]   Encode one event; without an activity, encode
+                              JSON Lines ({activity, value, ...}) from the input
+      --context <json>        Context object
+      --version <v>           Format version (default ${HDD.CURRENT_VERSION})
+      --timestamp <t>         Epoch ms or ISO 8601 (default now)
+      --raw                   Keep the value as a string instead of reading JSON
+      --sign-key <key>        Sign with HMAC-SHA256
+  decode                      Print decoded events as pretty JSON
+      --compact               One JSON object per line
+  validate                    Check every line; exit code 1 if any is invalid
+      --schema <file>         JSON file mapping activities to schemas
+      --verify-key <key>      Require a valid HMAC-SHA256 signature
+  analyze                     Run analyzePattern (and predictNext) over the events
+      --predict               Include predictNext
+      --subject-key <key>     Partition by a context key such as user_id
+      --order <n>             n-gram order for --predict
+  sanitize                    Redact personal data line by line
+      --keys <a,b>            Context keys to sanitize
+      --detect <a,b>          Detectors: email, phone, iban, credit_card, ip
+      --mode <mode>           redact, hash, truncate or drop
+      --salt <salt>           Salt for --mode hash
+  convert --from <f> --to <f> Convert between ${HDDInterop.FORMATS.join(', ')}
+
+Exit codes: 0 success, 1 invalid events, 2 usage error.`;
+
+class UsageError extends Error {}
+
+// --name value, --name=value and bare --flag; everything else is positional
+function parseArgs(argv, flags) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--') || arg === '--') {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (flags.includes(name)) {
+            options[name] = true;
+        } else if (inline !== undefined) {
+            options[name] = inline;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new UsageError(`Option --${name} needs a value`);
+        }
+    }
+    return { options, positional };
+}
+
+function openInput(file, io) {
+    if (!file || file === '-') return io.stdin;
+    if (!fs.existsSync(file)) throw new UsageError(`No such file: ${file}`);
+    return fs.createReadStream(file);
+}
+
+async function readAll(source) {
+    let text = '';
+    for await (const line of HDDStream.readLines(source)) text += line + '\n';
+    return text;
+}
+
+async function readEvents(source) {
+    const events = [];
+    for await (const line of HDDStream.readLines(source)) {
+        if (line.trim() !== '') events.push(line);
+    }
+    return events;
+}
+
+function parseJSON(text, what) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new UsageError(`Invalid JSON for ${what}: ${error.message}`);
+    }
+}
+
+// JSON with Dates as ISO strings and bigints as strings
+function toJSON(value, pretty) {
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, pretty ? 2 : 0);
+}
+
+function splitList(value) {
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+function formatRejection(rejection) {
+    const where = rejection.field ? ` [${rejection.field}${rejection.offset !== null ? ' @' + rejection.offset : ''}]` : '';
+    return `line ${rejection.line}: ${rejection.code}${where} ${rejection.reason}`;
+}
+
+// === COMMANDS ===
+// Each command resolves to its exit code.
+const COMMANDS = {
+    async encode(argv, io) {
+        const { options, positional } = parseArgs(argv, ['raw']);
+        const sign = options['sign-key'] ? { key: options['sign-key'] } : undefined;
+
+        if (positional.length === 0 || positional[0] === '-') {
+            const { events, warnings } = HDDInterop.fromJSONLines(await readAll(openInput(positional[0], io)));
+            for (const warning of warnings) io.stderr.write(`line ${warning.index + 1}: ${warning.message}\n`);
+            for (const event of events) io.stdout.write((sign ? HDDApi.encode({ ...HDD.decode(event), sign }) : event) + '\n');
+            return warnings.some(warning => warning.message.startsWith('skipped')) ? 1 : 0;
+        }
+
+        const [activity, rawValue] = positional;
+        let value = rawValue === undefined ? null : rawValue;
+        if (rawValue !== undefined && !options.raw) {
+            try {
+                value = JSON.parse(rawValue);
+            } catch (error) {
+                value = rawValue;
+            }
+        }
+        const event = HDD.encode({
+            activity,
+            value,
+            context: options.context ? parseJSON(options.context, '--context') : null,
+            version: options.version || HDD.CURRENT_VERSION,
+            timestamp: options.timestamp && /^\d+$/.test(options.timestamp) ? Number(options.timestamp) : options.timestamp,
+            sign,
+            strict: true
+        });
+        io.stdout.write(event + '\n');
+        return 0;
+    },
+
+    async decode(argv, io) {
+        const { options, positional } = parseArgs(argv, ['compact']);
+        let rejected = 0;
+        const onReject = rejection => {
+            rejected++;
+            io.stderr.write(formatRejection(rejection) + '\n');
+        };
+        for await (const event of HDDStream.decodeLines(openInput(positional[0], io), { onReject })) {
+            io.stdout.write(toJSON(event, !options.compact) + '\n');
+        }
+        return rejected > 0 ? 1 : 0;
+    },
+
+    async validate(argv, io) {
+        const { options, positional } = parseArgs(argv, []);
+        if (options.schema) {
+            const schemas = parseJSON(fs.readFileSync(options.schema, 'utf8'), '--schema');
+            for (const [activity, schema] of Object.entries(schemas)) HDD.registerSchema(activity, schema);
+        }
+        const decodeOptions = { validate: !!options.schema };
+        if (options['verify-key']) decodeOptions.verify = { key: options['verify-key'] };
+
+        let valid = 0;
+        let invalid = 0;
+        const onReject = rejection => {
+            invalid++;
+            io.stdout.write(formatRejection(rejection) + '\n');
+        };
+        for await (const event of HDDStream.decodeLines(openInput(positional[0], io), { ...decodeOptions, onReject })) {
+            if (event) valid++;
+        }
+        io.stdout.write(`${valid} valid, ${invalid} invalid\n`);
+        return invalid > 0 ? 1 : 0;
+    },
+
+    async analyze(argv, io) {
+        const { options, positional } = parseArgs(argv, ['predict']);
+        const source = openInput(positional[0], io);
+        const subjectKey = options['subject-key'];
+
+        // Without subjects or predictions the analysis streams in bounded memory
+        if (!subjectKey && !options.predict) {
+            io.stdout.write(toJSON(await HDDApi.analyzeStream(source), true) + '\n');
+            return 0;
+        }
+
+        const events = await readEvents(source);
+        const result = { analysis: HDDApi.analyzePattern(events, { subjectKey, maxEvents: Math.max(events.length, 1) }) };
+        if (options.predict) {
+            result.prediction = HDDApi.predictNext(events, {
+                subjectKey,
+                order: options.order ? Number(options.order) : undefined
+            });
+        }
+        io.stdout.write(toJSON(result, true) + '\n');
+        return 0;
+    },
+
+    async sanitize(argv, io) {
+        const { options, positional } = parseArgs(argv, []);
+        const sanitizeOptions = {
+            keysToSanitize: splitList(options.keys),
+            detectors: splitList(options.detect),
+            mode: options.mode,
+            salt: options.salt
+        };
+        let lineNumber = 0;
+        let rejected = 0;
+        for await (const line of HDDStream.readLines(openInput(positional[0], io))) {
+            lineNumber++;
+            if (line.trim() === '') continue;
+            try {
+                HDD.decode(line, { strict: true });
+            } catch (error) {
+                rejected++;
+                io.stderr.write(formatRejection({ line: lineNumber, code: error.code, field: error.field, offset: error.offset, reason: error.message }) + '\n');
+                continue;
+            }
+            io.stdout.write(HDDApi.sanitizeContext(line, sanitizeOptions) + '\n');
+        }
+        return rejected > 0 ? 1 : 0;
+    },
+
+    async convert(argv, io) {
+        const { options, positional } = parseArgs(argv, []);
+        const { from, to } = options;
+        if (!HDDInterop.FORMATS.includes(from) || !HDDInterop.FORMATS.includes(to)) {
+            throw new UsageError(`--from and --to must be one of ${HDDInterop.FORMATS.join(', ')}`);
+        }
+        const text = await readAll(openInput(positional[0], io));
+        // CloudEvents come as a JSON array or one event per line; OTLP as one payload
+        let input = text;
+        if (from === 'cloudevents' || from === 'otel') {
+            const trimmed = text.trim();
+            input = trimmed.startsWith('[') || from === 'otel' ? parseJSON(trimmed, 'input') :
+                trimmed.split('\n').filter(line => line.trim() !== '').map(line => parseJSON(line, 'input'));
+        }
+
+        const { output, warnings } = HDDInterop.convert(input, from, to, options);
+        for (const warning of warnings) {
+            io.stderr.write(`warning: #${warning.index + 1}${warning.field ? ' ' + warning.field : ''}: ${warning.message}\n`);
+        }
+        if (to === 'hdd') io.stdout.write(output.map(event => event + '\n').join(''));
+        else if (typeof output === 'string') io.stdout.write(output);
+        else io.stdout.write(toJSON(output, true) + '\n');
+        return 0;
+    }
+};
+
+async function run(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+    const [command, ...rest] = argv;
+    if (!command || command === '--help' || command === '-h' || command === 'help') {
+        io.stdout.write(USAGE + '\n');
+        return command ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+        io.stderr.write(`hdd: unknown command '${command}'\n\n${USAGE}\n`);
+        return 2;
+    }
+    try {
+        return await COMMANDS[command](rest, io);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            io.stderr.write(`hdd ${command}: ${error.message}\n`);
+            return 2;
+        }
+        io.stderr.write(`hdd ${command}: ${error.message}\n`);
+        return 1;
+    }
+}
+
+module.exports = { run };
+
+if (require.main === module) {
+    // A closed pipe (hdd decode big.log | head) is a normal way to stop
+    process.stdout.on('error', error => {
+        if (error.code === 'EPIPE') process.exit(0);
+        throw error;
+    });
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,88 @@
+// Type declarations for hdd-collector.js
+
+import HDD = require('./hdd-core.js');
+
+declare namespace HDDCollector {
+    /** Milliseconds, or '500ms', '30s', '5m', '1h'. */
+    type Duration = number | string;
+
+    /** Receives one batch of HDD strings; throw or reject to retry it. */
+    type Sink = (events: string[]) => void | Promise<void>;
+
+    interface Buffer {
+        load(): string[] | Promise<string[]>;
+        save(events: string[]): void | Promise<void>;
+    }
+
+    interface RateLimit {
+        max: number;
+        per?: Duration;
+    }
+
+    interface Options {
+        sink?: Sink;
+        endpoint?: string;
+        /** How batches are posted to `endpoint`. */
+        format?: 'lines' | 'batch';
+        headers?: { [name: string]: string };
+        fetch?: (url: string, init: object) => Promise<{ ok: boolean; status: number }>;
+        context?: HDD.HDDContext | (() => HDD.HDDContext);
+        /** A rate for every activity, or per activity with '*' as the default. */
+        sampling?: number | { [activity: string]: number };
+        rateLimit?: { [activity: string]: RateLimit };
+        batchSize?: number;
+        /** 0 disables the timer. */
+        flushInterval?: Duration;
+        maxQueue?: number;
+        retry?: { baseDelay?: Duration; maxDelay?: Duration; maxAttempts?: number };
+        buffer?: Buffer;
+        random?: () => number;
+    }
+
+    interface Stats {
+        tracked: number;
+        sampled_out: number;
+        rate_limited: number;
+        dropped: number;
+        sent: number;
+        rejected: number;
+        failed: number;
+        retries: number;
+    }
+
+    interface FlushResult {
+        sent: boolean;
+        pending: number;
+        error?: unknown;
+        /** When a retry is pending: the time (ms) it is due. */
+        retryAt?: number;
+    }
+
+    /** Thrown by a sink for a batch that must not be retried. */
+    class Rejection extends Error {}
+}
+
+declare class HDDCollector {
+    static localStorageBuffer(key?: string, storage?: { getItem(key: string): string | null; setItem(key: string, value: string): void }): HDDCollector.Buffer;
+    static httpSink(endpoint: string, options?: Pick<HDDCollector.Options, 'format' | 'headers' | 'fetch'>): HDDCollector.Sink;
+
+    constructor(options: HDDCollector.Options);
+    stats: HDDCollector.Stats;
+    /** Resolves once a persistent buffer has been loaded. */
+    ready: Promise<void>;
+    /** Queued events plus the batch the sink is delivering. */
+    readonly pending: number;
+    /** Delay of the last scheduled retry in ms. */
+    nextRetryIn?: number;
+    /** When the pending retry is due, or null; until then flushes send nothing. */
+    nextAttemptAt: number | null;
+    /** The queued HDD string, or null when sampled out or rate limited. */
+    track(activity: string, value?: unknown, context?: HDD.HDDContext | null, options?: { timestamp?: HDD.TimestampInput }): string | null;
+    flush(): Promise<HDDCollector.FlushResult>;
+    /** Browser lifecycle hooks; returns a function that removes them. */
+    attach(target?: { addEventListener: Function; removeEventListener: Function; document?: unknown }): () => void;
+    beacon(navigator?: { sendBeacon(url: string, body: string): boolean }): boolean;
+    close(): Promise<HDDCollector.FlushResult>;
+}
+
+export = HDDCollector;
@@ -0,0 +1,334 @@
+/**
+ * HDD COLLECTOR LAYER 1.1 - CLIENT-SIDE EVENT PIPELINE
+ * Enrichment • Sampling • Rate Limits • Batching • Retry • Offline Queue
+ * Browser, mobile web and Node
+ */
+
+// Universal Import Pattern - Loads core and API from hdd-core.js / hdd-api.js
+let encode, now, encodeBatch, HDDApi;
+try {
+    let HDDCore;
+    if (typeof module !== 'undefined' && module.exports) {
+        HDDCore = require('./hdd-core.js');
+        HDDApi = require('./hdd-api.js');
+    } else if (typeof window !== 'undefined' && window.HDD && window.HDDApi) {
+        HDDCore = window.HDD;
+        HDDApi = window.HDDApi;
+    }
+    if (HDDCore) {
+        ({ encode, now, encodeBatch } = HDDCore);
+    } else {
+        throw new Error('HDD Core not loaded in environment.');
+    }
+} catch (error) {
+    console.error('HDD Collector: Core dependency loading failed', error);
+}
+
+function parseMs(value, label) {
+    if (typeof value === 'number' && value >= 0) return value;
+    const match = /^(\d+)(ms|s|m|h)$/.exec(String(value));
+    if (!match) throw new Error(`HDD Collector: invalid ${label} '${value}'`);
+    return Number(match[1]) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2]];
+}
+
+// Per-activity setting with '*' as the fallback
+function forActivity(settings, activity) {
+    if (!settings || typeof settings !== 'object') return settings;
+    return activity in settings ? settings[activity] : settings['*'];
+}
+
+// Thrown by sinks for batches that must not be retried, e.g. HTTP 400
+class HDDCollectorRejection extends Error {}
+
+// === PERSISTENT BUFFERS ===
+// A buffer adapter has load() and save(events); both may be async.
+function localStorageBuffer(key = 'hdd-collector-queue', storage) {
+    const target = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!target) throw new Error('HDD Collector: localStorage is not available');
+    return {
+        load() {
+            try {
+                const saved = JSON.parse(target.getItem(key) || '[]');
+                return Array.isArray(saved) ? saved : [];
+            } catch (error) {
+                return [];
+            }
+        },
+        save(events) {
+            target.setItem(key, JSON.stringify(events));
+        }
+    };
+}
+
+// === HTTP SINK ===
+// POSTs newline-delimited events, or one encodeBatch() container with
+// format: 'batch'. 408, 429 and 5xx are retried; other 4xx are rejections.
+function httpSink(endpoint, options = {}) {
+    const fetchImpl = options.fetch || (typeof fetch !== 'undefined' ? fetch : null);
+    if (!fetchImpl) throw new Error('HDD Collector: fetch is not available; pass options.fetch');
+    return async events => {
+        const response = await fetchImpl(endpoint, {
+            method: 'POST',
+            headers: { 'content-type': 'text/plain;charset=UTF-8', ...options.headers },
+            body: serializeEvents(events, options.format),
+            keepalive: true
+        });
+        if (response.ok) return;
+        const message = `HDD Collector: ${endpoint} answered ${response.status}`;
+        if (response.status === 408 || response.status === 429 || response.status >= 500) throw new Error(message);
+        throw new HDDCollectorRejection(message);
+    };
+}
+
+function serializeEvents(events, format) {
+    return format === 'batch' ? encodeBatch(events) : events.join('\n') + '\n';
+}
+
+// === COLLECTOR ===
+class HDDCollector {
+    static Rejection = HDDCollectorRejection;
+    static localStorageBuffer = localStorageBuffer;
+    static httpSink = httpSink;
+
+    // options:
+    //   sink(events) | endpoint      where batches go; a sink may be async
+    //   format                       'lines' (default) or 'batch' for endpoint
+    //   context                      object or () => object merged into every event
+    //   sampling                     { activity: rate 0..1, '*': default }
+    //   rateLimit                    { activity: { max, per }, '*': default }, per activity
+    //   batchSize, flushInterval     flush when this many are queued / this often
+    //   maxQueue                     oldest events are dropped beyond this
+    //   retry                        { baseDelay, maxDelay, maxAttempts }
+    //   buffer                       persistent buffer adapter, e.g. localStorageBuffer()
+    //   random                       () => [0, 1), for sampling and jitter
+    constructor(options = {}) {
+        if (!options.sink && !options.endpoint) throw new Error('HDD Collector: a sink or an endpoint is required');
+        this.sink = options.sink || httpSink(options.endpoint, options);
+        this.endpoint = options.endpoint || null;
+        this.format = options.format || 'lines';
+        this.context = options.context || null;
+        this.sampling = options.sampling ?? 1;
+        this.rateLimit = options.rateLimit || null;
+        this.batchSize = options.batchSize || 50;
+        this.flushInterval = parseMs(options.flushInterval ?? 5000, 'flush interval');
+        this.maxQueue = options.maxQueue || 1000;
+        this.retry = {
+            baseDelay: parseMs(options.retry?.baseDelay ?? 1000, 'retry delay'),
+            maxDelay: parseMs(options.retry?.maxDelay ?? 60000, 'retry delay'),
+            maxAttempts: options.retry?.maxAttempts ?? Infinity
+        };
+        this.buffer = options.buffer || null;
+        this.random = options.random || Math.random;
+
+        this.queue = [];
+        // The batch the sink is delivering; it is out of the queue until the
+        // sink settles, so beacon() and maxQueue trimming cannot touch it
+        this.sending = [];
+        this.buckets = {};
+        this.attempts = 0;
+        this.inFlight = null;
+        this.retryTimer = null;
+        this.nextAttemptAt = null;
+        this.detach = null;
+        this.stats = { tracked: 0, sampled_out: 0, rate_limited: 0, dropped: 0, sent: 0, rejected: 0, failed: 0, retries: 0 };
+
+        this.ready = Promise.resolve(this.buffer ? this.buffer.load() : [])
+            .then(saved => { this.queue = saved.concat(this.queue).slice(-this.maxQueue); });
+
+        this.timer = null;
+        if (this.flushInterval > 0) {
+            this.timer = setInterval(() => this._flushQuietly(), this.flushInterval);
+            if (typeof this.timer.unref === 'function') this.timer.unref();
+        }
+    }
+
+    // Encodes, samples, rate-limits and enriches one event. Returns the HDD
+    // string that was queued, or null when the event was not kept.
+    track(activity, value = null, context = null, options = {}) {
+        const rate = forActivity(this.sampling, activity) ?? 1;
+        if (rate < 1 && this.random() >= rate) {
+            this.stats.sampled_out++;
+            return null;
+        }
+        if (!this._takeToken(activity)) {
+            this.stats.rate_limited++;
+            return null;
+        }
+
+        let event = encode({ activity, value, context, timestamp: options.timestamp, strict: true });
+        const enrichment = typeof this.context === 'function' ? this.context() : this.context;
+        if (enrichment && Object.keys(enrichment).length > 0) {
+            // Context passed to track() wins over the collector-wide defaults
+            event = HDDApi.injectContext(event, { ...enrichment, ...context }, { source: 'hdd_collector' });
+        }
+
+        this.stats.tracked++;
+        this.queue.push(event);
+        this._trim();
+        this._persist();
+        if (this.queue.length >= this.batchSize) this._flushQuietly();
+        return event;
+    }
+
+    // Token bucket per activity: `max` events per `per` window, refilled continuously
+    _takeToken(activity) {
+        const limit = forActivity(this.rateLimit, activity);
+        if (!limit) return true;
+        const per = parseMs(limit.per ?? 1000, 'rate limit window');
+        const time = now();
+        const bucket = this.buckets[activity] || (this.buckets[activity] = { tokens: limit.max, at: time });
+        bucket.tokens = Math.min(limit.max, bucket.tokens + ((time - bucket.at) / per) * limit.max);
+        bucket.at = time;
+        if (bucket.tokens < 1) return false;
+        bucket.tokens--;
+        return true;
+    }
+
+    // Sends everything queued, batchSize events at a time. Resolves when the
+    // queue is empty or a batch failed (a retry is then scheduled). While a
+    // retry is pending nothing is sent: only the retry timer or close() ends
+    // the backoff.
+    flush() {
+        if (!this.inFlight) {
+            this.inFlight = this._drain().finally(() => { this.inFlight = null; });
+        }
+        return this.inFlight;
+    }
+
+    async _drain() {
+        await this.ready;
+        if (this.nextAttemptAt !== null) {
+            return { sent: false, pending: this.queue.length, retryAt: this.nextAttemptAt };
+        }
+        while (this.queue.length > 0) {
+            const batch = this.queue.splice(0, this.batchSize);
+            this.sending = batch;
+            let error = null;
+            try {
+                await this.sink(batch);
+            } catch (caught) {
+                error = caught || new Error('HDD Collector: sink failed');
+            }
+            this.sending = [];
+
+            if (!error) {
+                this.attempts = 0;
+                this.stats.sent += batch.length;
+            } else if (error instanceof HDDCollectorRejection) {
+                this.stats.rejected += batch.length;
+            } else if (++this.attempts >= this.retry.maxAttempts) {
+                this.stats.failed += batch.length;
+                this.attempts = 0;
+            } else {
+                // Back at the head of the queue, ahead of anything tracked meanwhile
+                this.queue.unshift(...batch);
+                this._trim();
+                this._persist();
+                this._scheduleRetry();
+                return { sent: false, pending: this.queue.length, error, retryAt: this.nextAttemptAt };
+            }
+            this._persist();
+        }
+        return { sent: true, pending: 0 };
+    }
+
+    // Oldest events go first beyond maxQueue
+    _trim() {
+        if (this.queue.length <= this.maxQueue) return;
+        this.stats.dropped += this.queue.length - this.maxQueue;
+        this.queue.splice(0, this.queue.length - this.maxQueue);
+    }
+
+    // Exponential backoff with full jitter: random delay up to base * 2^(attempt - 1)
+    _scheduleRetry() {
+        const ceiling = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** (this.attempts - 1));
+        const delay = Math.round(this.random() * ceiling);
+        this.stats.retries++;
+        this.nextRetryIn = delay;
+        this.nextAttemptAt = now() + delay;
+        this.retryTimer = setTimeout(() => {
+            this._endBackoff();
+            this._flushQuietly();
+        }, delay);
+        if (typeof this.retryTimer.unref === 'function') this.retryTimer.unref();
+    }
+
+    _endBackoff() {
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.nextAttemptAt = null;
+    }
+
+    // Timer, batchSize and 'online' triggers; they wait out a pending retry
+    _flushQuietly() {
+        if (this.nextAttemptAt !== null) return;
+        this.flush().catch(() => {});
+    }
+
+    _persist() {
+        if (!this.buffer) return;
+        Promise.resolve()
+            .then(() => this.buffer.save(this.sending.concat(this.queue)))
+            .catch(() => {});
+    }
+
+    // Browser lifecycle: hands the queue to navigator.sendBeacon when the page
+    // is hidden or unloaded, and flushes when the connection comes back.
+    // Returns a function that removes the listeners.
+    attach(target = typeof window !== 'undefined' ? window : null) {
+        if (!target || typeof target.addEventListener !== 'function') return () => {};
+        const doc = target.document;
+        const onHidden = () => {
+            if (!doc || doc.visibilityState === 'hidden') this.beacon();
+        };
+        const onPageHide = () => this.beacon();
+        const onOnline = () => this._flushQuietly();
+        target.addEventListener('pagehide', onPageHide);
+        target.addEventListener('online', onOnline);
+        if (doc) doc.addEventListener('visibilitychange', onHidden);
+        this.detach = () => {
+            target.removeEventListener('pagehide', onPageHide);
+            target.removeEventListener('online', onOnline);
+            if (doc) doc.removeEventListener('visibilitychange', onHidden);
+        };
+        return this.detach;
+    }
+
+    // Last-chance delivery through sendBeacon; events it accepted leave the
+    // queue. A batch the sink is still delivering is left to the sink.
+    beacon(navigatorImpl = typeof navigator !== 'undefined' ? navigator : null) {
+        if (!this.endpoint || !navigatorImpl || typeof navigatorImpl.sendBeacon !== 'function') return false;
+        if (this.queue.length === 0) return true;
+        const batch = this.queue.slice();
+        if (!navigatorImpl.sendBeacon(this.endpoint, serializeEvents(batch, this.format))) return false;
+        this.stats.sent += batch.length;
+        this.queue.splice(0, batch.length);
+        this._persist();
+        return true;
+    }
+
+    // Queued and in-flight events
+    get pending() {
+        return this.queue.length + this.sending.length;
+    }
+
+    // Stops the timers and makes one last flush attempt, without waiting
+    // out a pending retry
+    async close() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        if (this.detach) this.detach();
+        await this.inFlight;
+        this._endBackoff();
+        const result = await this.flush();
+        this._endBackoff();
+        return result;
+    }
+}
+
+// === ETERNAL EXPORTS ===
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HDDCollector;
+} else if (typeof window !== 'undefined') {
+    window.HDDCollector = HDDCollector;
+}
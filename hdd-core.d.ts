@@ -0,0 +1,192 @@
+// Type declarations for hdd-core.js
+
+declare namespace HDD {
+    /** Everything a value field can decode to; dates and bigints survive at any depth. */
+    type HDDValue = string | number | boolean | null | Date | bigint | unknown[] | { [key: string]: unknown };
+
+    type HDDContext = { [key: string]: unknown };
+
+    type TimestampInput = number | Date | string;
+
+    type SignatureAlgorithm = 'HS256' | 'Ed25519';
+
+    type SignatureStatus = 'valid' | 'tampered' | 'unsigned';
+
+    interface SignOptions {
+        /**
+         * HS256: the secret (text or bytes) or an HMAC CryptoKey. Ed25519: a Node
+         * KeyObject or PEM, a CryptoKey, a JWK, or raw public key bytes (WebCrypto).
+         */
+        key: string | Uint8Array | object;
+        algorithm?: SignatureAlgorithm;
+    }
+
+    interface EncodeOptions {
+        activity: string;
+        value?: unknown;
+        context?: HDDContext | ContextEnvelope | null;
+        version?: string | null;
+        /** Epoch ms, a Date or an ISO 8601 string; defaults to now(). */
+        timestamp?: TimestampInput;
+        sign?: SignOptions;
+        /** Check the event against its registered schema first. */
+        validate?: boolean;
+        /** Throw HDDEncodeError instead of logging and returning ''. */
+        strict?: boolean;
+    }
+
+    interface DecodeOptions {
+        verify?: SignOptions;
+        validate?: boolean;
+        /** Migrate older versions to CURRENT_VERSION. */
+        normalize?: boolean;
+        /** false returns large-context envelopes as stored. */
+        unwrap?: boolean;
+        /** Throw HDDDecodeError instead of logging and returning null. */
+        strict?: boolean;
+    }
+
+    interface DecodedEvent {
+        activity: string;
+        /** Epoch milliseconds. */
+        timestamp: number;
+        value: HDDValue;
+        /** A string when the context is not JSON (non-strict decoding only). */
+        context: HDDContext | string | null;
+        version: string;
+        /** Present when the context was stored in an envelope. */
+        integrity?: 'valid' | 'mismatch';
+        /** Present when decoded with `verify`. */
+        signature?: SignatureStatus;
+        migrated_from?: string;
+        capabilities?: VersionCapabilities;
+        validation?: ValidationResult;
+    }
+
+    interface ContextEnvelope {
+        data: HDDContext;
+        _integrity: string;
+        _ts: number;
+    }
+
+    // === Schemas ===
+    type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'date' | 'bigint' | 'null' | 'any';
+
+    interface FieldSpec {
+        type?: SchemaType | SchemaType[];
+        required?: boolean;
+        enum?: unknown[];
+        min?: number;
+        max?: number;
+        minLength?: number;
+        maxLength?: number;
+        pattern?: string | RegExp;
+    }
+
+    interface Schema {
+        value?: FieldSpec;
+        context?: {
+            required?: { [key: string]: FieldSpec };
+            optional?: { [key: string]: FieldSpec };
+            /** false rejects undeclared context keys. */
+            additional?: boolean;
+        };
+    }
+
+    interface ValidationError {
+        field: string;
+        code: string;
+        message: string;
+        expected?: unknown;
+        actual?: unknown;
+    }
+
+    interface ValidationResult {
+        valid: boolean;
+        schema: string | null;
+        errors: ValidationError[];
+    }
+
+    // === Versions ===
+    interface VersionCapabilities {
+        version: string;
+        current_version: string;
+        known: boolean;
+        relation: 'current' | 'older' | 'newer' | 'unknown';
+        can_normalize: boolean;
+        migration_path: string[] | null;
+        readable_fields: string[];
+        notes: string[];
+    }
+
+    type MigrationTransform = (event: DecodedEvent) => DecodedEvent;
+
+    interface Logger {
+        error(message: string, ...details: unknown[]): void;
+        warn(message: string, ...details: unknown[]): void;
+    }
+
+    interface HDDErrorOptions {
+        code?: string;
+        field?: string | null;
+        offset?: number | null;
+        details?: unknown;
+        cause?: unknown;
+    }
+
+    class HDDError extends Error {
+        constructor(message: string, options?: HDDErrorOptions);
+        code: string;
+        /** The event field the error concerns, e.g. 'timestamp'. */
+        field: string | null;
+        /** Character offset of that field in the input string. */
+        offset: number | null;
+        details?: unknown;
+        /** Set by hdd-stream.js on line decoding errors. */
+        line?: number;
+    }
+
+    class HDDEncodeError extends HDDError {}
+
+    class HDDDecodeError extends HDDError {}
+
+    function encode(activity: string, value?: unknown, context?: HDDContext | null, version?: string): string;
+    function encode(options: EncodeOptions): string;
+
+    function decode(hddString: string, options?: DecodeOptions): DecodedEvent | null;
+
+    /** Signs with Node's crypto module or WebCrypto; any existing signature is replaced. */
+    function signEvent(hddString: string, options: SignOptions): Promise<string>;
+    function verifyEvent(hddString: string, options: SignOptions): Promise<SignatureStatus>;
+
+    function setClock(clock: (() => number) | null): void;
+    function now(): number;
+    function setLogger(logger: Logger | null): void;
+    function setStrictMode(enabled: boolean): void;
+
+    function registerSchema(activity: string, schema: Schema | null): void;
+    function getSchema(activity: string): Schema | null;
+    function validateEvent(event: Partial<DecodedEvent> | EncodeOptions, options?: { requireSchema?: boolean }): ValidationResult;
+
+    function registerMigration(from: string, to: string, transform: MigrationTransform): void;
+    function migrate(event: string, targetVersion?: string, options?: { strict?: boolean }): string | null;
+    function migrate(event: DecodedEvent, targetVersion?: string, options?: { strict?: boolean }): DecodedEvent | null;
+    function findMigrationPath(from: string, to: string): string[] | null;
+    function getVersionCapabilities(version?: string | null): VersionCapabilities;
+
+    function encodeBatch(events: Array<string | EncodeOptions>, options?: { strict?: boolean }): string;
+    function decodeBatch(batch: string, options?: DecodeOptions & { decoded?: false }): string[] | null;
+    function decodeBatch(batch: string, options: DecodeOptions & { decoded: true }): Array<DecodedEvent | null> | null;
+    function isBatch(input: unknown): input is string;
+
+    function escapeField(str: string): string;
+    function unescapeField(raw: string): string;
+    function tokenize(hddString: string): string[];
+    function isContextEnvelope(context: unknown): context is ContextEnvelope;
+
+    const SEPARATOR: '::';
+    const CURRENT_VERSION: string;
+    const CONTEXT_ENVELOPE_THRESHOLD: number;
+}
+
+export = HDD;
@@ -8,40 +8,216 @@
 const SEPARATOR = '::';
 const CURRENT_VERSION = '1.1';
 const MAX_CONTEXT_DEPTH = 10;
+const ESCAPE_CHAR = '\\';
+const FIELD_COUNT = 5;
+const EMPTY_STRING_MARKER = '\\0';
+const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const TYPE_TAGS = {
+    string: '\\s',
+    boolean: '\\b',
+    number: '\\f',
+    date: '\\d',
+    bigint: '\\i'
+};
+const TYPED_JSON_TAG = '\\j';
+
+// === STRUCTURED ERROR REPORTING ===
+class HDDError extends Error {
+    constructor(message, { code, field = null, offset = null, details, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.field = field;
+        this.offset = offset;
+        if (details !== undefined) this.details = details;
+        if (cause !== undefined) this.cause = cause;
+    }
+}
+class HDDEncodeError extends HDDError {}
+class HDDDecodeError extends HDDError {}
+
+// Pluggable logger hook - anything with error() and warn() methods
+let activeLogger = console;
+let strictMode = false;
+
+function setLogger(logger) {
+    if (logger && (typeof logger.error !== 'function' || typeof logger.warn !== 'function')) {
+        throw new TypeError('HDD logger must implement error() and warn()');
+    }
+    activeLogger = logger || console;
+}
+
+// Default for calls that do not pass their own `strict` option
+function setStrictMode(enabled) {
+    strictMode = !!enabled;
+}
+
+function reportFailure(error, strict, fallback) {
+    if (strict) throw error;
+    activeLogger.error(error.message, error);
+    return fallback;
+}
+
+// === LOSSLESS FIELD ESCAPING GRAMMAR ===
+// field  := ( escape | char )*
+// escape := '\\\\' | '\\:' | '\\n' | '\\r'
+// A ':' is written bare unless it is followed by another ':' or closes the
+// field, so an unescaped '::' can only ever be a separator. Newlines are
+// escaped so every event stays on a single line in newline-delimited logs.
+function escapeField(str) {
+    let escaped = '';
+    for (let i = 0; i < str.length; i++) {
+        const char = str[i];
+        if (char === ESCAPE_CHAR) {
+            escaped += ESCAPE_CHAR + ESCAPE_CHAR;
+        } else if (char === '\n') {
+            escaped += ESCAPE_CHAR + 'n';
+        } else if (char === '\r') {
+            escaped += ESCAPE_CHAR + 'r';
+        } else if (char === ':' && (i === str.length - 1 || str[i + 1] === ':')) {
+            escaped += ESCAPE_CHAR + ':';
+        } else {
+            escaped += char;
+        }
+    }
+    return escaped;
+}
+
+function unescapeField(raw) {
+    let result = '';
+    for (let i = 0; i < raw.length; i++) {
+        const char = raw[i];
+        if (char !== ESCAPE_CHAR || i === raw.length - 1) {
+            result += char;
+            continue;
+        }
+        const next = raw[i + 1];
+        if (next === ESCAPE_CHAR) {
+            result += ESCAPE_CHAR;
+        } else if (next === 'n') {
+            result += '\n';
+        } else if (next === 'r') {
+            result += '\r';
+        } else if (next === ':') {
+            // The grammar only emits '\:' before another colon or at the end of
+            // a field; anywhere else it is the pre-grammar escape for '::'.
+            const after = raw[i + 2];
+            const isGrammar = after === undefined || after === ':' ||
+                (after === ESCAPE_CHAR && raw[i + 3] === ':');
+            result += isGrammar ? ':' : SEPARATOR;
+        } else {
+            // Unknown sequences are kept verbatim (unescaped legacy backslashes)
+            result += char;
+            continue;
+        }
+        i++;
+    }
+    return result;
+}
+
+// Splits an HDD string on unescaped separators, keeping escapes intact.
+// offsets[i] is the index in the string where fields[i] starts.
+function scanFields(hddString) {
+    const fields = [];
+    const offsets = [0];
+    let current = '';
+    for (let i = 0; i < hddString.length; i++) {
+        const char = hddString[i];
+        if (char === ESCAPE_CHAR && i + 1 < hddString.length) {
+            current += char + hddString[i + 1];
+            i++;
+        } else if (char === ':' && hddString[i + 1] === ':') {
+            fields.push(current);
+            current = '';
+            i++;
+            offsets.push(i + 1);
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+    return { fields, offsets };
+}
+
+function tokenize(hddString) {
+    return scanFields(hddString).fields;
+}
 
 // === MULTI-IMPACT QUANTUM ENCODING ENGINE ===
-function encodeValue(value, depth = 0) {
+// JSON has no dates or bigints, so a structure that nests one is written as
+// typed JSON behind the '\\j' field tag: dates become "\\d<ISO 8601>", bigints
+// "\\i<digits>", and strings that start with a backslash get a "\\s" prefix so
+// they are never mistaken for either. Everything else stays plain JSON.
+function hasNestedTypes(value, depth) {
+    if (depth > MAX_CONTEXT_DEPTH) return false;
+    if (typeof value === 'bigint' || value instanceof Date) return true;
+    if (!value || typeof value !== 'object') return false;
+    return Object.values(value).some(item => hasNestedTypes(item, depth + 1));
+}
+
+// Builds a JSON-ready copy in a single pass so nested structures are
+// stringified exactly once; `typed` selects the typed JSON markers.
+function toSerializable(value, depth, typed) {
     if (depth > MAX_CONTEXT_DEPTH) {
-        console.warn('HDD Warning: Maximum context depth exceeded');
-        return '';
+        activeLogger.warn('HDD Warning: Maximum context depth exceeded');
+        return null;
+    }
+    if (typeof value === 'bigint') return typed ? TYPE_TAGS.bigint + value.toString() : value.toString();
+    if (typed && typeof value === 'string' && value.startsWith(ESCAPE_CHAR)) return TYPE_TAGS.string + value;
+    if (!value || typeof value !== 'object') return value;
+    if (value instanceof Date) return typed ? TYPE_TAGS.date + value.toISOString() : value.toISOString();
+    if (Array.isArray(value)) {
+        return value.map(item => toSerializable(item, depth + 1, typed));
+    }
+    const sanitized = {};
+    for (const [key, val] of Object.entries(value)) {
+        sanitized[key] = toSerializable(val, depth + 1, typed);
     }
+    return sanitized;
+}
+
+// JSON.parse reviver for typed JSON; throws on a malformed marker
+function reviveTyped(key, item) {
+    if (typeof item !== 'string' || !item.startsWith(ESCAPE_CHAR)) return item;
+    const payload = item.slice(2);
+    switch (item.slice(0, 2)) {
+        case TYPE_TAGS.string:
+            return payload;
+        case TYPE_TAGS.date: {
+            const date = new Date(payload);
+            if (isNaN(date.getTime())) throw new Error(`Invalid date '${payload}'`);
+            return date;
+        }
+        case TYPE_TAGS.bigint:
+            return typeof BigInt === 'function' ? BigInt(payload) : payload;
+    }
+    return item;
+}
+
+// Escaped JSON field, with the typed JSON tag in front when it needs one
+function writeJSONField(json, typed) {
+    return (typed ? TYPED_JSON_TAG : '') + escapeField(json);
+}
 
+function encodeValue(value, depth = 0, typed = false) {
     if (value === null || value === undefined) return '';
 
     switch (typeof value) {
         case 'number':
         case 'boolean':
+        case 'bigint':
             return String(value);
         case 'string':
-            return value.replace(new RegExp(SEPARATOR, 'g'), '\\:');
+            return value;
         case 'object':
             if (value instanceof Date) {
                 return value.getTime().toString();
             }
             try {
-                if (Array.isArray(value)) {
-                    return JSON.stringify(value.map(item =>
-                        typeof item === 'object' ? encodeValue(item, depth + 1) : item
-                    ));
-                }
-                const sanitized = {};
-                for (const [key, val] of Object.entries(value)) {
-                    sanitized[key] = typeof val === 'object' ?
-                        encodeValue(val, depth + 1) : val;
-                }
-                return JSON.stringify(sanitized);
+                return JSON.stringify(toSerializable(value, depth, typed));
             } catch (e) {
-                console.error('HDD Encode Error: Complex object serialization failed', e);
+                activeLogger.error('HDD Encode Error: Complex object serialization failed', e);
                 return '';
             }
         default:
@@ -49,6 +225,34 @@ function encodeValue(value, depth = 0) {
     }
 }
 
+// Untagged values are read back with the 1.1 heuristics; a tag is only
+// written when those heuristics would not return the original value.
+function encodeValueField(value) {
+    if (value === null || value === undefined) return '';
+    if (value === '') return EMPTY_STRING_MARKER;
+
+    switch (typeof value) {
+        case 'string':
+            return (inferValue(value) === value ? '' : TYPE_TAGS.string) + escapeField(value);
+        case 'boolean':
+            return TYPE_TAGS.boolean + value;
+        case 'bigint':
+            return TYPE_TAGS.bigint + value.toString();
+        case 'number':
+            if (Object.is(inferValue(String(value)), value)) return String(value);
+            return TYPE_TAGS.number + (Object.is(value, -0) ? '-0' : String(value));
+        case 'object':
+            if (value instanceof Date) {
+                return isNaN(value.getTime()) ? null : TYPE_TAGS.date + value.toISOString();
+            }
+            break;
+    }
+
+    const typed = hasNestedTypes(value, 0);
+    const encoded = encodeValue(value, 0, typed);
+    return encoded === '' ? null : writeJSONField(encoded, typed);
+}
+
 // === ULTRA-LIGHT SECURITY LAYER ===
 function generateIntegrityHash(data) {
     let hash = 0;
@@ -60,71 +264,611 @@ function generateIntegrityHash(data) {
     return Math.abs(hash).toString(36);
 }
 
+// === LARGE CONTEXT ENVELOPE ===
+// A context whose JSON exceeds CONTEXT_ENVELOPE_THRESHOLD characters is
+// stored as { data, _integrity, _ts }: the context itself, the integrity hash
+// of its JSON and the event timestamp. decode() unwraps it and reports
+// `integrity`; the three keys together are reserved at the top of a context.
+const CONTEXT_ENVELOPE_THRESHOLD = 1000;
+
+function isContextEnvelope(context) {
+    if (!context || typeof context !== 'object' || Array.isArray(context)) return false;
+    const keys = Object.keys(context);
+    return keys.length === 3 && 'data' in context &&
+        typeof context._integrity === 'string' && typeof context._ts === 'number';
+}
+
+function wrapContext(encodedContext, timestamp) {
+    return JSON.stringify({
+        data: JSON.parse(encodedContext),
+        _integrity: generateIntegrityHash(encodedContext),
+        _ts: timestamp
+    });
+}
+
+// 'valid' when the hash matches the data and the envelope belongs to this event
+function unwrapContext(envelope, timestamp) {
+    const matches = generateIntegrityHash(JSON.stringify(envelope.data)) === envelope._integrity &&
+        envelope._ts === timestamp;
+    return { context: envelope.data, integrity: matches ? 'valid' : 'mismatch' };
+}
+
+// === CRYPTO BACKENDS ===
+// Node's crypto module works synchronously and backs encode({ sign }) and
+// decode({ verify }). WebCrypto (browsers, workers, the UMD bundle) is async
+// only, so signEvent() / verifyEvent() use whichever of the two is present.
+// hdd-api.js shares these through HDD._crypto.
+let nodeCrypto;
+function loadCrypto(optional = false) {
+    if (nodeCrypto === undefined) {
+        nodeCrypto = null;
+        try {
+            if (typeof require === 'function') nodeCrypto = require('crypto');
+        } catch (e) {
+            // No synchronous crypto in this environment
+        }
+    }
+    if (!nodeCrypto && !optional) {
+        throw new Error('HDD Crypto Error: This operation requires the Node.js crypto module; ' +
+            'the async variants run on WebCrypto');
+    }
+    return nodeCrypto;
+}
+
+// Node 18 only exposes WebCrypto as require('crypto').webcrypto
+function loadWebCrypto() {
+    let webCrypto = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+    if ((!webCrypto || !webCrypto.subtle) && loadCrypto(true)) webCrypto = loadCrypto(true).webcrypto;
+    if (!webCrypto || !webCrypto.subtle) {
+        throw new Error('HDD Crypto Error: Neither the Node.js crypto module nor WebCrypto is available');
+    }
+    return webCrypto;
+}
+
+function isWebCryptoKey(key) {
+    if (typeof CryptoKey !== 'undefined') return key instanceof CryptoKey;
+    const webCrypto = loadCrypto(true) && loadCrypto(true).webcrypto;
+    return !!(webCrypto && webCrypto.CryptoKey) && key instanceof webCrypto.CryptoKey;
+}
+
+// CryptoKeys, Ed25519 JWKs and raw Ed25519 public keys only exist in
+// WebCrypto; everything else goes to Node's crypto module when it is there
+function usesWebCrypto(key, algorithm) {
+    if (isWebCryptoKey(key)) return true;
+    if (algorithm === 'Ed25519' && key && typeof key === 'object' && (key.kty || key instanceof Uint8Array)) return true;
+    return !loadCrypto(true);
+}
+
+function utf8Bytes(text) {
+    return new TextEncoder().encode(text);
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// === CRYPTOGRAPHIC SIGNATURE LAYER ===
+// Signs the five canonical fields exactly as written and appends the result
+// as a trailing '<algorithm>:<base64url>' field.
+const SIGNATURE_ALGORITHMS = {
+    'HS256': 'hs256',
+    'Ed25519': 'ed25519'
+};
+const WEB_SIGNATURE_ALGORITHMS = {
+    'HS256': { name: 'HMAC', hash: 'SHA-256' },
+    'Ed25519': { name: 'Ed25519' }
+};
+
+function createSignature(payload, { key, algorithm = 'HS256' } = {}) {
+    const prefix = SIGNATURE_ALGORITHMS[algorithm];
+    if (!prefix) throw new Error(`HDD Crypto Error: Unsupported signature algorithm ${algorithm}`);
+    if (!key) throw new Error('HDD Crypto Error: Signing key is required');
+
+    const crypto = loadCrypto();
+    const signature = algorithm === 'HS256'
+        ? crypto.createHmac('sha256', key).update(payload).digest()
+        : crypto.sign(null, Buffer.from(payload), key);
+    return prefix + ':' + signature.toString('base64url');
+}
+
+// WebCrypto keys: a CryptoKey, HMAC secret text or bytes, an Ed25519 JWK, or
+// a raw 32-byte Ed25519 public key for verifying
+function importWebKey(webCrypto, key, algorithm, usage) {
+    if (isWebCryptoKey(key)) return key;
+    const params = WEB_SIGNATURE_ALGORITHMS[algorithm];
+    if (algorithm === 'HS256') {
+        const secret = typeof key === 'string' ? utf8Bytes(key) : key;
+        return webCrypto.subtle.importKey('raw', secret, params, false, [usage]);
+    }
+    if (key && typeof key === 'object' && key.kty) {
+        return webCrypto.subtle.importKey('jwk', key, params, false, [usage]);
+    }
+    if (key instanceof Uint8Array && usage === 'verify') {
+        return webCrypto.subtle.importKey('raw', key, params, false, [usage]);
+    }
+    throw new Error('HDD Crypto Error: WebCrypto Ed25519 keys must be a CryptoKey, a JWK or a raw public key');
+}
+
+async function createSignatureAsync(payload, { key, algorithm = 'HS256' } = {}) {
+    const prefix = SIGNATURE_ALGORITHMS[algorithm];
+    if (!prefix) throw new Error(`HDD Crypto Error: Unsupported signature algorithm ${algorithm}`);
+    if (!key) throw new Error('HDD Crypto Error: Signing key is required');
+    if (!usesWebCrypto(key, algorithm)) return createSignature(payload, { key, algorithm });
+
+    const webCrypto = loadWebCrypto();
+    const cryptoKey = await importWebKey(webCrypto, key, algorithm, 'sign');
+    const signature = await webCrypto.subtle.sign(WEB_SIGNATURE_ALGORITHMS[algorithm], cryptoKey, utf8Bytes(payload));
+    return prefix + ':' + toBase64Url(new Uint8Array(signature));
+}
+
+async function verifySignatureAsync(payload, signatureField, { key, algorithm = 'HS256' } = {}) {
+    if (!key) throw new Error('HDD Crypto Error: Verification key is required');
+    if (!usesWebCrypto(key, algorithm)) return verifySignature(payload, signatureField, { key, algorithm });
+    if (!signatureField) return 'unsigned';
+
+    const separatorIndex = signatureField.indexOf(':');
+    if (separatorIndex < 0 || signatureField.slice(0, separatorIndex) !== SIGNATURE_ALGORITHMS[algorithm]) return 'tampered';
+
+    const webCrypto = loadWebCrypto();
+    try {
+        const cryptoKey = await importWebKey(webCrypto, key, algorithm, 'verify');
+        const matches = await webCrypto.subtle.verify(WEB_SIGNATURE_ALGORITHMS[algorithm], cryptoKey,
+            fromBase64Url(signatureField.slice(separatorIndex + 1)), utf8Bytes(payload));
+        return matches ? 'valid' : 'tampered';
+    } catch (e) {
+        return 'tampered';
+    }
+}
+
+// Returns 'valid', 'tampered' or 'unsigned'
+function verifySignature(payload, signatureField, { key, algorithm = 'HS256' } = {}) {
+    if (!key) throw new Error('HDD Crypto Error: Verification key is required');
+    if (!signatureField) return 'unsigned';
+
+    const separatorIndex = signatureField.indexOf(':');
+    const prefix = signatureField.slice(0, separatorIndex);
+    if (separatorIndex < 0 || prefix !== SIGNATURE_ALGORITHMS[algorithm]) return 'tampered';
+
+    const crypto = loadCrypto();
+    const signature = Buffer.from(signatureField.slice(separatorIndex + 1), 'base64url');
+    try {
+        if (algorithm === 'HS256') {
+            const expected = crypto.createHmac('sha256', key).update(payload).digest();
+            return expected.length === signature.length && crypto.timingSafeEqual(expected, signature) ?
+                'valid' : 'tampered';
+        }
+        return crypto.verify(null, Buffer.from(payload), key, signature) ? 'valid' : 'tampered';
+    } catch (e) {
+        return 'tampered';
+    }
+}
+
+// === SCHEMA REGISTRY & VALIDATION ===
+// registerSchema('purchase', {
+//     value: { type: 'number', min: 0 },
+//     context: {
+//         required: { currency: { type: 'string', enum: ['USD', 'EUR'] } },
+//         optional: { items: { type: 'array', maxLength: 100 } },
+//         additional: false
+//     }
+// })
+const schemaRegistry = new Map();
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'date', 'bigint', 'null', 'any'];
+
+function registerSchema(activity, schema) {
+    if (!activity || typeof activity !== 'string') {
+        throw new TypeError('HDD schema activity must be a non-empty string');
+    }
+    if (schema === null || schema === undefined) {
+        schemaRegistry.delete(activity);
+        return;
+    }
+    if (typeof schema !== 'object') {
+        throw new TypeError(`HDD schema for '${activity}' must be an object`);
+    }
+    const specs = [schema.value];
+    if (schema.context) {
+        specs.push(...Object.values(schema.context.required || {}));
+        specs.push(...Object.values(schema.context.optional || {}));
+    }
+    for (const spec of specs) {
+        const types = spec && spec.type ? [].concat(spec.type) : [];
+        const unknown = types.find(type => !SCHEMA_TYPES.includes(type));
+        if (unknown) throw new TypeError(`HDD schema for '${activity}' uses unknown type '${unknown}'`);
+    }
+    schemaRegistry.set(activity, schema);
+}
+
+function getSchema(activity) {
+    return schemaRegistry.get(activity) || null;
+}
+
+function typeOfValue(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Date) return 'date';
+    return typeof value;
+}
+
+function validateField(field, value, spec, errors) {
+    const actual = typeOfValue(value);
+    if (actual === 'null') {
+        if (spec.required) {
+            errors.push({ field, code: 'REQUIRED', message: `${field} is required` });
+        }
+        return;
+    }
+
+    const types = [].concat(spec.type || 'any');
+    const typeMatches = types.some(type => type === 'any' || type === actual ||
+        (type === 'integer' && Number.isInteger(value)));
+    if (!typeMatches) {
+        errors.push({
+            field, code: 'TYPE_MISMATCH', expected: types.join('|'), actual,
+            message: `${field} must be ${types.join(' or ')}, got ${actual}`
+        });
+        return;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+        errors.push({ field, code: 'NOT_ALLOWED', expected: spec.enum, actual: value, message: `${field} is not an allowed value` });
+    }
+    const magnitude = actual === 'date' ? value.getTime() : value;
+    if (spec.min !== undefined && magnitude < spec.min) {
+        errors.push({ field, code: 'OUT_OF_RANGE', expected: { min: spec.min }, actual: value, message: `${field} is below ${spec.min}` });
+    }
+    if (spec.max !== undefined && magnitude > spec.max) {
+        errors.push({ field, code: 'OUT_OF_RANGE', expected: { max: spec.max }, actual: value, message: `${field} is above ${spec.max}` });
+    }
+    if (typeof value === 'string' || Array.isArray(value)) {
+        if (spec.minLength !== undefined && value.length < spec.minLength) {
+            errors.push({ field, code: 'OUT_OF_RANGE', expected: { minLength: spec.minLength }, actual: value.length, message: `${field} is shorter than ${spec.minLength}` });
+        }
+        if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+            errors.push({ field, code: 'OUT_OF_RANGE', expected: { maxLength: spec.maxLength }, actual: value.length, message: `${field} is longer than ${spec.maxLength}` });
+        }
+    }
+    if (spec.pattern && typeof value === 'string' && !new RegExp(spec.pattern).test(value)) {
+        errors.push({ field, code: 'PATTERN_MISMATCH', expected: String(spec.pattern), actual: value, message: `${field} does not match ${spec.pattern}` });
+    }
+}
+
+// Validates a decoded event (or encode options) against its activity's schema
+function validateEvent(event, options = {}) {
+    const errors = [];
+    if (!event || typeof event.activity !== 'string' || event.activity.length === 0) {
+        errors.push({ field: 'activity', code: 'INVALID_ACTIVITY', message: 'activity must be a non-empty string' });
+        return { valid: false, schema: null, errors };
+    }
+    if (event.timestamp !== undefined && !(typeof event.timestamp === 'number' && event.timestamp > 0)) {
+        errors.push({ field: 'timestamp', code: 'INVALID_TIMESTAMP', message: 'timestamp must be a positive number' });
+    }
+
+    const schema = getSchema(event.activity);
+    if (!schema) {
+        if (options.requireSchema) {
+            errors.push({ field: 'activity', code: 'UNKNOWN_ACTIVITY', message: `No schema registered for '${event.activity}'` });
+        }
+        return { valid: errors.length === 0, schema: null, errors };
+    }
+
+    if (schema.value) validateField('value', event.value, schema.value, errors);
+
+    if (schema.context) {
+        const { required = {}, optional = {}, additional = true } = schema.context;
+        const context = event.context && typeof event.context === 'object' ? event.context : {};
+        for (const [key, spec] of Object.entries(required)) {
+            validateField('context.' + key, context[key], { ...spec, required: true }, errors);
+        }
+        for (const [key, spec] of Object.entries(optional)) {
+            validateField('context.' + key, context[key], { ...spec, required: false }, errors);
+        }
+        if (!additional) {
+            for (const key of Object.keys(context)) {
+                if (!(key in required) && !(key in optional)) {
+                    errors.push({ field: 'context.' + key, code: 'UNKNOWN_KEY', message: `context.${key} is not declared in the schema` });
+                }
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, schema: event.activity, errors };
+}
+
+// === VERSION MIGRATION FRAMEWORK ===
+// registerMigration('1.1', '1.2', event => ({ ...event, context: upgrade(event.context) }))
+// Transforms receive and return decoded events; the version label is set by
+// migrate() after each step, so a transform only has to reshape the data.
+const migrationRegistry = new Map();
+
+function registerMigration(from, to, transform) {
+    if (!VERSION_PATTERN.test(String(from)) || !VERSION_PATTERN.test(String(to))) {
+        throw new TypeError('HDD migration versions must look like 1.1');
+    }
+    if (typeof transform !== 'function') {
+        throw new TypeError('HDD migration transform must be a function');
+    }
+    const steps = migrationRegistry.get(String(from)) || new Map();
+    steps.set(String(to), transform);
+    migrationRegistry.set(String(from), steps);
+}
+
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff < 0 ? -1 : 1;
+    }
+    return 0;
+}
+
+// Shortest chain of registered steps, or null when none exists
+function findMigrationPath(from, to) {
+    from = String(from);
+    to = String(to);
+    if (from === to) return [from];
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length > 0) {
+        const version = queue.shift();
+        for (const next of (migrationRegistry.get(version) || new Map()).keys()) {
+            if (previous.has(next)) continue;
+            previous.set(next, version);
+            if (next === to) {
+                const path = [to];
+                for (let step = version; step !== null; step = previous.get(step)) path.unshift(step);
+                return path;
+            }
+            queue.push(next);
+        }
+    }
+    return null;
+}
+
+function knownVersions() {
+    const versions = new Set([CURRENT_VERSION]);
+    for (const [from, steps] of migrationRegistry) {
+        versions.add(from);
+        for (const to of steps.keys()) versions.add(to);
+    }
+    return Array.from(versions).sort(compareVersions);
+}
+
+function getVersionCapabilities(version) {
+    version = String(version || CURRENT_VERSION);
+    const comparison = VERSION_PATTERN.test(version) ? compareVersions(version, CURRENT_VERSION) : null;
+    const path = findMigrationPath(version, CURRENT_VERSION);
+    const known = knownVersions().includes(version);
+    const relation = comparison === null ? 'unknown' :
+        comparison === 0 ? 'current' : comparison < 0 ? 'older' : 'newer';
+
+    return {
+        version,
+        current_version: CURRENT_VERSION,
+        known,
+        relation,
+        can_normalize: path !== null,
+        migration_path: path,
+        // The positional core fields are readable in every version; anything
+        // a future version adds on top is passed through untouched
+        readable_fields: ['activity', 'timestamp', 'value', 'context', 'version'],
+        notes: path !== null ? [] : [
+            relation === 'newer' ?
+                `Version ${version} is newer than this library (${CURRENT_VERSION}); its fields are read as-is` :
+                `No migration path from ${version} to ${CURRENT_VERSION} is registered`
+        ]
+    };
+}
+
+// Accepts an HDD string or a decoded event and returns the same kind.
+// Re-encoded strings keep their timestamp; a signature would not survive.
+function migrate(event, targetVersion = CURRENT_VERSION, options = {}) {
+    const strict = options.strict ?? strictMode;
+    const isString = typeof event === 'string';
+    const decoded = isString ? decode(event, { strict }) : event;
+    if (!decoded) return null;
+
+    const path = findMigrationPath(decoded.version, targetVersion);
+    if (!path) {
+        const error = new HDDDecodeError(
+            `HDD Migration Error: No migration path from ${decoded.version} to ${targetVersion}`,
+            { code: 'NO_MIGRATION_PATH', field: 'version', details: getVersionCapabilities(decoded.version) });
+        return reportFailure(error, strict, null);
+    }
+
+    let migrated = { ...decoded };
+    for (let i = 1; i < path.length; i++) {
+        migrated = { ...migrationRegistry.get(path[i - 1]).get(path[i])(migrated), version: path[i] };
+    }
+    if (!isString) return migrated;
+    return encode({ ...migrated, strict });
+}
+
+// 1.0 and 1.1 share the positional layout
+registerMigration('1.0', '1.1', event => event);
+
+// === ETERNAL CLOCK ===
+// Every "now" in the library reads from here so a fake clock can be injected
+const systemClock = () => Date.now();
+let clock = systemClock;
+
+function setClock(fn) {
+    if (fn !== null && fn !== undefined && typeof fn !== 'function') {
+        throw new TypeError('HDD clock must be a function returning epoch milliseconds');
+    }
+    clock = fn || systemClock;
+}
+
+function now() {
+    return clock();
+}
+
+// Accepts epoch ms, a Date or an ISO 8601 string; returns null when invalid
+function resolveTimestamp(timestamp) {
+    if (timestamp === null || timestamp === undefined) return now();
+
+    let ms = NaN;
+    if (timestamp instanceof Date) {
+        ms = timestamp.getTime();
+    } else if (typeof timestamp === 'number') {
+        ms = timestamp;
+    } else if (typeof timestamp === 'string' && ISO_TIMESTAMP_PATTERN.test(timestamp)) {
+        ms = Date.parse(timestamp);
+    }
+
+    return Number.isSafeInteger(ms) && ms >= 0 ? ms : null;
+}
+
 // === THE CORE TRIPLET+ ENCODING ENGINE ===
+// encode(activity, value, context?, version?) or
+// encode({ activity, value, context, version, timestamp, sign, validate, strict })
 function encode(activity, value, context = null, version = CURRENT_VERSION) {
+    if (activity && typeof activity === 'object' && !Array.isArray(activity)) {
+        return encodeEvent(activity);
+    }
+    return encodeEvent({ activity, value, context, version });
+}
+
+function encodeEvent(options) {
+    const {
+        activity,
+        value,
+        context = null,
+        version = CURRENT_VERSION
+    } = options;
+    const strict = options.strict ?? strictMode;
+    const fail = (message, code, field, details) =>
+        reportFailure(new HDDEncodeError(message, { code, field, details }), strict, '');
+
     if (!activity || typeof activity !== 'string') {
-        console.error('HDD Critical: Activity must be non-empty string');
-        return '';
+        return fail('HDD Critical: Activity must be non-empty string', 'INVALID_ACTIVITY', 'activity');
     }
 
-    const timestamp = Date.now();
+    const timestamp = resolveTimestamp(options.timestamp);
+    if (timestamp === null) {
+        return fail('HDD Critical: Timestamp must be epoch ms, a Date or an ISO 8601 string',
+            'INVALID_TIMESTAMP', 'timestamp');
+    }
 
-    const encodedValue = encodeValue(value);
-    if (encodedValue === '' && value !== null && value !== undefined) {
-        console.error('HDD Critical: Value encoding failed');
-        return '';
+    if (options.validate) {
+        const validation = validateEvent({ activity, timestamp, value, context });
+        if (!validation.valid) {
+            return fail('HDD Schema Error: Event does not match its schema',
+                'SCHEMA_VIOLATION', validation.errors[0].field, validation.errors);
+        }
+    }
+
+    const encodedValue = encodeValueField(value);
+    if (encodedValue === null) {
+        return fail('HDD Critical: Value encoding failed', 'INVALID_VALUE', 'value');
     }
 
     let encodedContext = '';
+    let typedContext = false;
     if (context && typeof context === 'object') {
         try {
-            encodedContext = encodeValue(context, 1);
-            if (encodedContext.length > 1000) {
-                const integrity = generateIntegrityHash(encodedContext);
-                encodedContext = JSON.stringify({
-                    data: JSON.parse(encodedContext),
-                    _integrity: integrity,
-                    _ts: timestamp
-                });
+            // An envelope handed back in is rebuilt for this event, never nested
+            const data = isContextEnvelope(context) ? context.data : context;
+            typedContext = hasNestedTypes(data, 1);
+            encodedContext = encodeValue(data, 1, typedContext);
+            if (encodedContext === '') throw new Error('Context serialization returned nothing');
+            if (encodedContext.length > CONTEXT_ENVELOPE_THRESHOLD) {
+                encodedContext = wrapContext(encodedContext, timestamp);
             }
         } catch (e) {
-            console.error('HDD Context Error: Future-proof encoding failed', e);
+            encodedContext = '';
+            typedContext = false;
+            if (strict) {
+                throw new HDDEncodeError('HDD Context Error: Future-proof encoding failed',
+                    { code: 'INVALID_CONTEXT', field: 'context', cause: e });
+            }
+            activeLogger.error('HDD Context Error: Future-proof encoding failed', e);
         }
     }
 
+    // Fixed positions: absent optional fields stay as empty slots, and an
+    // empty-string value gets its own marker so it is not mistaken for null
     const parts = [
-        activity.replace(new RegExp(SEPARATOR, 'g'), '\\:'),
-        timestamp,
+        escapeField(activity),
+        String(timestamp),
         encodedValue,
-        encodedContext,
-        version
-    ].filter(part => part !== null && part !== undefined && part !== '');
+        writeJSONField(encodedContext, typedContext),
+        version === null || version === undefined ? '' : escapeField(String(version))
+    ];
 
-    const hddString = parts.join(SEPARATOR);
+    let hddString = parts.join(SEPARATOR);
 
-    if (hddString.split(SEPARATOR).length < 3) {
-        console.error('HDD Integrity Error: Invalid triplet structure');
-        return '';
+    if (tokenize(hddString).length !== FIELD_COUNT) {
+        return fail('HDD Integrity Error: Invalid triplet structure', 'INVALID_STRUCTURE', null);
+    }
+
+    if (options.sign) {
+        try {
+            hddString += SEPARATOR + createSignature(hddString, options.sign);
+        } catch (e) {
+            return fail(e.message, 'SIGNING_FAILED', 'signature');
+        }
     }
 
     return hddString;
 }
 
 // === DECODING ENGINE ===
-function decode(hddString) {
-    if (typeof hddString !== 'string' || hddString.length < 5) return null;
+// Maps raw fields onto their slots. Strings written since fixed positions
+// always carry all five fields; shorter 1.1 strings dropped empty parts, so
+// a lone fourth field is either the version or the context.
+function resolveSlots(fields) {
+    const [activity, timestamp, value] = fields;
+    let context = fields[3] || '';
+    let version = fields[4] || '';
+    const signature = fields[FIELD_COUNT] || '';
 
-    const parts = hddString.split(SEPARATOR);
+    if (fields.length === 4 && VERSION_PATTERN.test(fields[3])) {
+        context = '';
+        version = fields[3];
+    }
 
-    if (parts.length < 3) {
-        console.error('HDD Decode Error: Invalid Triplet structure detected.');
-        return null;
+    return { activity, timestamp, value, context, version, signature };
+}
+
+// Throws on a malformed type-tagged payload
+function decodeValue(raw) {
+    if (raw === '') return null;
+    if (raw === EMPTY_STRING_MARKER) return '';
+
+    const payload = unescapeField(raw.slice(2));
+    switch (raw.slice(0, 2)) {
+        case TYPE_TAGS.string:
+            return payload;
+        case TYPE_TAGS.boolean:
+            if (payload !== 'true' && payload !== 'false') throw new Error(`Invalid boolean '${payload}'`);
+            return payload === 'true';
+        case TYPE_TAGS.number:
+            return Number(payload);
+        case TYPE_TAGS.date: {
+            const date = new Date(payload);
+            if (isNaN(date.getTime())) throw new Error(`Invalid date '${payload}'`);
+            return date;
+        }
+        case TYPE_TAGS.bigint:
+            return typeof BigInt === 'function' ? BigInt(payload) : payload;
+        case TYPED_JSON_TAG:
+            return JSON.parse(payload, reviveTyped);
     }
 
-    const activity = parts[0].replace(/\\:/g, SEPARATOR);
-    const timestamp = parseInt(parts[1], 10);
-    let value = parts[2].replace(/\\:/g, SEPARATOR);
+    return inferValue(unescapeField(raw));
+}
 
+// The untagged 1.1 heuristics: JSON objects and arrays, then numbers
+function inferValue(value) {
     try {
         if (value.startsWith('{') && value.endsWith('}')) {
             value = JSON.parse(value);
@@ -136,38 +880,307 @@ function decode(hddString) {
     } catch (e) {
         // Keep as string if parsing fails
     }
+    return value;
+}
+
+// decode(hddString, { verify: { key, algorithm }, validate, normalize, strict })
+// Strict mode throws HDDDecodeError instead of logging and returning null.
+function decode(hddString, options = {}) {
+    const strict = options.strict ?? strictMode;
+    const fail = (message, code, field, offset, details) =>
+        reportFailure(new HDDDecodeError(message, { code, field, offset, details }), strict, null);
+
+    if (typeof hddString !== 'string' || hddString.length < 5) {
+        if (!strict) return null;
+        throw new HDDDecodeError('HDD Decode Error: Input must be an HDD string', { code: 'INVALID_INPUT' });
+    }
+
+    const { fields, offsets } = scanFields(hddString);
+
+    if (fields.length < 3) {
+        return fail('HDD Decode Error: Invalid Triplet structure detected.', 'INVALID_STRUCTURE', null, hddString.length);
+    }
+
+    const slots = resolveSlots(fields);
+
+    let signature;
+    if (options.verify) {
+        const payload = fields.slice(0, FIELD_COUNT).join(SEPARATOR);
+        try {
+            signature = verifySignature(payload, unescapeField(slots.signature), options.verify);
+        } catch (e) {
+            // A missing key is the caller's mistake, not the event's: it throws even when not strict
+            if (!options.verify.key) throw new HDDDecodeError(e.message, { code: 'MISSING_KEY', field: 'signature', cause: e });
+            return fail(e.message, 'CRYPTO_UNAVAILABLE', 'signature', offsets[FIELD_COUNT] ?? null);
+        }
+        if (strict && signature !== 'valid') {
+            return fail(`HDD Decode Error: Signature is ${signature}`,
+                signature === 'unsigned' ? 'UNSIGNED' : 'SIGNATURE_MISMATCH',
+                'signature', offsets[FIELD_COUNT] ?? hddString.length);
+        }
+    }
+
+    const activity = unescapeField(slots.activity);
+    if (strict && !activity) {
+        return fail('HDD Decode Error: Activity is empty', 'INVALID_ACTIVITY', 'activity', 0);
+    }
+
+    const timestamp = parseInt(slots.timestamp, 10);
+    if (strict && !/^\d+$/.test(slots.timestamp)) {
+        return fail(`HDD Decode Error: Timestamp '${slots.timestamp}' is not epoch milliseconds`,
+            'INVALID_TIMESTAMP', 'timestamp', offsets[1]);
+    }
+
+    let value;
+    try {
+        value = decodeValue(slots.value);
+    } catch (e) {
+        if (strict) {
+            return fail(`HDD Decode Error: ${e.message}`, 'INVALID_VALUE', 'value', offsets[2]);
+        }
+        value = unescapeField(slots.value);
+    }
 
     let context = null;
-    let version = parts[4] || CURRENT_VERSION;
+    let integrity;
+    const version = unescapeField(slots.version) || CURRENT_VERSION;
 
-    if (parts[3]) {
+    if (slots.context) {
+        const typed = slots.context.startsWith(TYPED_JSON_TAG);
+        const rawContext = unescapeField(typed ? slots.context.slice(2) : slots.context);
         try {
-            context = JSON.parse(parts[3]);
+            context = JSON.parse(rawContext);
         } catch (e) {
-            context = parts[3];
+            if (strict) {
+                return fail('HDD Decode Error: Context is not valid JSON', 'INVALID_CONTEXT', 'context', offsets[3]);
+            }
+            context = rawContext;
+        }
+        if (options.unwrap !== false && isContextEnvelope(context)) {
+            ({ context, integrity } = unwrapContext(context, timestamp));
+            if (strict && integrity !== 'valid') {
+                return fail('HDD Decode Error: Context envelope failed its integrity check',
+                    'INTEGRITY_MISMATCH', 'context', offsets[3]);
+            }
+        }
+        // Revived after the envelope check, whose hash covers the typed JSON
+        if (typed && context && typeof context === 'object') {
+            try {
+                context = JSON.parse(JSON.stringify(context), reviveTyped);
+            } catch (e) {
+                if (strict) {
+                    return fail(`HDD Decode Error: ${e.message}`, 'INVALID_CONTEXT', 'context', offsets[3]);
+                }
+            }
         }
     }
 
-    return {
+    const decoded = {
         activity,
         timestamp,
         value,
         context,
         version
     };
+    if (integrity) decoded.integrity = integrity;
+    if (signature) decoded.signature = signature;
+
+    if (options.normalize && version !== CURRENT_VERSION) {
+        const path = findMigrationPath(version, CURRENT_VERSION);
+        if (path) {
+            Object.assign(decoded, migrate(decoded, CURRENT_VERSION, { strict }));
+            decoded.migrated_from = version;
+        } else if (strict) {
+            return fail(`HDD Decode Error: Version ${version} cannot be normalized to ${CURRENT_VERSION}`,
+                'UNSUPPORTED_VERSION', 'version', offsets[4] ?? null, getVersionCapabilities(version));
+        } else {
+            decoded.capabilities = getVersionCapabilities(version);
+        }
+    }
+
+    if (options.validate) {
+        decoded.validation = validateEvent(decoded);
+        if (strict && !decoded.validation.valid) {
+            const field = decoded.validation.errors[0].field;
+            return fail('HDD Schema Error: Event does not match its schema', 'SCHEMA_VIOLATION',
+                field, null, decoded.validation.errors);
+        }
+    }
+    return decoded;
+}
+
+// === ASYNC SIGNING (Node crypto or WebCrypto) ===
+// signEvent(hddString, { key, algorithm }) resolves to the event with a fresh
+// signature; verifyEvent(hddString, { key, algorithm }) to 'valid', 'tampered'
+// or 'unsigned'. Both reject with typed errors instead of logging.
+async function signEvent(hddString, signOptions) {
+    const fields = typeof hddString === 'string' ? tokenize(hddString) : [];
+    if (fields.length < 3) {
+        throw new HDDEncodeError('HDD Integrity Error: Invalid triplet structure', { code: 'INVALID_STRUCTURE' });
+    }
+    // Older strings are padded to the five signed slots, so the signature stays the sixth field
+    const slots = resolveSlots(fields);
+    const payload = [slots.activity, slots.timestamp, slots.value, slots.context, slots.version].join(SEPARATOR);
+    try {
+        return payload + SEPARATOR + await createSignatureAsync(payload, signOptions);
+    } catch (e) {
+        throw new HDDEncodeError(e.message, { code: 'SIGNING_FAILED', field: 'signature', cause: e });
+    }
+}
+
+async function verifyEvent(hddString, verifyOptions) {
+    if (typeof hddString !== 'string' || hddString.length < 5) {
+        throw new HDDDecodeError('HDD Decode Error: Input must be an HDD string', { code: 'INVALID_INPUT' });
+    }
+    const { fields, offsets } = scanFields(hddString);
+    const payload = fields.slice(0, FIELD_COUNT).join(SEPARATOR);
+    try {
+        return await verifySignatureAsync(payload, unescapeField(fields[FIELD_COUNT] || ''), verifyOptions);
+    } catch (e) {
+        const code = verifyOptions && verifyOptions.key ? 'CRYPTO_UNAVAILABLE' : 'MISSING_KEY';
+        throw new HDDDecodeError(e.message, { code, field: 'signature', offset: offsets[FIELD_COUNT] ?? null, cause: e });
+    }
+}
+
+// === BATCH CONTAINER ENGINE ===
+// HDDB::1::<version>::<base timestamp>::<count>::<checksum>
+// <activity dictionary - escaped activities joined by '::'>
+// <activity index>::<timestamp delta>::<value>::<context>[::<version>[::<signature>]]
+// Deltas are relative to the previous record (the first to the base). An
+// empty record version means the batch version; '\0' means an empty one.
+// Raw fields are copied verbatim, so decodeBatch reproduces signed events.
+const BATCH_MAGIC = 'HDDB';
+const BATCH_FORMAT = '1';
+
+function isBatch(input) {
+    return typeof input === 'string' && input.startsWith(BATCH_MAGIC + SEPARATOR);
+}
+
+// Accepts HDD strings and/or encode() option objects
+function encodeBatch(events, options = {}) {
+    const strict = options.strict ?? strictMode;
+    const fail = (message, code, details) =>
+        reportFailure(new HDDEncodeError(message, { code, details }), strict, '');
+
+    if (!Array.isArray(events) || events.length === 0) {
+        return fail('HDD Batch Error: Events must be a non-empty array', 'INVALID_INPUT');
+    }
+
+    const rows = [];
+    for (let i = 0; i < events.length; i++) {
+        const hddString = typeof events[i] === 'string' ? events[i] : encode(events[i]);
+        if (!hddString || hddString.includes('\n')) {
+            return fail(`HDD Batch Error: Event ${i} is not a single-line HDD string`, 'INVALID_EVENT', { index: i });
+        }
+        const fields = tokenize(hddString);
+        const slots = fields.length >= 3 ? resolveSlots(fields) : null;
+        if (!slots || !/^\d+$/.test(slots.timestamp)) {
+            return fail(`HDD Batch Error: Event ${i} is not a valid HDD string`, 'INVALID_EVENT', { index: i });
+        }
+        rows.push(slots);
+    }
+
+    const version = rows[0].version || CURRENT_VERSION;
+    const base = parseInt(rows[0].timestamp, 10);
+    const dictionary = [];
+    const dictionaryIndex = new Map();
+    const records = [];
+    let previous = base;
+
+    for (const slots of rows) {
+        if (!dictionaryIndex.has(slots.activity)) {
+            dictionaryIndex.set(slots.activity, dictionary.length);
+            dictionary.push(slots.activity);
+        }
+        const timestamp = parseInt(slots.timestamp, 10);
+        const record = [
+            dictionaryIndex.get(slots.activity),
+            timestamp - previous,
+            slots.value,
+            slots.context
+        ];
+        const recordVersion = slots.version === version ? '' : (slots.version || EMPTY_STRING_MARKER);
+        if (recordVersion || slots.signature) record.push(recordVersion);
+        if (slots.signature) record.push(slots.signature);
+        records.push(record.join(SEPARATOR));
+        previous = timestamp;
+    }
+
+    const body = [dictionary.join(SEPARATOR), ...records].join('\n');
+    // The version slot is already escaped, like every raw field
+    const header = [BATCH_MAGIC, BATCH_FORMAT, version, base, records.length,
+        generateIntegrityHash(body)].join(SEPARATOR);
+    return header + '\n' + body;
+}
+
+// Returns the individual HDD strings, or decoded events with { decoded: true }
+function decodeBatch(batch, options = {}) {
+    const strict = options.strict ?? strictMode;
+    const fail = (message, code, details) =>
+        reportFailure(new HDDDecodeError(message, { code, details }), strict, null);
+
+    if (!isBatch(batch)) {
+        return fail('HDD Batch Error: Missing HDDB header', 'INVALID_BATCH');
+    }
+
+    const headerEnd = batch.indexOf('\n');
+    const header = tokenize(headerEnd === -1 ? batch : batch.slice(0, headerEnd));
+    const body = headerEnd === -1 ? '' : batch.slice(headerEnd + 1);
+    const [, format, rawVersion, rawBase, rawCount, checksum] = header;
+
+    if (format !== BATCH_FORMAT) {
+        return fail(`HDD Batch Error: Unsupported batch format ${format}`, 'UNSUPPORTED_FORMAT');
+    }
+    if (generateIntegrityHash(body) !== checksum) {
+        return fail('HDD Batch Error: Checksum mismatch', 'CHECKSUM_MISMATCH');
+    }
+
+    const [dictionaryLine, ...lines] = body.split('\n');
+    const dictionary = tokenize(dictionaryLine);
+    if (lines.length !== parseInt(rawCount, 10)) {
+        return fail(`HDD Batch Error: Expected ${rawCount} records, found ${lines.length}`, 'COUNT_MISMATCH');
+    }
+
+    const events = [];
+    let timestamp = parseInt(rawBase, 10);
+    for (let i = 0; i < lines.length; i++) {
+        const [index, delta, value, context, recordVersion = '', signature = ''] = tokenize(lines[i]);
+        const activity = dictionary[parseInt(index, 10)];
+        if (activity === undefined || !/^-?\d+$/.test(delta)) {
+            return fail(`HDD Batch Error: Record ${i} is malformed`, 'INVALID_RECORD', { index: i });
+        }
+        timestamp += parseInt(delta, 10);
+        const version = recordVersion === '' ? rawVersion :
+            (recordVersion === EMPTY_STRING_MARKER ? '' : recordVersion);
+        const parts = [activity, timestamp, value, context, version];
+        if (signature) parts.push(signature);
+        events.push(parts.join(SEPARATOR));
+    }
+
+    if (!options.decoded) return events;
+    return events.map(event => decode(event, options));
 }
 
 // === ETERNAL EXPORTS ===
+const HDD = {
+    encode, decode, signEvent, verifyEvent, setClock, now,
+    setLogger, setStrictMode, HDDError, HDDEncodeError, HDDDecodeError,
+    registerSchema, getSchema, validateEvent,
+    registerMigration, migrate, findMigrationPath, getVersionCapabilities,
+    encodeBatch, decodeBatch, isBatch,
+    escapeField, unescapeField, tokenize, isContextEnvelope,
+    SEPARATOR, CURRENT_VERSION, CONTEXT_ENVELOPE_THRESHOLD,
+    // Internal: shared with hdd-api.js, not part of the public API
+    _crypto: { loadCrypto, loadWebCrypto, isWebCryptoKey, utf8Bytes, toBase64Url, fromBase64Url }
+};
+
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { encode, decode, SEPARATOR, CURRENT_VERSION };
+    module.exports = HDD;
 } else if (typeof window !== 'undefined') {
-    window.HDD = { encode, decode, SEPARATOR, CURRENT_VERSION };
+    window.HDD = HDD;
 }
 
 // Universal module system for all environments
 if (typeof exports !== 'undefined') {
-    exports.encode = encode;
-    exports.decode = decode;
-    exports.SEPARATOR = SEPARATOR;
-    exports.CURRENT_VERSION = CURRENT_VERSION;
+    Object.assign(exports, HDD);
 }
@@ -0,0 +1,103 @@
+// Type declarations for hdd-interop.js
+
+import HDD = require('./hdd-core.js');
+
+declare namespace HDDInterop {
+    type Format = 'hdd' | 'jsonl' | 'csv' | 'cloudevents' | 'otel';
+
+    /** `index` points at the input event, line, row or record. */
+    interface Warning {
+        index: number;
+        field: string | null;
+        message: string;
+    }
+
+    interface ExportResult<T> {
+        output: T;
+        warnings: Warning[];
+    }
+
+    interface ImportResult {
+        /** HDD strings. */
+        events: string[];
+        warnings: Warning[];
+    }
+
+    /** HDD strings, or newline-delimited text. */
+    type HDDInput = string[] | string;
+
+    interface CSVOptions {
+        delimiter?: string;
+        /** 'iso' (default) or 'epoch' milliseconds. */
+        timestampFormat?: 'iso' | 'epoch';
+    }
+
+    interface CloudEvent {
+        specversion: '1.0';
+        id: string;
+        source: string;
+        type: string;
+        time?: string;
+        datacontenttype?: string;
+        data?: unknown;
+        hddversion?: string;
+        [extension: string]: unknown;
+    }
+
+    interface CloudEventsOptions {
+        source?: string;
+        typePrefix?: string;
+    }
+
+    interface OTLPAnyValue {
+        stringValue?: string;
+        boolValue?: boolean;
+        intValue?: string | number;
+        doubleValue?: number;
+        arrayValue?: { values: OTLPAnyValue[] };
+        kvlistValue?: { values: OTLPKeyValue[] };
+    }
+
+    interface OTLPKeyValue {
+        key: string;
+        value: OTLPAnyValue;
+    }
+
+    interface OTLPLogRecord {
+        timeUnixNano?: string;
+        observedTimeUnixNano?: string;
+        severityNumber?: number;
+        severityText?: string;
+        body?: OTLPAnyValue;
+        attributes?: OTLPKeyValue[];
+        [field: string]: unknown;
+    }
+
+    interface OTLPPayload {
+        resourceLogs: Array<{
+            resource?: { attributes?: OTLPKeyValue[] };
+            scopeLogs?: Array<{ scope?: { name?: string; version?: string }; logRecords?: OTLPLogRecord[] }>;
+        }>;
+    }
+
+    function toJSONLines(hddEvents: HDDInput): ExportResult<string>;
+    function fromJSONLines(text: string): ImportResult;
+    function toCSV(hddEvents: HDDInput, options?: CSVOptions): ExportResult<string>;
+    function fromCSV(text: string, options?: { delimiter?: string }): ImportResult;
+    function toCloudEvents(hddEvents: HDDInput, options?: CloudEventsOptions): ExportResult<CloudEvent[]>;
+    function fromCloudEvents(cloudEvents: CloudEvent | CloudEvent[], options?: { typePrefix?: string }): ImportResult;
+    interface OpenTelemetryOptions {
+        serviceName?: string;
+        severityNumber?: number;
+        severityText?: string;
+    }
+
+    function toOpenTelemetry(hddEvents: HDDInput, options?: OpenTelemetryOptions): ExportResult<OTLPPayload>;
+    function fromOpenTelemetry(input: OTLPPayload | OTLPLogRecord | OTLPLogRecord[]): ImportResult;
+    function convert(input: unknown, from: Format, to: Format,
+        options?: CSVOptions & CloudEventsOptions & OpenTelemetryOptions): ExportResult<string | string[] | CloudEvent[] | OTLPPayload>;
+
+    const FORMATS: Format[];
+}
+
+export = HDDInterop;
@@ -0,0 +1,538 @@
+/**
+ * HDD INTEROP LAYER 1.1 - UNIVERSAL FORMAT CONVERTERS
+ * JSON Lines • CSV • CloudEvents 1.0 • OpenTelemetry Logs
+ * Every conversion reports what could not be carried over
+ */
+
+// Universal Import Pattern - Loads core functions from hdd-core.js
+let encode, decode, tokenize, CURRENT_VERSION;
+try {
+    if (typeof module !== 'undefined' && module.exports) {
+        ({ encode, decode, tokenize, CURRENT_VERSION } = require('./hdd-core.js'));
+    } else if (typeof window !== 'undefined' && window.HDD) {
+        ({ encode, decode, tokenize, CURRENT_VERSION } = window.HDD);
+    } else {
+        throw new Error('HDD Core not loaded in environment.');
+    }
+} catch (error) {
+    console.error('HDD Interop: Core dependency loading failed', error);
+}
+
+// Every exporter returns { output, warnings } and every importer
+// { events, warnings }; a warning is { index, field, message } and the index
+// points at the input event, line, row or record it concerns.
+function warn(warnings, index, field, message) {
+    warnings.push({ index, field, message });
+}
+
+function toLines(hddEvents) {
+    return typeof hddEvents === 'string' ? hddEvents.split(/\r?\n/).filter(line => line.trim() !== '') : hddEvents;
+}
+
+// === HDD SIDE ===
+// Decodes the input events and flags what no JSON-based target can keep:
+// signatures, and typed values that JSON turns into strings.
+function readEvents(hddEvents, warnings) {
+    const decoded = [];
+    toLines(hddEvents).forEach((line, index) => {
+        let event;
+        try {
+            event = decode(line, { strict: true });
+        } catch (error) {
+            warn(warnings, index, error.field || null, `skipped: ${error.message}`);
+            return;
+        }
+        if (tokenize(line).length > 5) warn(warnings, index, 'signature', 'signature dropped; re-sign after import');
+        decoded.push({
+            index,
+            event: {
+                ...event,
+                value: plainValue(event.value, index, 'value', warnings),
+                context: plainValue(event.context, index, 'context', warnings)
+            }
+        });
+    });
+    return decoded;
+}
+
+function plainValue(value, index, field, warnings) {
+    if (value instanceof Date) {
+        warn(warnings, index, field, 'date value exported as an ISO string');
+        return value.toISOString();
+    }
+    if (typeof value === 'bigint') {
+        warn(warnings, index, field, 'bigint value exported as a string');
+        return value.toString();
+    }
+    // Nested typed values are converted too; the warning names their path
+    if (Array.isArray(value)) return value.map((child, i) => plainValue(child, index, `${field}.${i}`, warnings));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, plainValue(child, index, `${field}.${key}`, warnings)]));
+    }
+    return value;
+}
+
+function writeEvent(fields, index, warnings) {
+    try {
+        return encode({ ...fields, version: fields.version || CURRENT_VERSION, strict: true });
+    } catch (error) {
+        warn(warnings, index, error.field || null, `skipped: ${error.message}`);
+        return null;
+    }
+}
+
+// Epoch ms from a number, a numeric string or an ISO 8601 string
+function toEpochMs(input) {
+    if (typeof input === 'number') return Number.isFinite(input) ? Math.trunc(input) : null;
+    if (typeof input !== 'string' || input === '') return null;
+    if (/^\d+$/.test(input)) return Number(input);
+    const parsed = Date.parse(input);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function missingTimestamp(index, field, warnings) {
+    warn(warnings, index, field, 'no usable timestamp; the current time was used');
+    return undefined;
+}
+
+// === JSON LINES ===
+// { "activity": "...", "timestamp": 1735682400000, "value": ..., "context": {...}, "version": "1.1" }
+function toJSONLines(hddEvents) {
+    const warnings = [];
+    const output = readEvents(hddEvents, warnings)
+        .map(({ event }) => JSON.stringify({
+            activity: event.activity,
+            timestamp: event.timestamp,
+            value: event.value,
+            context: event.context,
+            version: event.version
+        }))
+        .join('\n');
+    return { output: output && output + '\n', warnings };
+}
+
+function fromJSONLines(text) {
+    const warnings = [];
+    const events = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            warn(warnings, index, null, `skipped: invalid JSON (${error.message})`);
+            return;
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            warn(warnings, index, null, 'skipped: not a JSON object');
+            return;
+        }
+        const known = ['activity', 'timestamp', 'value', 'context', 'version'];
+        const extra = Object.keys(record).filter(key => !known.includes(key));
+        if (extra.length > 0) warn(warnings, index, null, `dropped unknown fields: ${extra.join(', ')}`);
+
+        const timestamp = toEpochMs(record.timestamp);
+        const event = writeEvent({
+            activity: record.activity,
+            timestamp: timestamp ?? missingTimestamp(index, 'timestamp', warnings),
+            value: record.value === undefined ? null : record.value,
+            context: record.context ?? null,
+            version: record.version
+        }, index, warnings);
+        if (event) events.push(event);
+    });
+    return { events, warnings };
+}
+
+// === CSV (RFC 4180) ===
+// Columns: activity, timestamp, value, version, then one column per context
+// leaf as 'context.a.b'. Cells hold strings as-is and everything else as
+// JSON; a string that would itself read as JSON ("42", "true") is written
+// JSON-quoted, so types survive the round trip. An empty cell is absent.
+function toCSV(hddEvents, options = {}) {
+    const warnings = [];
+    const delimiter = options.delimiter || ',';
+    const epoch = options.timestampFormat === 'epoch';
+    const rows = [];
+    const columns = ['activity', 'timestamp', 'value', 'version'];
+    const seen = new Set(columns);
+
+    for (const { index, event } of readEvents(hddEvents, warnings)) {
+        const row = {
+            activity: event.activity,
+            timestamp: epoch ? String(event.timestamp) : new Date(event.timestamp).toISOString(),
+            value: toCell(event.value),
+            version: event.version || ''
+        };
+        if (event.context !== null && event.context !== undefined) {
+            flatten(event.context, 'context', row, index, warnings);
+        }
+        for (const column of Object.keys(row)) {
+            if (!seen.has(column)) {
+                seen.add(column);
+                columns.push(column);
+            }
+        }
+        rows.push(row);
+    }
+
+    const line = cells => cells.map(cell => quoteCSV(cell, delimiter)).join(delimiter);
+    const output = [line(columns), ...rows.map(row => line(columns.map(column => row[column] ?? '')))].join('\r\n') + '\r\n';
+    return { output, warnings };
+}
+
+function flatten(node, prefix, row, index, warnings) {
+    if (!node || typeof node !== 'object' || Array.isArray(node) || Object.keys(node).length === 0) {
+        row[prefix] = toCell(node);
+        return;
+    }
+    for (const [key, child] of Object.entries(node)) {
+        if (key.includes('.')) warn(warnings, index, `${prefix}.${key}`, 'key contains \'.\' and will split into nested keys on import');
+        flatten(child, `${prefix}.${key}`, row, index, warnings);
+    }
+}
+
+function toCell(value) {
+    if (value === undefined) return '';
+    if (typeof value !== 'string') return JSON.stringify(value);
+    return readsAsJSON(value) || value === '' ? JSON.stringify(value) : value;
+}
+
+function fromCell(cell) {
+    if (cell === '') return undefined;
+    return readsAsJSON(cell) ? JSON.parse(cell) : cell;
+}
+
+function readsAsJSON(text) {
+    if (!/^\s*(["{[\dtfn-])/.test(text)) return false;
+    try {
+        JSON.parse(text);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function quoteCSV(cell, delimiter) {
+    return /["\r\n]/.test(cell) || cell.includes(delimiter) || /^\s|\s$/.test(cell) ?
+        '"' + cell.replace(/"/g, '""') + '"' : cell;
+}
+
+function parseCSV(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+function fromCSV(text, options = {}) {
+    const warnings = [];
+    const [header, ...rows] = parseCSV(text, options.delimiter || ',');
+    if (!header || !header.includes('activity')) {
+        warn(warnings, 0, null, 'missing header row with an activity column');
+        return { events: [], warnings };
+    }
+    const unknown = header.filter(column =>
+        !['activity', 'timestamp', 'value', 'version', 'context'].includes(column) && !column.startsWith('context.'));
+    if (unknown.length > 0) warn(warnings, 0, null, `dropped unknown columns: ${unknown.join(', ')}`);
+
+    const events = [];
+    rows.forEach((cells, rowIndex) => {
+        const index = rowIndex + 1;
+        if (cells.length !== header.length) warn(warnings, index, null, `expected ${header.length} cells, found ${cells.length}`);
+        let context = null;
+        const fields = {};
+        header.forEach((column, i) => {
+            const cell = cells[i] ?? '';
+            if (column === 'context' || column.startsWith('context.')) {
+                const value = fromCell(cell);
+                if (value === undefined) return;
+                if (column === 'context') {
+                    context = value;
+                    return;
+                }
+                if (!context || typeof context !== 'object') context = {};
+                const path = column.split('.').slice(1);
+                let node = context;
+                for (const key of path.slice(0, -1)) {
+                    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+                    node = node[key];
+                }
+                node[path[path.length - 1]] = value;
+            } else {
+                fields[column] = cell;
+            }
+        });
+
+        const timestamp = toEpochMs(fields.timestamp);
+        const value = fromCell(fields.value ?? '');
+        const event = writeEvent({
+            activity: fields.activity,
+            timestamp: timestamp ?? missingTimestamp(index, 'timestamp', warnings),
+            value: value === undefined ? null : value,
+            context,
+            version: fields.version
+        }, index, warnings);
+        if (event) events.push(event);
+    });
+    return { events, warnings };
+}
+
+// === CLOUDEVENTS 1.0 (JSON format) ===
+// type = typePrefix + activity, time = timestamp, data = { value, context },
+// version in the 'hddversion' extension attribute. The id is derived from
+// the event itself, so converting the same log twice yields the same ids.
+const CLOUDEVENT_ATTRIBUTES = ['specversion', 'id', 'source', 'type', 'time', 'datacontenttype', 'data', 'hddversion'];
+
+function toCloudEvents(hddEvents, options = {}) {
+    const warnings = [];
+    const source = options.source || 'urn:hdd';
+    const typePrefix = options.typePrefix || '';
+    const output = readEvents(hddEvents, warnings).map(({ event }) => {
+        const data = { value: event.value };
+        if (event.context !== null && event.context !== undefined) data.context = event.context;
+        return {
+            specversion: '1.0',
+            id: `hdd-${event.timestamp}-${fingerprint(JSON.stringify([event.activity, data]))}`,
+            source,
+            type: typePrefix + event.activity,
+            time: new Date(event.timestamp).toISOString(),
+            datacontenttype: 'application/json',
+            data,
+            hddversion: event.version
+        };
+    });
+    return { output, warnings };
+}
+
+function fromCloudEvents(cloudEvents, options = {}) {
+    const warnings = [];
+    const typePrefix = options.typePrefix || '';
+    const list = Array.isArray(cloudEvents) ? cloudEvents : [cloudEvents];
+    const events = [];
+    list.forEach((cloudEvent, index) => {
+        if (!cloudEvent || typeof cloudEvent !== 'object' || typeof cloudEvent.type !== 'string') {
+            warn(warnings, index, 'type', 'skipped: not a CloudEvent with a type');
+            return;
+        }
+        if (cloudEvent.specversion !== '1.0') warn(warnings, index, 'specversion', `specversion ${cloudEvent.specversion} read as 1.0`);
+        const dropped = Object.keys(cloudEvent).filter(key => !CLOUDEVENT_ATTRIBUTES.includes(key));
+        if (dropped.length > 0) warn(warnings, index, null, `dropped attributes: ${dropped.join(', ')}`);
+
+        let activity = cloudEvent.type;
+        if (typePrefix && activity.startsWith(typePrefix)) activity = activity.slice(typePrefix.length);
+        else if (typePrefix) warn(warnings, index, 'type', `type does not start with '${typePrefix}'`);
+
+        // Events that did not come from HDD carry arbitrary data: it becomes the context
+        let data = cloudEvent.data;
+        if (data === undefined && cloudEvent.data_base64 !== undefined) {
+            warn(warnings, index, 'data_base64', 'binary data is not supported and was dropped');
+        }
+        let value = null;
+        let context = null;
+        if (data && typeof data === 'object' && !Array.isArray(data) && 'value' in data &&
+            Object.keys(data).every(key => key === 'value' || key === 'context')) {
+            value = data.value;
+            context = data.context ?? null;
+        } else if (data !== undefined && data !== null) {
+            context = typeof data === 'object' && !Array.isArray(data) ? data : { data };
+            warn(warnings, index, 'data', 'data is not in HDD shape and was mapped to the context');
+        }
+
+        const timestamp = toEpochMs(cloudEvent.time);
+        const event = writeEvent({
+            activity,
+            timestamp: timestamp ?? missingTimestamp(index, 'time', warnings),
+            value,
+            context,
+            version: cloudEvent.hddversion
+        }, index, warnings);
+        if (event) events.push(event);
+    });
+    return { events, warnings };
+}
+
+// FNV-1a, 32 bit - stable ids without a crypto dependency
+function fingerprint(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// === OPENTELEMETRY LOGS (OTLP/JSON) ===
+// Each event becomes a log record: timeUnixNano = timestamp, body = value,
+// attributes event.name = activity, hdd.version and hdd.context (a kvlist).
+// The records are wrapped in a resourceLogs payload for OTLP/HTTP.
+function toOpenTelemetry(hddEvents, options = {}) {
+    const warnings = [];
+    const logRecords = readEvents(hddEvents, warnings).map(({ event }) => {
+        const attributes = [
+            { key: 'event.name', value: { stringValue: event.activity } },
+            { key: 'hdd.version', value: { stringValue: event.version || '' } }
+        ];
+        if (event.context !== null && event.context !== undefined) {
+            attributes.push({ key: 'hdd.context', value: toAnyValue(event.context) });
+        }
+        const nanos = (BigInt(event.timestamp) * 1000000n).toString();
+        return {
+            timeUnixNano: nanos,
+            observedTimeUnixNano: nanos,
+            severityNumber: options.severityNumber || 9,
+            severityText: options.severityText || 'INFO',
+            body: toAnyValue(event.value),
+            attributes
+        };
+    });
+    const output = {
+        resourceLogs: [{
+            resource: { attributes: [{ key: 'service.name', value: { stringValue: options.serviceName || 'hdd' } }] },
+            scopeLogs: [{ scope: { name: 'hdd', version: CURRENT_VERSION }, logRecords }]
+        }]
+    };
+    return { output, warnings };
+}
+
+// Accepts an OTLP payload, a single log record or an array of log records
+function fromOpenTelemetry(input) {
+    const warnings = [];
+    const records = input && Array.isArray(input.resourceLogs) ?
+        input.resourceLogs.flatMap(resource => (resource.scopeLogs || []).flatMap(scope => scope.logRecords || [])) :
+        Array.isArray(input) ? input : [input];
+
+    const events = [];
+    records.forEach((record, index) => {
+        if (!record || typeof record !== 'object') {
+            warn(warnings, index, null, 'skipped: not a log record');
+            return;
+        }
+        const attributes = {};
+        for (const attribute of record.attributes || []) attributes[attribute.key] = fromAnyValue(attribute.value);
+        const { 'event.name': eventName, 'hdd.version': version, 'hdd.context': hddContext, ...rest } = attributes;
+
+        // Foreign records have no event.name: fall back to the severity text
+        let activity = eventName;
+        if (typeof activity !== 'string' || activity === '') {
+            activity = record.severityText || 'log';
+            warn(warnings, index, 'event.name', `no event.name attribute; activity set to '${activity}'`);
+        }
+        let context = hddContext ?? null;
+        if (Object.keys(rest).length > 0) {
+            if (context && typeof context === 'object' && !Array.isArray(context)) context = { ...rest, ...context };
+            else if (context === null) context = rest;
+            else warn(warnings, index, 'attributes', `dropped attributes: ${Object.keys(rest).join(', ')}`);
+        }
+
+        const nanos = [record.timeUnixNano, record.observedTimeUnixNano].find(time => time !== undefined && String(time) !== '0');
+        let timestamp = null;
+        if (nanos !== undefined && /^\d+$/.test(String(nanos))) {
+            const big = BigInt(String(nanos));
+            if (big % 1000000n !== 0n) warn(warnings, index, 'timeUnixNano', 'sub-millisecond precision truncated');
+            timestamp = Number(big / 1000000n);
+        }
+
+        const event = writeEvent({
+            activity,
+            timestamp: timestamp ?? missingTimestamp(index, 'timeUnixNano', warnings),
+            value: record.body === undefined ? null : fromAnyValue(record.body),
+            context,
+            version: typeof version === 'string' && version !== '' ? version : undefined
+        }, index, warnings);
+        if (event) events.push(event);
+    });
+    return { events, warnings };
+}
+
+function toAnyValue(value) {
+    if (value === null || value === undefined) return {};
+    if (typeof value === 'string') return { stringValue: value };
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+    return { kvlistValue: { values: Object.entries(value).map(([key, child]) => ({ key, value: toAnyValue(child) })) } };
+}
+
+function fromAnyValue(anyValue) {
+    if (!anyValue || typeof anyValue !== 'object') return null;
+    if ('stringValue' in anyValue) return anyValue.stringValue;
+    if ('boolValue' in anyValue) return anyValue.boolValue;
+    if ('intValue' in anyValue) return Number(anyValue.intValue);
+    if ('doubleValue' in anyValue) return anyValue.doubleValue;
+    if ('bytesValue' in anyValue) return anyValue.bytesValue;
+    if ('arrayValue' in anyValue) return (anyValue.arrayValue.values || []).map(fromAnyValue);
+    if ('kvlistValue' in anyValue) {
+        return Object.fromEntries((anyValue.kvlistValue.values || []).map(({ key, value }) => [key, fromAnyValue(value)]));
+    }
+    return null;
+}
+
+// === GENERIC CONVERSION ===
+// convert(input, 'csv', 'cloudevents') goes through HDD strings; 'hdd' input
+// is an array or newline-delimited text and 'hdd' output is an array.
+const IMPORTERS = { jsonl: fromJSONLines, csv: fromCSV, cloudevents: fromCloudEvents, otel: fromOpenTelemetry };
+const EXPORTERS = { jsonl: toJSONLines, csv: toCSV, cloudevents: toCloudEvents, otel: toOpenTelemetry };
+const FORMATS = ['hdd', ...Object.keys(EXPORTERS)];
+
+function convert(input, from, to, options = {}) {
+    if (!FORMATS.includes(from) || !FORMATS.includes(to)) {
+        throw new Error(`HDD Interop: formats must be one of ${FORMATS.join(', ')}`);
+    }
+    let events = input;
+    let warnings = [];
+    if (from !== 'hdd') {
+        ({ events, warnings } = IMPORTERS[from](input, options));
+    }
+    if (to === 'hdd') {
+        if (from !== 'hdd') return { output: events, warnings };
+        // hdd to hdd keeps the lines that decode
+        const lines = toLines(input);
+        const checked = [];
+        return { output: readEvents(lines, checked).map(({ index }) => lines[index]), warnings: checked };
+    }
+    const exported = EXPORTERS[to](events, options);
+    // Export warnings index the intermediate HDD events
+    return { output: exported.output, warnings: [...warnings, ...exported.warnings] };
+}
+
+// === ETERNAL EXPORTS ===
+const HDDInterop = {
+    toJSONLines, fromJSONLines,
+    toCSV, fromCSV,
+    toCloudEvents, fromCloudEvents,
+    toOpenTelemetry, fromOpenTelemetry,
+    convert, FORMATS
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HDDInterop;
+} else if (typeof window !== 'undefined') {
+    window.HDDInterop = HDDInterop;
+}
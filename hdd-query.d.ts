@@ -0,0 +1,49 @@
+// Type declarations for hdd-query.js
+
+import HDD = require('./hdd-core.js');
+
+declare namespace HDDQuery {
+    /** Parsed filter expression; see parseQuery(). */
+    type QueryNode = { type: string; [key: string]: unknown };
+
+    type Filter = string | QueryNode | ((event: HDD.DecodedEvent) => boolean);
+
+    interface QuerySpec {
+        /** e.g. "activity ~ 'purchase*' and timestamp >= now-7d" */
+        where?: Filter;
+        from?: number | Date | string;
+        to?: number | Date | string;
+        groupBy?: string | string[];
+        /** { name: 'avg(value)' } or specs named like 'avg_value'. */
+        aggregate?: { [name: string]: string } | string[];
+        limit?: number;
+    }
+
+    interface Aggregate {
+        name: string;
+        fn: 'count' | 'sum' | 'avg' | 'min' | 'max' | 'percentile';
+        percentile: number | null;
+        field: string | null;
+        path: Array<string | number> | null;
+    }
+
+    interface QueryResult {
+        matched: number;
+        /** Filter-only queries. */
+        events?: HDD.DecodedEvent[];
+        /** Queries with aggregate or groupBy. */
+        aggregates?: { [name: string]: number | null };
+        groups?: Array<{ group: { [field: string]: unknown }; matched: number; [aggregate: string]: unknown }>;
+    }
+
+    class HDDQueryError extends HDD.HDDError {
+        code: 'INVALID_QUERY';
+    }
+
+    function parseQuery(source: string): QueryNode;
+    function compileFilter(expression?: Filter | null): (event: HDD.DecodedEvent) => boolean;
+    function compileAggregates(aggregate?: QuerySpec['aggregate']): Aggregate[];
+    function runQuery(decodedEvents: HDD.DecodedEvent[], query?: Filter | QuerySpec): QueryResult;
+}
+
+export = HDDQuery;
@@ -0,0 +1,473 @@
+/**
+ * HDD QUERY LAYER 1.1 - FILTER & AGGREGATION DSL
+ * Expression Parser • Compiled Predicates • Group-By Aggregates
+ * Works on decoded events, never on raw strings
+ */
+
+// Universal Import Pattern - Loads core functions from hdd-core.js
+let now, HDDError;
+try {
+    if (typeof module !== 'undefined' && module.exports) {
+        ({ now, HDDError } = require('./hdd-core.js'));
+    } else if (typeof window !== 'undefined' && window.HDD) {
+        ({ now, HDDError } = window.HDD);
+    } else {
+        throw new Error('HDD Core not loaded in environment.');
+    }
+} catch (error) {
+    console.error('HDD Query: Core dependency loading failed', error);
+}
+
+class HDDQueryError extends HDDError {}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'true', 'false', 'null', 'now']);
+const COMPARATORS = ['==', '!=', '>=', '<=', '>', '<', '~'];
+
+function queryError(message, offset = null) {
+    return new HDDQueryError(`HDD query: ${message}`, { code: 'INVALID_QUERY', offset });
+}
+
+// === TOKENIZER ===
+// Strings in single or double quotes, numbers, durations (7d, 12h, 500ms),
+// dotted field paths with [n] indexes, operators and parentheses.
+function tokenizeQuery(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) { i++; continue; }
+
+        if (char === '\'' || char === '"') {
+            let text = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                if (source[j] === '\\' && j + 1 < source.length) j++;
+                text += source[j++];
+            }
+            if (j >= source.length) throw queryError('unterminated string', i);
+            tokens.push({ type: 'literal', value: text, offset: i });
+            i = j + 1;
+            continue;
+        }
+
+        const operator = COMPARATORS.find(op => source.startsWith(op, i)) ||
+            ['(', ')', '[', ']', ','].find(op => op === char);
+        // '-' and '+' are only operators after `now`; otherwise they start a number
+        if (!operator && (char === '+' || char === '-') && tokens.length > 0 &&
+            tokens[tokens.length - 1].type === 'now') {
+            tokens.push({ type: 'op', value: char, offset: i++ });
+            continue;
+        }
+        if (operator) {
+            tokens.push({ type: 'op', value: operator, offset: i });
+            i += operator.length;
+            continue;
+        }
+
+        const number = /^-?\d+(\.\d+)?(ms|[smhdw])?(?![\w.])/.exec(source.slice(i));
+        if (number) {
+            const unit = number[2];
+            tokens.push(unit
+                ? { type: 'duration', value: parseFloat(number[0]) * DURATION_UNITS[unit], offset: i }
+                : { type: 'literal', value: Number(number[0]), offset: i });
+            i += number[0].length;
+            continue;
+        }
+
+        const word = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\[\d+\])*/.exec(source.slice(i));
+        if (word) {
+            const lower = word[0].toLowerCase();
+            if (KEYWORDS.has(lower)) {
+                if (lower === 'true' || lower === 'false') tokens.push({ type: 'literal', value: lower === 'true', offset: i });
+                else if (lower === 'null') tokens.push({ type: 'literal', value: null, offset: i });
+                else tokens.push({ type: lower === 'now' ? 'now' : 'keyword', value: lower, offset: i });
+            } else {
+                tokens.push({ type: 'field', value: word[0], offset: i });
+            }
+            i += word[0].length;
+            continue;
+        }
+
+        throw queryError(`unexpected character '${char}'`, i);
+    }
+    return tokens;
+}
+
+// === PARSER ===
+// expr       := and ('or' and)*
+// and        := unary ('and' unary)*
+// unary      := 'not' unary | '(' expr ')' | comparison
+// comparison := operand [(comparator operand) | ('not'? 'in' '[' operand (',' operand)* ']')]
+// operand    := field | literal | now [('+' | '-') duration]
+function parseQuery(source) {
+    const tokens = tokenizeQuery(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const offsetHere = () => (peek() ? peek().offset : source.length);
+    const isKeyword = word => peek() && peek().type === 'keyword' && peek().value === word;
+    const isOp = op => peek() && peek().type === 'op' && peek().value === op;
+    const expectOp = op => {
+        if (!isOp(op)) throw queryError(`expected '${op}'`, offsetHere());
+        position++;
+    };
+
+    const parseOperand = () => {
+        const token = peek();
+        if (!token) throw queryError('unexpected end of query', source.length);
+        position++;
+        if (token.type === 'field') return { type: 'field', path: parseFieldPath(token.value) };
+        if (token.type === 'literal') return { type: 'literal', value: token.value };
+        if (token.type === 'duration') return { type: 'literal', value: token.value };
+        if (token.type === 'now') {
+            let shift = 0;
+            if (isOp('+') || isOp('-')) {
+                const sign = tokens[position++].value === '-' ? -1 : 1;
+                const duration = peek();
+                if (!duration || duration.type !== 'duration') throw queryError('expected a duration after now', offsetHere());
+                position++;
+                shift = sign * duration.value;
+            }
+            return { type: 'now', shift };
+        }
+        throw queryError(`unexpected '${token.value}'`, token.offset);
+    };
+
+    const parseComparison = () => {
+        const left = parseOperand();
+        const negated = isKeyword('not') && tokens[position + 1] && tokens[position + 1].value === 'in';
+        if (negated) position++;
+        if (isKeyword('in')) {
+            position++;
+            expectOp('[');
+            const list = [parseOperand()];
+            while (isOp(',')) {
+                position++;
+                list.push(parseOperand());
+            }
+            expectOp(']');
+            const node = { type: 'in', left, list };
+            return negated ? { type: 'not', operand: node } : node;
+        }
+        const token = peek();
+        if (token && token.type === 'op' && COMPARATORS.includes(token.value)) {
+            position++;
+            return { type: 'compare', op: token.value, left, right: parseOperand() };
+        }
+        // A bare operand tests that the field is present
+        return { type: 'exists', operand: left };
+    };
+
+    const parseUnary = () => {
+        if (isKeyword('not')) {
+            position++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        if (isOp('(')) {
+            position++;
+            const node = parseOr();
+            expectOp(')');
+            return node;
+        }
+        return parseComparison();
+    };
+
+    const parseAnd = () => {
+        let node = parseUnary();
+        while (isKeyword('and')) {
+            position++;
+            node = { type: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    };
+
+    function parseOr() {
+        let node = parseAnd();
+        while (isKeyword('or')) {
+            position++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    if (tokens.length === 0) throw queryError('empty expression', 0);
+    const ast = parseOr();
+    if (position < tokens.length) throw queryError(`unexpected '${peek().value}'`, peek().offset);
+    return ast;
+}
+
+// 'context.items[0].sku' -> ['context', 'items', 0, 'sku']
+function parseFieldPath(text) {
+    const path = [];
+    const pattern = /([A-Za-z_$][\w$]*)|\[(\d+)\]/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        path.push(match[1] !== undefined ? match[1] : Number(match[2]));
+    }
+    return path;
+}
+
+function resolvePath(event, path) {
+    let node = event;
+    for (const key of path) {
+        if (node === null || node === undefined || typeof node !== 'object') return undefined;
+        node = node[key];
+    }
+    return node;
+}
+
+// Dates compare by time; ISO strings compare as dates against timestamps
+function normalize(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function globToRegExp(glob) {
+    const escaped = String(glob).replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+}
+
+// === COMPILER ===
+// Turns the AST into a predicate; literals are resolved once per query,
+// `now` once per compile so every event sees the same instant.
+function compileFilter(expression) {
+    if (typeof expression === 'function') return expression;
+    if (expression === undefined || expression === null || expression === '') return () => true;
+    const ast = typeof expression === 'string' ? parseQuery(expression) : expression;
+    const instant = now();
+
+    const operand = (node, peer) => {
+        if (node.type === 'field') return event => normalize(resolvePath(event, node.path));
+        let value = node.type === 'now' ? instant + node.shift : node.value;
+        // A string compared with the timestamp field is read as a date
+        if (typeof value === 'string' && peer && peer.type === 'field' &&
+            peer.path.length === 1 && peer.path[0] === 'timestamp') {
+            const parsed = Date.parse(value);
+            if (Number.isNaN(parsed)) throw queryError(`'${value}' is not a valid date`);
+            value = parsed;
+        }
+        return () => value;
+    };
+
+    const compile = node => {
+        switch (node.type) {
+            case 'and': {
+                const left = compile(node.left), right = compile(node.right);
+                return event => left(event) && right(event);
+            }
+            case 'or': {
+                const left = compile(node.left), right = compile(node.right);
+                return event => left(event) || right(event);
+            }
+            case 'not': {
+                const inner = compile(node.operand);
+                return event => !inner(event);
+            }
+            case 'exists': {
+                const read = operand(node.operand);
+                return event => {
+                    const value = read(event);
+                    return value !== undefined && value !== null;
+                };
+            }
+            case 'in': {
+                const read = operand(node.left);
+                const options = node.list.map(item => operand(item, node.left)());
+                return event => options.includes(read(event));
+            }
+            case 'compare': {
+                const left = operand(node.left, node.right);
+                const right = operand(node.right, node.left);
+                if (node.op === '~') {
+                    const pattern = globToRegExp(right());
+                    return event => {
+                        const value = left(event);
+                        return typeof value === 'string' && pattern.test(value);
+                    };
+                }
+                return event => compareValues(node.op, left(event), right(event));
+            }
+            default:
+                throw queryError(`unknown node type '${node.type}'`);
+        }
+    };
+
+    return compile(ast);
+}
+
+// Ordering comparisons only hold between two numbers or two strings;
+// a missing field matches nothing except '!='.
+function compareValues(op, a, b) {
+    if (op === '==') return a === b;
+    if (op === '!=') return a !== b;
+    if (a === undefined || a === null || b === undefined || b === null) return false;
+    if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) return false;
+    switch (op) {
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return false;
+    }
+}
+
+// === AGGREGATES ===
+// 'avg(value)', 'count()', 'p95(context.amount)', 'percentile(value, 99.9)'
+function parseAggregate(spec) {
+    const match = /^\s*([a-z]+)(\d+(?:\.\d+)?)?\s*\(\s*([^,)]*?)\s*(?:,\s*(\d+(?:\.\d+)?)\s*)?\)\s*$/i.exec(spec);
+    if (!match) throw queryError(`invalid aggregate '${spec}'`);
+    let fn = match[1].toLowerCase();
+    let percentile = null;
+    if (fn === 'p' && match[2] !== undefined) {
+        fn = 'percentile';
+        percentile = Number(match[2]);
+    } else if (fn === 'percentile') {
+        if (match[4] === undefined) throw queryError(`percentile needs a rank in '${spec}'`);
+        percentile = Number(match[4]);
+    } else if (match[2] !== undefined || match[4] !== undefined) {
+        throw queryError(`invalid aggregate '${spec}'`);
+    }
+    if (!['count', 'sum', 'avg', 'min', 'max', 'percentile'].includes(fn)) {
+        throw queryError(`unknown aggregate function '${fn}'`);
+    }
+    if (percentile !== null && (percentile < 0 || percentile > 100)) {
+        throw queryError(`percentile rank must be between 0 and 100 in '${spec}'`);
+    }
+    const field = match[3] || null;
+    if (!field && fn !== 'count') throw queryError(`${fn} needs a field in '${spec}'`);
+    return { fn, percentile, field, path: field ? parseFieldPath(field) : null };
+}
+
+function defaultAggregateName(spec) {
+    const { fn, percentile, field } = parseAggregate(spec);
+    const prefix = fn === 'percentile' ? `p${String(percentile).replace('.', '_')}` : fn;
+    return field ? `${prefix}_${field.replace(/\W+/g, '_').replace(/_$/, '')}` : prefix;
+}
+
+// Accepts { name: 'fn(field)' } or an array of specs named like 'avg_value'
+function compileAggregates(aggregate) {
+    const entries = Array.isArray(aggregate)
+        ? aggregate.map(spec => [defaultAggregateName(spec), spec])
+        : Object.entries(aggregate || { count: 'count()' });
+    return entries.map(([name, spec]) => ({ name, ...parseAggregate(spec) }));
+}
+
+function createAccumulator(aggregates) {
+    return aggregates.map(aggregate => ({ aggregate, count: 0, sum: 0, min: Infinity, max: -Infinity, values: [] }));
+}
+
+function accumulate(state, event) {
+    for (const slot of state) {
+        const { fn, path } = slot.aggregate;
+        if (!path) {
+            slot.count++;
+            continue;
+        }
+        const value = normalize(resolvePath(event, path));
+        if (fn === 'count') {
+            if (value !== undefined && value !== null) slot.count++;
+            continue;
+        }
+        // Numeric aggregates skip anything that is not a finite number
+        if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+        slot.count++;
+        slot.sum += value;
+        if (value < slot.min) slot.min = value;
+        if (value > slot.max) slot.max = value;
+        if (fn === 'percentile') slot.values.push(value);
+    }
+}
+
+function finalize(state) {
+    const result = {};
+    for (const slot of state) {
+        const { name, fn, percentile } = slot.aggregate;
+        if (fn === 'count') result[name] = slot.count;
+        else if (slot.count === 0) result[name] = null;
+        else if (fn === 'sum') result[name] = slot.sum;
+        else if (fn === 'avg') result[name] = slot.sum / slot.count;
+        else if (fn === 'min') result[name] = slot.min;
+        else if (fn === 'max') result[name] = slot.max;
+        else result[name] = percentileOf(slot.values, percentile);
+    }
+    return result;
+}
+
+// Linear interpolation between the closest ranks
+function percentileOf(values, rank) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const position = (rank / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// === QUERY EXECUTION ===
+// query: a filter string, or { where, from, to, groupBy, aggregate, limit }
+function runQuery(decodedEvents, query) {
+    const spec = typeof query === 'string' || typeof query === 'function' ? { where: query } : (query || {});
+    const filter = compileFilter(spec.where);
+    const from = spec.from !== undefined ? toEpoch(spec.from, 'from') : -Infinity;
+    const to = spec.to !== undefined ? toEpoch(spec.to, 'to') : Infinity;
+    const groupBy = spec.groupBy === undefined ? [] : [].concat(spec.groupBy);
+    const groupPaths = groupBy.map(parseFieldPath);
+    const aggregating = spec.aggregate !== undefined || groupBy.length > 0;
+    const aggregates = aggregating ? compileAggregates(spec.aggregate) : null;
+
+    const matches = [];
+    const groups = new Map();
+    const totals = aggregating ? createAccumulator(aggregates) : null;
+    let matched = 0;
+
+    for (const event of decodedEvents) {
+        if (event.timestamp < from || event.timestamp >= to || !filter(event)) continue;
+        matched++;
+        if (!aggregating) {
+            matches.push(event);
+            continue;
+        }
+        accumulate(totals, event);
+        if (groupBy.length === 0) continue;
+
+        const keyValues = groupPaths.map(path => normalize(resolvePath(event, path)) ?? null);
+        const key = JSON.stringify(keyValues);
+        if (!groups.has(key)) groups.set(key, { keyValues, matched: 0, state: createAccumulator(aggregates) });
+        const group = groups.get(key);
+        group.matched++;
+        accumulate(group.state, event);
+    }
+
+    const result = { matched };
+    if (!aggregating) {
+        result.events = spec.limit ? matches.slice(0, spec.limit) : matches;
+        return result;
+    }
+    result.aggregates = finalize(totals);
+    if (groupBy.length > 0) {
+        // Largest groups first; ties keep first-seen order
+        const rows = Array.from(groups.values())
+            .sort((a, b) => b.matched - a.matched)
+            .map(group => ({
+                group: Object.fromEntries(groupBy.map((field, i) => [field, group.keyValues[i]])),
+                matched: group.matched,
+                ...finalize(group.state)
+            }));
+        result.groups = spec.limit ? rows.slice(0, spec.limit) : rows;
+    }
+    return result;
+}
+
+function toEpoch(value, name) {
+    const epoch = value instanceof Date ? value.getTime() : typeof value === 'string' ? Date.parse(value) : value;
+    if (typeof epoch !== 'number' || Number.isNaN(epoch)) throw queryError(`'${name}' must be a date, ISO string or epoch ms`);
+    return epoch;
+}
+
+// === ETERNAL EXPORTS ===
+const HDDQuery = { parseQuery, compileFilter, compileAggregates, runQuery, HDDQueryError };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HDDQuery;
+} else if (typeof window !== 'undefined') {
+    window.HDDQuery = HDDQuery;
+}
@@ -0,0 +1,35 @@
+// Type declarations for hdd-server.js
+
+/// <reference types="node" />
+import { IncomingMessage, Server, ServerResponse } from 'http';
+import HDDStore = require('./hdd-store.js');
+
+declare namespace HDDServer {
+    /** An HDDStore, or any object with append() and scan(). */
+    type EventStore = Pick<HDDStore, 'append' | 'scan'> & Partial<HDDStore>;
+
+    interface Options {
+        /** Default HDDStore.memory(). */
+        store?: EventStore;
+        /** Requests need "Authorization: Bearer <token>". */
+        token?: string;
+        /** POST /events limit (default 1 MB). */
+        maxBodyBytes?: number;
+        /** Earlier events scored by /events/:id/analytics (default 100). */
+        history?: number;
+    }
+
+    interface IngestResult {
+        accepted: number;
+        rejected: number;
+        ids: Array<number | string>;
+        rejections: Array<{ line: number; code: string; field: string | null; offset: number | null; reason: string }>;
+    }
+
+    type Handler = ((req: IncomingMessage, res: ServerResponse) => Promise<void>) & { store: EventStore };
+
+    function createHandler(options?: Options): Handler;
+    function createServer(options?: Options): Server & { store: EventStore };
+}
+
+export = HDDServer;
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * HDD SERVER 1.1 - LOCAL INGESTION & ANALYTICS OVER HTTP
+ * POST /events • GET /analyze • GET /predict • GET /events/:id/analytics
+ * Zero dependencies: Node http, hdd-core.js, hdd-api.js and hdd-store.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const HDD = require('./hdd-core.js');
+const HDDApi = require('./hdd-api.js');
+const HDDStore = require('./hdd-store.js');
+
+const USAGE = `Usage: node hdd-server.js [options]
+
+  --port <n>        Port (default 8080)
+  --host <addr>     Interface to bind (default 127.0.0.1; 0.0.0.0 for the network)
+  --file <path>     Persist events to a file store (default in memory)
+  --token <secret>  Require "Authorization: Bearer <secret>" on every request`;
+
+class HTTPError extends Error {
+    constructor(status, message, code, headers = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.headers = headers;
+    }
+}
+
+// JSON with bigints as strings
+function sendJSON(res, status, body, headers = {}) {
+    const text = JSON.stringify(body, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+    res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', ...headers });
+    res.end(text);
+}
+
+// An oversized body is drained rather than buffered, so the client finishes
+// sending and reads the 413 instead of a reset connection; the connection
+// is then closed
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= maxBytes) chunks.push(chunk);
+            else chunks.length = 0;
+        });
+        req.on('end', () => {
+            if (size > maxBytes) {
+                reject(new HTTPError(413, `HDD Server: request body exceeds ${maxBytes} bytes`, 'BODY_TOO_LARGE', { connection: 'close' }));
+                return;
+            }
+            resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
+
+// Constant-time for headers of the expected length; only the length leaks
+function hasToken(req, expected) {
+    const given = Buffer.from(req.headers.authorization || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Epoch ms as digits, anything else (ISO strings) is left to the store
+function timeParam(params, name) {
+    const value = params.get(name);
+    if (value === null || value === '') return undefined;
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+function scanParams(params) {
+    const activity = params.getAll('activity');
+    return {
+        from: timeParam(params, 'from'),
+        to: timeParam(params, 'to'),
+        activity: activity.length === 0 ? undefined : activity.length === 1 ? activity[0] : activity
+    };
+}
+
+// Every non-blank line, or the records of one encodeBatch() container, is
+// decoded strictly; bad lines become rejections and the rest are stored
+function validateLines(body) {
+    let lines;
+    if (HDD.isBatch(body.trim())) {
+        try {
+            lines = HDD.decodeBatch(body.trim(), { strict: true });
+        } catch (error) {
+            throw new HTTPError(400, error.message, error.code || 'INVALID_BATCH');
+        }
+    } else {
+        lines = body.split('\n').map(line => line.replace(/\r$/, ''));
+    }
+
+    const accepted = [];
+    const rejections = [];
+    lines.forEach((line, index) => {
+        if (line.trim() === '') return;
+        let decoded;
+        try {
+            decoded = HDD.decode(line, { strict: true });
+        } catch (error) {
+            rejections.push({ line: index + 1, code: error.code || 'DECODE_FAILED', field: error.field ?? null, offset: error.offset ?? null, reason: error.message });
+            return;
+        }
+        if (!HDDApi._validateStructure(decoded)) {
+            rejections.push({ line: index + 1, code: 'INVALID_STRUCTURE', field: null, offset: null, reason: 'Invalid HDD event structure' });
+            return;
+        }
+        accepted.push(line);
+    });
+    return { accepted, rejections };
+}
+
+// === ROUTES ===
+const ROUTES = [
+    ['POST', /^\/events$/, async (context, req) => {
+        const { accepted, rejections } = validateLines(await readBody(req, context.maxBodyBytes));
+        if (accepted.length === 0) {
+            return [400, { accepted: 0, rejected: rejections.length, ids: [], rejections }];
+        }
+        const ids = await context.store.append(accepted);
+        return [200, { accepted: ids.length, rejected: rejections.length, ids, rejections }];
+    }],
+
+    ['GET', /^\/analyze$/, async (context, req, params) => {
+        return [200, await HDDApi.analyzePattern(context.store, {
+            ...scanParams(params),
+            subjectKey: params.get('subject_key') || undefined
+        })];
+    }],
+
+    ['GET', /^\/predict$/, async (context, req, params) => {
+        const order = params.get('order');
+        return [200, await HDDApi.predictNext(context.store, {
+            ...scanParams(params),
+            subjectKey: params.get('subject_key') || undefined,
+            subject: params.get('subject') ?? undefined,
+            order: order ? Number(order) : undefined
+        })];
+    }],
+
+    // The events stored before this one, up to options.history, are the
+    // baseline for its anomaly scores
+    ['GET', /^\/events\/([^/]+)\/analytics$/, async (context, req, params, id) => {
+        const history = [];
+        for await (const record of context.store.scan()) {
+            if (String(record.id) === id) {
+                return [200, { id: record.id, analytics: HDDApi.getEventAnalytics(record.event, { history }) }];
+            }
+            history.push(record.event);
+            if (history.length > context.history) history.shift();
+        }
+        throw new HTTPError(404, `HDD Server: no event with id ${id}`, 'NOT_FOUND');
+    }]
+];
+
+// options:
+//   store          HDDStore or any object with append() and scan() (default HDDStore.memory())
+//   token          when set, requests need "Authorization: Bearer <token>"
+//   maxBodyBytes   POST /events limit (default 1 MB)
+//   history        events before the target scored by /events/:id/analytics (default 100)
+// Returns a (req, res) listener for http.createServer or an existing server.
+function createHandler(options = {}) {
+    const context = {
+        store: options.store || HDDStore.memory(),
+        maxBodyBytes: options.maxBodyBytes || 1024 * 1024,
+        history: options.history ?? 100
+    };
+    if (!HDDApi._isStore(context.store)) throw new TypeError('HDD Server: store must implement append() and scan()');
+    const expectedAuthorization = options.token ? Buffer.from(`Bearer ${options.token}`) : null;
+
+    const handler = async (req, res) => {
+        try {
+            if (expectedAuthorization && !hasToken(req, expectedAuthorization)) {
+                throw new HTTPError(401, 'HDD Server: missing or invalid bearer token', 'UNAUTHORIZED');
+            }
+            const url = new URL(req.url, 'http://localhost');
+            const routes = ROUTES.filter(([, pattern]) => pattern.test(url.pathname));
+            if (routes.length === 0) throw new HTTPError(404, `HDD Server: no route for ${url.pathname}`, 'NOT_FOUND');
+            const route = routes.find(([method]) => method === req.method);
+            if (!route) {
+                res.setHeader('allow', routes.map(([method]) => method).join(', '));
+                throw new HTTPError(405, `HDD Server: ${req.method} is not allowed on ${url.pathname}`, 'METHOD_NOT_ALLOWED');
+            }
+            const [, pattern, action] = route;
+            const [, ...captures] = pattern.exec(url.pathname);
+            const [status, body] = await action(context, req, url.searchParams, ...captures.map(decodeURIComponent));
+            sendJSON(res, status, body);
+        } catch (error) {
+            if (error instanceof HTTPError) return sendJSON(res, error.status, { error: error.message, code: error.code }, error.headers);
+            // Bad time bounds and malformed ids are the client's fault
+            if (error instanceof URIError || (error instanceof TypeError && error.message.startsWith('HDD Store:'))) return sendJSON(res, 400, { error: error.message, code: 'INVALID_PARAMETER' });
+            sendJSON(res, 500, { error: error.message, code: 'INTERNAL_ERROR' });
+        }
+    };
+    handler.store = context.store;
+    return handler;
+}
+
+// Same options as createHandler; the server's `store` is the one in use
+function createServer(options = {}) {
+    const handler = createHandler(options);
+    const server = http.createServer(handler);
+    server.store = handler.store;
+    return server;
+}
+
+module.exports = { createServer, createHandler };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i].replace(/^--/, '');
+        if (!['port', 'host', 'file', 'token'].includes(name) || i + 1 >= args.length) {
+            console.error(USAGE);
+            process.exit(2);
+        }
+        options[name] = args[++i];
+    }
+    const store = options.file ? HDDStore.file(options.file) : HDDStore.memory();
+    const server = createServer({ store, token: options.token || process.env.HDD_SERVER_TOKEN });
+    const host = options.host || '127.0.0.1';
+    const port = Number(options.port || 8080);
+    server.listen(port, host, () => {
+        console.log(`HDD server listening on http://${host}:${port} (${options.file ? options.file : 'memory store'})`);
+    });
+    const shutdown = () => server.close(() => store.close().then(() => process.exit(0)));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,95 @@
+// Type declarations for hdd-store.js
+
+declare namespace HDDStore {
+    type TimeBound = number | Date | string;
+
+    interface StoredRecord {
+        id: number | string;
+        timestamp: number;
+        activity: string;
+        /** The HDD string. */
+        event: string;
+    }
+
+    interface ScanOptions {
+        /** Inclusive. */
+        from?: TimeBound;
+        /** Exclusive. */
+        to?: TimeBound;
+        /** 'purchase', 'purchase_*' or ['login', 'logout']. */
+        activity?: string | string[];
+        limit?: number;
+    }
+
+    interface CompactOptions {
+        /** Drop events older than this. */
+        before?: TimeBound;
+        /** Drop these activities (same patterns as scan). */
+        activities?: string | string[];
+        /** Keep only the first of identical events. */
+        dedupe?: boolean;
+    }
+
+    /** Adapters persist records; filtering and validation live in HDDStore. */
+    interface Adapter {
+        append(records: Array<Omit<StoredRecord, 'id'>>): Promise<Array<number | string>>;
+        /** Records with from <= timestamp < to, ordered by timestamp, then id. */
+        scan(range: { from: number; to: number }): AsyncIterable<StoredRecord>;
+        rewrite(keep: (record: StoredRecord) => boolean): Promise<number>;
+        count(): Promise<number>;
+        close?(): Promise<void> | void;
+    }
+
+    class MemoryAdapter implements Adapter {
+        append(records: Array<Omit<StoredRecord, 'id'>>): Promise<number[]>;
+        scan(range: { from: number; to: number }): AsyncGenerator<StoredRecord>;
+        rewrite(keep: (record: StoredRecord) => boolean): Promise<number>;
+        count(): Promise<number>;
+        close(): Promise<void>;
+    }
+
+    class FileAdapter implements Adapter {
+        constructor(path: string, options?: { indexPath?: string; blockSize?: number });
+        append(records: Array<Omit<StoredRecord, 'id'>>): Promise<number[]>;
+        scan(range: { from: number; to: number }): AsyncGenerator<StoredRecord>;
+        rewrite(keep: (record: StoredRecord) => boolean): Promise<number>;
+        count(): Promise<number>;
+        close(): Promise<void>;
+    }
+
+    interface IndexedDBOptions {
+        name?: string;
+        storeName?: string;
+        pageSize?: number;
+        /** Injected implementations, e.g. from fake-indexeddb. */
+        indexedDB?: unknown;
+        IDBKeyRange?: unknown;
+    }
+
+    class IndexedDBAdapter implements Adapter {
+        constructor(options?: IndexedDBOptions);
+        append(records: Array<Omit<StoredRecord, 'id'>>): Promise<number[]>;
+        scan(range: { from: number; to: number }): AsyncGenerator<StoredRecord>;
+        rewrite(keep: (record: StoredRecord) => boolean): Promise<number>;
+        count(): Promise<number>;
+        close(): Promise<void>;
+    }
+}
+
+declare class HDDStore {
+    static memory(): HDDStore;
+    static file(path: string, options?: { indexPath?: string; blockSize?: number }): HDDStore;
+    static indexedDB(options?: HDDStore.IndexedDBOptions): HDDStore;
+
+    constructor(adapter: HDDStore.Adapter);
+    adapter: HDDStore.Adapter;
+    /** Every event is decoded strictly first; one bad event writes nothing. */
+    append(events: string | string[]): Promise<Array<number | string>>;
+    scan(options?: HDDStore.ScanOptions): AsyncGenerator<HDDStore.StoredRecord>;
+    range(options?: HDDStore.ScanOptions): Promise<string[]>;
+    compact(options?: HDDStore.CompactOptions): Promise<{ removed: number; remaining: number }>;
+    count(): Promise<number>;
+    close(): Promise<void>;
+}
+
+export = HDDStore;
@@ -0,0 +1,551 @@
+/**
+ * HDD STORE LAYER 1.1 - APPEND-ONLY EVENT STORAGE
+ * Memory • Newline-Delimited File with Time Index • IndexedDB
+ * One store interface, pluggable adapters
+ */
+
+// Universal Import Pattern - Loads core functions from hdd-core.js
+let decode;
+try {
+    if (typeof module !== 'undefined' && module.exports) {
+        ({ decode } = require('./hdd-core.js'));
+    } else if (typeof window !== 'undefined' && window.HDD) {
+        ({ decode } = window.HDD);
+    } else {
+        throw new Error('HDD Core not loaded in environment.');
+    }
+} catch (error) {
+    console.error('HDD Store: Core dependency loading failed', error);
+}
+
+// === ADAPTER CONTRACT ===
+// Adapters persist records { id, timestamp, activity, event } where `event`
+// is the HDD string. They implement:
+//   append(records)   store records without ids; resolve to the new ids
+//   scan({ from, to }) async iterable of records with from <= timestamp < to,
+//                     ordered by timestamp, then id
+//   rewrite(keep)     drop every record for which keep(record) is false;
+//                     resolve to the number removed
+//   count()           number of stored records
+//   close()           optional, release handles
+// Filtering, validation and compaction policy live in HDDStore.
+
+// Milliseconds from epoch ms, a Date or an ISO string; bounds default open
+function toEpoch(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    const epoch = value instanceof Date ? value.getTime() : typeof value === 'string' ? Date.parse(value) : value;
+    if (typeof epoch !== 'number' || Number.isNaN(epoch)) {
+        throw new TypeError('HDD Store: time bounds must be epoch ms, a Date or an ISO string');
+    }
+    return epoch;
+}
+
+// 'purchase', 'purchase_*' or ['login', 'logout']
+function activityMatcher(activity) {
+    if (activity === undefined || activity === null) return () => true;
+    if (Array.isArray(activity)) {
+        const allowed = new Set(activity);
+        return name => allowed.has(name);
+    }
+    if (String(activity).includes('*')) {
+        const escaped = String(activity).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp('^' + escaped.replace(/\*/g, '.*') + '$');
+        return name => pattern.test(name);
+    }
+    return name => name === activity;
+}
+
+function compareRecords(a, b) {
+    return a.timestamp - b.timestamp || a.id - b.id;
+}
+
+// Keeps records sorted by (timestamp, id) with a binary search; in-order
+// appends stay O(1)
+function insertSorted(records, record) {
+    const last = records[records.length - 1];
+    if (!last || compareRecords(last, record) <= 0) {
+        records.push(record);
+        return;
+    }
+    let low = 0;
+    let high = records.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (compareRecords(records[middle], record) <= 0) low = middle + 1;
+        else high = middle;
+    }
+    records.splice(low, 0, record);
+}
+
+// === MEMORY ADAPTER ===
+class MemoryAdapter {
+    constructor() {
+        this.records = [];
+        this.nextId = 1;
+    }
+
+    async append(records) {
+        return records.map(record => {
+            const stored = { ...record, id: this.nextId++ };
+            insertSorted(this.records, stored);
+            return stored.id;
+        });
+    }
+
+    async *scan({ from = -Infinity, to = Infinity } = {}) {
+        // First record at or after `from`
+        let low = 0;
+        let high = this.records.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.records[middle].timestamp < from) low = middle + 1;
+            else high = middle;
+        }
+        const snapshot = this.records.slice(low);
+        for (const record of snapshot) {
+            if (record.timestamp >= to) return;
+            yield record;
+        }
+    }
+
+    async rewrite(keep) {
+        const before = this.records.length;
+        this.records = this.records.filter(keep);
+        return before - this.records.length;
+    }
+
+    async count() {
+        return this.records.length;
+    }
+
+    async close() {}
+}
+
+// === FILE ADAPTER (Node) ===
+// The log is a plain newline-delimited HDD file, readable by every HDD tool.
+// A sidecar '<path>.idx' JSON index splits it into blocks of `blockSize`
+// lines with their byte range and time span, so a time-range scan reads only
+// the blocks that can overlap the range. Ids are 1-based line numbers; the
+// index records the log's size and mtime and is rebuilt from the log
+// whenever it is missing or either of them changed.
+class FileAdapter {
+    constructor(path, options = {}) {
+        this.path = path;
+        this.indexPath = options.indexPath || path + '.idx';
+        this.blockSize = options.blockSize || 256;
+        this.fs = require('fs');
+        this.index = null;
+        this.queue = Promise.resolve();
+    }
+
+    // Operations run one at a time so appends never interleave
+    _exclusive(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async _loadIndex() {
+        const stat = await this._stat();
+        if (this.index && this._isCurrent(this.index, stat)) return this.index;
+        try {
+            const index = JSON.parse(await this.fs.promises.readFile(this.indexPath, 'utf8'));
+            if (this._isCurrent(index, stat)) return (this.index = index);
+        } catch (error) {
+            // Missing or unreadable index: rebuild below
+        }
+        return (this.index = await this._rebuildIndex());
+    }
+
+    _isCurrent(index, stat) {
+        return index.bytes === stat.size && index.mtimeMs === stat.mtimeMs && index.blockSize === this.blockSize;
+    }
+
+    async _stat() {
+        try {
+            const { size, mtimeMs } = await this.fs.promises.stat(this.path);
+            return { size, mtimeMs };
+        } catch (error) {
+            if (error.code === 'ENOENT') return { size: 0, mtimeMs: null };
+            throw error;
+        }
+    }
+
+    // Lines of the log, read in chunks rather than all at once
+    async *_readLines() {
+        let rest = '';
+        try {
+            for await (const chunk of this.fs.createReadStream(this.path, { encoding: 'utf8' })) {
+                const lines = (rest + chunk).split('\n');
+                rest = lines.pop();
+                yield* lines;
+            }
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        if (rest !== '') yield rest;
+    }
+
+    async _endsWithNewline() {
+        const { size } = await this._stat();
+        if (size === 0) return true;
+        const handle = await this.fs.promises.open(this.path, 'r');
+        try {
+            const last = Buffer.alloc(1);
+            await handle.read(last, 0, 1, size - 1);
+            return last[0] === 0x0a;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    _emptyIndex() {
+        return { blockSize: this.blockSize, bytes: 0, mtimeMs: null, lines: 0, blocks: [] };
+    }
+
+    async _rebuildIndex() {
+        const index = this._emptyIndex();
+        for await (const line of this._readLines()) this._indexLine(index, line);
+        await this._saveIndex(index);
+        return index;
+    }
+
+    _indexLine(index, line) {
+        const bytes = Buffer.byteLength(line) + 1;
+        let block = index.blocks[index.blocks.length - 1];
+        if (!block || block.count >= this.blockSize) {
+            block = { offset: index.bytes, bytes: 0, firstId: index.lines + 1, count: 0, minTs: Infinity, maxTs: -Infinity };
+            index.blocks.push(block);
+        }
+        const decoded = decode(line, { strict: false });
+        block.bytes += bytes;
+        block.count++;
+        // Lines without a usable timestamp never match a scan, so they leave
+        // the block's time span alone
+        if (decoded && Number.isFinite(decoded.timestamp)) {
+            block.minTs = Math.min(block.minTs, decoded.timestamp);
+            block.maxTs = Math.max(block.maxTs, decoded.timestamp);
+        }
+        index.bytes += bytes;
+        index.lines++;
+    }
+
+    // Stamps the index with the log's current mtime before writing it
+    async _saveIndex(index) {
+        index.mtimeMs = (await this._stat()).mtimeMs;
+        await this.fs.promises.writeFile(this.indexPath, JSON.stringify(index));
+    }
+
+    append(records) {
+        return this._exclusive(async () => {
+            const index = await this._loadIndex();
+            const ids = records.map((_, i) => index.lines + i + 1);
+            // A log written elsewhere may lack its final newline
+            const separator = await this._endsWithNewline() ? '' : '\n';
+            await this.fs.promises.appendFile(this.path, separator + records.map(record => record.event + '\n').join(''));
+            for (const record of records) this._indexLine(index, record.event);
+            await this._saveIndex(index);
+            return ids;
+        });
+    }
+
+    // Blocks are read one at a time in order of their earliest timestamp.
+    // Appends need not arrive in time order, so matches wait in `pending`
+    // until no unread block can hold an earlier record; for a log written in
+    // time order that is one block's worth.
+    async *scan({ from = -Infinity, to = Infinity } = {}) {
+        const index = await this._exclusive(() => this._loadIndex());
+        const blocks = index.blocks
+            .filter(block => block.maxTs >= from && block.minTs < to)
+            .sort((a, b) => a.minTs - b.minTs || a.firstId - b.firstId);
+        if (blocks.length === 0) return;
+
+        const handle = await this.fs.promises.open(this.path, 'r');
+        const pending = [];
+        try {
+            for (let b = 0; b < blocks.length; b++) {
+                const block = blocks[b];
+                const buffer = Buffer.alloc(block.bytes);
+                await handle.read(buffer, 0, block.bytes, block.offset);
+                const lines = buffer.toString('utf8').split('\n');
+                for (let i = 0; i < block.count; i++) {
+                    const decoded = decode(lines[i], { strict: false });
+                    if (!decoded || !Number.isFinite(decoded.timestamp) || decoded.timestamp < from || decoded.timestamp >= to) continue;
+                    insertSorted(pending, { id: block.firstId + i, timestamp: decoded.timestamp, activity: decoded.activity, event: lines[i] });
+                }
+
+                const next = b + 1 < blocks.length ? blocks[b + 1].minTs : Infinity;
+                let ready = 0;
+                while (ready < pending.length && pending[ready].timestamp < next) ready++;
+                yield* pending.splice(0, ready);
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Streams the kept lines into a temporary file, indexing them on the
+    // way, and renames it over the log
+    rewrite(keep) {
+        return this._exclusive(async () => {
+            const index = await this._loadIndex();
+            if (index.lines === 0) return 0;
+
+            const temporary = this.path + '.compact';
+            const handle = await this.fs.promises.open(temporary, 'w');
+            const rebuilt = this._emptyIndex();
+            let chunk = '';
+            let id = 0;
+            try {
+                for await (const line of this._readLines()) {
+                    const decoded = decode(line, { strict: false });
+                    const kept = keep({
+                        id: ++id,
+                        timestamp: decoded ? decoded.timestamp : 0,
+                        activity: decoded ? decoded.activity : null,
+                        event: line
+                    });
+                    if (!kept) continue;
+                    this._indexLine(rebuilt, line);
+                    chunk += line + '\n';
+                    if (chunk.length >= 65536) {
+                        await handle.write(chunk);
+                        chunk = '';
+                    }
+                }
+                if (chunk) await handle.write(chunk);
+            } finally {
+                await handle.close();
+            }
+            await this.fs.promises.rename(temporary, this.path);
+            await this._saveIndex(rebuilt);
+            this.index = rebuilt;
+            return id - rebuilt.lines;
+        });
+    }
+
+    async count() {
+        return (await this._exclusive(() => this._loadIndex())).lines;
+    }
+
+    async close() {
+        await this.queue;
+        this.index = null;
+    }
+}
+
+// === INDEXEDDB ADAPTER (Browser) ===
+// One object store with auto-increment ids and a [timestamp, id] index.
+// Scans read in pages of `pageSize`, one transaction per page, because a
+// transaction cannot stay open while the caller awaits between records.
+// `indexedDB` and `IDBKeyRange` default to the globals and can be replaced,
+// e.g. with the fake-indexeddb package under Node.
+class IndexedDBAdapter {
+    constructor(options = {}) {
+        this.name = options.name || 'hdd-events';
+        this.storeName = options.storeName || 'events';
+        this.pageSize = options.pageSize || 500;
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.IDBKeyRange = options.IDBKeyRange || (typeof IDBKeyRange !== 'undefined' ? IDBKeyRange : null);
+        if (!this.indexedDB || !this.IDBKeyRange) {
+            throw new Error('HDD Store: IndexedDB is not available in this environment');
+        }
+        this.db = null;
+    }
+
+    static _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static _done(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('HDD Store: transaction aborted'));
+        });
+    }
+
+    async _open() {
+        if (this.db) return this.db;
+        const request = this.indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('time', ['timestamp', 'id']);
+        };
+        this.db = await IndexedDBAdapter._request(request);
+        return this.db;
+    }
+
+    async append(records) {
+        const db = await this._open();
+        const transaction = db.transaction(this.storeName, 'readwrite');
+        const store = transaction.objectStore(this.storeName);
+        const ids = records.map(record => IndexedDBAdapter._request(store.add({ ...record })));
+        await IndexedDBAdapter._done(transaction);
+        return Promise.all(ids);
+    }
+
+    async *scan({ from = -Infinity, to = Infinity } = {}) {
+        const db = await this._open();
+        // Infinity is not a valid key, so open bounds become no bound at all
+        let lower = Number.isFinite(from) ? [from] : null;
+        let lowerOpen = false;
+        const upper = Number.isFinite(to) ? [to] : null;
+
+        while (true) {
+            const range = lower && upper ? this.IDBKeyRange.bound(lower, upper, lowerOpen, true) :
+                lower ? this.IDBKeyRange.lowerBound(lower, lowerOpen) :
+                upper ? this.IDBKeyRange.upperBound(upper, true) : null;
+            const page = await this._readPage(db, range);
+            yield* page;
+            if (page.length < this.pageSize) return;
+            const last = page[page.length - 1];
+            lower = [last.timestamp, last.id];
+            lowerOpen = true;
+        }
+    }
+
+    _readPage(db, range) {
+        return new Promise((resolve, reject) => {
+            const page = [];
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const request = transaction.objectStore(this.storeName).index('time').openCursor(range);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || page.length >= this.pageSize) {
+                    resolve(page);
+                    return;
+                }
+                page.push(cursor.value);
+                cursor.continue();
+            };
+        });
+    }
+
+    async rewrite(keep) {
+        const db = await this._open();
+        const transaction = db.transaction(this.storeName, 'readwrite');
+        const request = transaction.objectStore(this.storeName).openCursor();
+        let removed = 0;
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            if (!keep(cursor.value)) {
+                cursor.delete();
+                removed++;
+            }
+            cursor.continue();
+        };
+        await IndexedDBAdapter._done(transaction);
+        return removed;
+    }
+
+    async count() {
+        const db = await this._open();
+        return IndexedDBAdapter._request(db.transaction(this.storeName, 'readonly').objectStore(this.storeName).count());
+    }
+
+    async close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+}
+
+// === EVENT STORE ===
+class HDDStore {
+    static MemoryAdapter = MemoryAdapter;
+    static FileAdapter = FileAdapter;
+    static IndexedDBAdapter = IndexedDBAdapter;
+
+    static memory() {
+        return new HDDStore(new MemoryAdapter());
+    }
+
+    static file(path, options) {
+        return new HDDStore(new FileAdapter(path, options));
+    }
+
+    static indexedDB(options) {
+        return new HDDStore(new IndexedDBAdapter(options));
+    }
+
+    constructor(adapter) {
+        for (const method of ['append', 'scan', 'rewrite', 'count']) {
+            if (!adapter || typeof adapter[method] !== 'function') {
+                throw new TypeError(`HDD Store: adapter must implement ${method}()`);
+            }
+        }
+        this.adapter = adapter;
+    }
+
+    // One HDD string or an array; every event is decoded strictly first, so
+    // an invalid event rejects the whole call and nothing is written
+    async append(events) {
+        const list = Array.isArray(events) ? events : [events];
+        const records = list.map(event => {
+            const decoded = decode(event, { strict: true });
+            return { timestamp: decoded.timestamp, activity: decoded.activity, event };
+        });
+        if (records.length === 0) return [];
+        return this.adapter.append(records);
+    }
+
+    // options: from (inclusive), to (exclusive), activity, limit.
+    // Yields { id, timestamp, activity, event } in time order.
+    async *scan(options = {}) {
+        const from = toEpoch(options.from, -Infinity);
+        const to = toEpoch(options.to, Infinity);
+        const matches = activityMatcher(options.activity);
+        const limit = options.limit ?? Infinity;
+        let yielded = 0;
+        if (limit <= 0) return;
+        for await (const record of this.adapter.scan({ from, to })) {
+            if (!matches(record.activity)) continue;
+            yield { id: record.id, timestamp: record.timestamp, activity: record.activity, event: record.event };
+            if (++yielded >= limit) return;
+        }
+    }
+
+    // Same options as scan(); resolves to the HDD strings
+    async range(options = {}) {
+        const events = [];
+        for await (const record of this.scan(options)) events.push(record.event);
+        return events;
+    }
+
+    // options: before (drop older events), activities (drop these),
+    // dedupe (keep the first of identical events). Ids may change.
+    async compact(options = {}) {
+        const before = toEpoch(options.before, -Infinity);
+        const dropped = options.activities ? activityMatcher(options.activities) : () => false;
+        const seen = new Set();
+        const removed = await this.adapter.rewrite(record => {
+            if (record.timestamp < before || dropped(record.activity)) return false;
+            if (!options.dedupe) return true;
+            if (seen.has(record.event)) return false;
+            seen.add(record.event);
+            return true;
+        });
+        return { removed, remaining: await this.adapter.count() };
+    }
+
+    count() {
+        return this.adapter.count();
+    }
+
+    async close() {
+        if (typeof this.adapter.close === 'function') await this.adapter.close();
+    }
+}
+
+// === ETERNAL EXPORTS ===
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HDDStore;
+} else if (typeof window !== 'undefined') {
+    window.HDDStore = HDDStore;
+}
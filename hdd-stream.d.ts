@@ -0,0 +1,33 @@
+// Type declarations for hdd-stream.js
+
+/// <reference types="node" />
+import { Transform } from 'stream';
+import HDD = require('./hdd-core.js');
+
+declare namespace HDDStream {
+    /** Text, a Node or browser stream, or an (async) iterable of chunks. */
+    type Source = string | AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array> |
+        { getReader(): { read(): Promise<{ done: boolean; value?: string | Uint8Array }>; releaseLock(): void } };
+
+    interface LineRejection {
+        line: number;
+        code: string;
+        field: string | null;
+        offset: number | null;
+        reason: string;
+        raw: string;
+    }
+
+    interface DecodeLinesOptions extends HDD.DecodeOptions {
+        /** Throw on the first bad line instead of skipping it. */
+        strict?: boolean;
+        onReject?: (rejection: LineRejection) => void;
+    }
+
+    function readLines(source: Source): AsyncGenerator<string, void, undefined>;
+    function decodeLines(source: Source, options?: DecodeLinesOptions): AsyncGenerator<HDD.DecodedEvent, void, undefined>;
+    /** Object-mode Transform: bytes or text in, decoded events out. */
+    function createDecodeStream(options?: DecodeLinesOptions): Transform;
+}
+
+export = HDDStream;
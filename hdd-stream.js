@@ -0,0 +1,169 @@
+/**
+ * HDD STREAM LAYER 1.1 - NEWLINE-DELIMITED EVENT LOGS
+ * Line Reader • Streaming Decoder • Node Transform Stream
+ * Constant memory for logs of any size
+ */
+
+// Universal Import Pattern - Loads core functions from hdd-core.js
+let decode;
+try {
+    if (typeof module !== 'undefined' && module.exports) {
+        ({ decode } = require('./hdd-core.js'));
+    } else if (typeof window !== 'undefined' && window.HDD) {
+        ({ decode } = window.HDD);
+    } else {
+        throw new Error('HDD Core not loaded in environment.');
+    }
+} catch (error) {
+    console.error('HDD Stream: Core dependency loading failed', error);
+}
+
+// === LINE SPLITTER ===
+// Turns arbitrary chunks (strings or bytes) into complete lines; a trailing
+// '\r' is dropped so CRLF logs read the same as LF logs.
+function createLineSplitter() {
+    const textDecoder = typeof TextDecoder !== 'undefined' ? new TextDecoder() : null;
+    let pending = '';
+
+    const drain = () => {
+        const lines = [];
+        let start = 0;
+        let newline;
+        while ((newline = pending.indexOf('\n', start)) !== -1) {
+            lines.push(stripCarriageReturn(pending.slice(start, newline)));
+            start = newline + 1;
+        }
+        pending = pending.slice(start);
+        return lines;
+    };
+
+    return {
+        push(chunk) {
+            pending += typeof chunk === 'string' ? chunk : textDecoder.decode(chunk, { stream: true });
+            return drain();
+        },
+        end() {
+            if (textDecoder) pending += textDecoder.decode();
+            const lines = drain();
+            if (pending !== '') lines.push(stripCarriageReturn(pending));
+            pending = '';
+            return lines;
+        }
+    };
+}
+
+function stripCarriageReturn(line) {
+    return line.endsWith('\r') ? line.slice(0, -1) : line;
+}
+
+// Node streams and async generators are async iterable already; browser
+// ReadableStreams are read through their reader, whole strings are one chunk
+async function* iterateChunks(source) {
+    if (typeof source === 'string') {
+        yield source;
+    } else if (source && typeof source[Symbol.asyncIterator] === 'function') {
+        yield* source;
+    } else if (source && typeof source.getReader === 'function') {
+        const reader = source.getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) return;
+                yield value;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    } else if (source && typeof source[Symbol.iterator] === 'function') {
+        yield* source;
+    } else {
+        throw new TypeError('HDD Stream: Source must be a string, stream or (async) iterable');
+    }
+}
+
+// === STREAMING DECODER ===
+async function* readLines(source) {
+    const splitter = createLineSplitter();
+    for await (const chunk of iterateChunks(source)) {
+        yield* splitter.push(chunk);
+    }
+    yield* splitter.end();
+}
+
+// Yields decoded events. Blank lines are skipped; a bad line either throws
+// (strict) with its `line` number attached, or is passed to onReject.
+async function* decodeLines(source, options = {}) {
+    const { strict = false, onReject, ...decodeOptions } = options;
+    let lineNumber = 0;
+    for await (const line of readLines(source)) {
+        lineNumber++;
+        const decoded = decodeLine(line, lineNumber, strict, onReject, decodeOptions);
+        if (decoded) yield decoded;
+    }
+}
+
+function decodeLine(line, lineNumber, strict, onReject, decodeOptions) {
+    if (line.trim() === '') return null;
+    try {
+        return decode(line, { ...decodeOptions, strict: true });
+    } catch (error) {
+        error.line = lineNumber;
+        if (strict) throw error;
+        if (onReject) {
+            onReject({
+                line: lineNumber,
+                code: error.code || 'DECODE_FAILED',
+                field: error.field ?? null,
+                offset: error.offset ?? null,
+                reason: error.message,
+                raw: line
+            });
+        }
+        return null;
+    }
+}
+
+// Node Transform: bytes or text in, decoded event objects out
+function createDecodeStream(options = {}) {
+    const { Transform } = require('stream');
+    const { strict = false, onReject, ...decodeOptions } = options;
+    const splitter = createLineSplitter();
+    let lineNumber = 0;
+
+    const pushLines = (stream, lines) => {
+        for (const line of lines) {
+            lineNumber++;
+            const decoded = decodeLine(line, lineNumber, strict, onReject, decodeOptions);
+            if (decoded) stream.push(decoded);
+        }
+    };
+
+    return new Transform({
+        readableObjectMode: true,
+        transform(chunk, encoding, callback) {
+            try {
+                pushLines(this, splitter.push(chunk));
+                callback();
+            } catch (error) {
+                callback(error);
+            }
+        },
+        flush(callback) {
+            try {
+                pushLines(this, splitter.end());
+                callback();
+            } catch (error) {
+                callback(error);
+            }
+        }
+    });
+}
+
+// === ETERNAL EXPORTS ===
+const HDDStream = { readLines, decodeLines, createDecodeStream };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HDDStream;
+} else if (typeof window !== 'undefined') {
+    window.HDDStream = HDDStream;
+}
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Builds dist/hdd.umd.js - every browser module in one file, no load order.
+ * Each module runs in its own CommonJS scope with a local require(), so
+ * `<script src="hdd.umd.js">` defines window.HDD, window.HDDApi, ... and
+ * AMD / CommonJS loaders get { HDD, HDDApi, ... }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+// Dependencies first; the global name each module is exposed under
+const MODULES = [
+    ['./hdd-core.js', 'HDD'],
+    ['./hdd-stream.js', 'HDDStream'],
+    ['./hdd-query.js', 'HDDQuery'],
+    ['./hdd-api.js', 'HDDApi'],
+    ['./hdd-interop.js', 'HDDInterop'],
+    ['./hdd-store.js', 'HDDStore'],
+    ['./hdd-collector.js', 'HDDCollector']
+];
+
+function wrapModule(file) {
+    const source = fs.readFileSync(path.join(root, file), 'utf8').replace(/^#!.*\n/, '');
+    return `    register(${JSON.stringify(file)}, function (module, exports, require) {\n${source}\n    });`;
+}
+
+// The bundle source; build() writes it to dist/
+function bundle() {
+    const version = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).version;
+    const exported = MODULES.map(([file, name]) => `        ${name}: load(${JSON.stringify(file)})`).join(',\n');
+
+    return `/*! HDD ${version} - UMD build of ${MODULES.map(([file]) => file.slice(2)).join(', ')} */
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        var modules = factory();
+        for (var name in modules) root[name] = modules[name];
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    var factories = {};
+    var cache = {};
+    function register(file, factory) {
+        factories[file] = factory;
+    }
+    // Bundled modules resolve to each other; anything else (fs, crypto,
+    // stream) is not available, which the modules already handle
+    function load(file) {
+        if (!cache[file]) {
+            if (!factories[file]) throw new Error("HDD UMD: Cannot find module '" + file + "'");
+            var module = { exports: {} };
+            cache[file] = module;
+            factories[file].call(module.exports, module, module.exports, load);
+        }
+        return cache[file].exports;
+    }
+
+${MODULES.map(([file]) => wrapModule(file)).join('\n\n')}
+
+    return {
+${exported}
+    };
+}));
+`;
+}
+
+function build() {
+    fs.mkdirSync(path.join(root, 'dist'), { recursive: true });
+    const target = path.join(root, 'dist', 'hdd.umd.js');
+    fs.writeFileSync(target, bundle());
+    return target;
+}
+
+if (require.main === module) {
+    const target = build();
+    console.log(`Wrote ${path.relative(root, target)} (${fs.statSync(target).size} bytes)`);
+}
+
+module.exports = { build, bundle };
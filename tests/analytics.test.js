@@ -0,0 +1,65 @@
+// Analytics keep reading the events they accepted before strict decoding
+// existed; strictness is opt-in.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HDDApi = require('../hdd-api.js');
+
+const LEGACY = [
+    'click::1735682400000::1',
+    "purchase::1735682460000::150::{'currency':'USD'}::1.1",
+    'view::1735682520000::\\bmaybe::::1.1',
+    'signup::1735682580000::::not json'
+];
+
+test('analyzePattern counts events that only decode leniently', () => {
+    const result = HDDApi.analyzePattern(LEGACY);
+    assert.strictEqual(result.event_metrics.total, 4);
+    assert.strictEqual(result.event_metrics.rejected, 0);
+    assert.deepStrictEqual(result.behavioral_insights.activity_distribution, { click: 1, purchase: 1, view: 1, signup: 1 });
+    assert.strictEqual(result.event_metrics.timespan_hours, 0.05);
+});
+
+test('events without an activity or structure are still rejected with a reason', () => {
+    const result = HDDApi.analyzePattern([...LEGACY, '::1735682400000::1', 'garbage']);
+    assert.strictEqual(result.event_metrics.total, 4);
+    assert.deepStrictEqual(result.rejections.map(rejection => [rejection.index, rejection.code]),
+        [[4, 'INVALID_ACTIVITY'], [5, 'INVALID_STRUCTURE']]);
+});
+
+test('a timestamp lenient decoding cannot read adds no time information', () => {
+    const result = HDDApi.analyzePattern(['login::soon::1', 'click::1735682400000::1', 'click::1735682460000::1']);
+    assert.strictEqual(result.event_metrics.total, 3);
+    assert.strictEqual(result.event_metrics.timespan_hours, 0.02);
+});
+
+test('strict: true drops what strict decoding refuses', () => {
+    const result = HDDApi.analyzePattern(LEGACY, { strict: true });
+    assert.strictEqual(result.event_metrics.total, 1);
+    assert.deepStrictEqual(result.rejections.map(rejection => rejection.code), ['INVALID_CONTEXT', 'INVALID_VALUE', 'INVALID_CONTEXT']);
+});
+
+test('subject partitions and predictions read leniently too', () => {
+    const events = [
+        "view::1735682400000::1::{'user':1}",
+        'view::1735682400000::1::{"user":"a"}',
+        'buy::1735682460000::\\bnope::{"user":"a"}'
+    ];
+    const bySubject = HDDApi.analyzePattern(events, { subjectKey: 'user' });
+    assert.strictEqual(bySubject.cohort.total_events, 3);
+    assert.strictEqual(bySubject.cohort.rejected, 0);
+    assert.strictEqual(bySubject.subjects.a.event_metrics.total, 2);
+    const prediction = HDDApi.predictNext(['a::1::1', 'b::x::1', 'a::3::1', "b::4::1::{'k':1}", 'a::5::1']);
+    assert.strictEqual(prediction.next, 'b');
+    assert.strictEqual(prediction.activity_count, 5);
+});
+
+test('anomaly detection reads the same events as analyzePattern', () => {
+    const result = HDDApi.detectAnomalies(LEGACY);
+    assert.deepStrictEqual([result.total_events, result.rejected], [4, 0]);
+    assert.strictEqual(HDDApi.detectAnomalies(LEGACY, { strict: true }).rejected, 3);
+
+    const detector = new HDDApi.HDDAnomalyDetector();
+    for (const event of [...LEGACY, 'garbage']) detector.push(event);
+    assert.deepStrictEqual([detector.total, detector.rejected], [5, 1]);
+});
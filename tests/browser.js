@@ -0,0 +1,22 @@
+// Runs the UMD bundle the way a <script> tag does: no Node modules, only
+// window and the WebCrypto globals. console.error calls are collected.
+
+const vm = require('node:vm');
+const { webcrypto } = require('node:crypto');
+const { bundle } = require('../scripts/build-umd.js');
+
+function loadInBrowser() {
+    const errors = [];
+    const sandbox = {
+        crypto: webcrypto,
+        CryptoKey: webcrypto.CryptoKey,
+        TextEncoder, TextDecoder, btoa, atob,
+        console: { error: (...args) => errors.push(args), warn() {}, log() {} }
+    };
+    sandbox.self = sandbox;
+    vm.createContext(sandbox);
+    vm.runInContext(bundle(), sandbox, { filename: 'hdd.umd.js' });
+    return { window: sandbox, errors };
+}
+
+module.exports = { loadInBrowser };
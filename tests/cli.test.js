@@ -0,0 +1,116 @@
+// The hdd command line as a child process: output, stdin and file input, and
+// exit codes (0 success, 1 invalid events, 2 usage error).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const HDD = require('../hdd-core.js');
+
+const CLI = path.join(__dirname, '..', 'hdd-cli.js');
+const T0 = 1735682400000;
+
+const PURCHASE = HDD.encode({ activity: 'purchase', value: 150, context: { email: 'ada@example.com' }, timestamp: T0 });
+const VIEW = HDD.encode({ activity: 'view', value: 1, context: null, timestamp: T0 + 60000 });
+
+function hdd(args, input = '') {
+    const result = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 30000 });
+    if (result.error) throw result.error;
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function temporaryFile(t, name, content) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hdd-cli-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+test('encode writes one event from arguments, or one per JSON Lines record from stdin', () => {
+    const single = hdd(['encode', 'purchase', '150', '--context', '{"email":"ada@example.com"}', '--timestamp', String(T0)]);
+    assert.deepStrictEqual(single, { code: 0, stdout: PURCHASE + '\n', stderr: '' });
+    assert.strictEqual(hdd(['encode', 'purchase', '150', '--raw', '--timestamp', new Date(T0).toISOString()]).stdout,
+        HDD.encode({ activity: 'purchase', value: '150', context: null, timestamp: T0 }) + '\n');
+
+    const lines = `{"activity":"view","value":1,"timestamp":${T0 + 60000}}\nnot json\n`;
+    const piped = hdd(['encode'], lines);
+    assert.strictEqual(piped.code, 1);
+    assert.strictEqual(piped.stdout, VIEW + '\n');
+    assert.match(piped.stderr, /^line 2: skipped: invalid JSON/);
+
+    const bad = hdd(['encode', 'purchase', '1', '--context', '{oops']);
+    assert.strictEqual(bad.code, 2);
+    assert.match(bad.stderr, /^hdd encode: Invalid JSON for --context/);
+});
+
+test('validate reports every bad line and exits 1 when any is invalid', t => {
+    const ok = hdd(['validate'], `${PURCHASE}\n\n${VIEW}\n`);
+    assert.deepStrictEqual(ok, { code: 0, stdout: '2 valid, 0 invalid\n', stderr: '' });
+
+    const mixed = hdd(['validate', '-'], `${PURCHASE}\nbroken\n`);
+    assert.strictEqual(mixed.code, 1);
+    assert.strictEqual(mixed.stdout, 'line 2: INVALID_STRUCTURE HDD Decode Error: Invalid Triplet structure detected.\n1 valid, 1 invalid\n');
+
+    const signed = HDD.encode({ activity: 'login', value: 1, context: null, timestamp: T0, sign: { key: 'secret' } });
+    const log = temporaryFile(t, 'signed.hdd', `${signed}\n${VIEW}\n`);
+    const verified = hdd(['validate', log, '--verify-key', 'secret']);
+    assert.strictEqual(verified.code, 1);
+    assert.match(verified.stdout, /^line 2: UNSIGNED \[signature/);
+    assert.match(verified.stdout, /1 valid, 1 invalid\n$/);
+});
+
+test('sanitize redacts detected values and passes invalid lines to stderr', () => {
+    const result = hdd(['sanitize', '--detect', 'email'], `${PURCHASE}\n${VIEW}\nbroken\n`);
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.stdout, [
+        HDD.encode({ activity: 'purchase', value: 150, context: { email: '[REDACTED]' }, timestamp: T0 }),
+        VIEW
+    ].join('\n') + '\n');
+    assert.match(result.stderr, /^line 3: INVALID_STRUCTURE/);
+});
+
+test('convert reads stdin or a file and reports conversion warnings on stderr', t => {
+    const jsonl = hdd(['convert', '--from', 'hdd', '--to', 'jsonl'], PURCHASE + '\n');
+    assert.strictEqual(jsonl.code, 0);
+    assert.deepStrictEqual(JSON.parse(jsonl.stdout),
+        { activity: 'purchase', timestamp: T0, value: 150, context: { email: 'ada@example.com' }, version: HDD.CURRENT_VERSION });
+
+    const typed = HDD.encode({ activity: 'big', value: { n: 10n }, context: null, timestamp: T0 });
+    const csv = hdd(['convert', '--from', 'hdd', '--to', 'csv', temporaryFile(t, 'typed.hdd', typed + '\n')]);
+    assert.strictEqual(csv.code, 0);
+    assert.match(csv.stdout, /^activity,timestamp,value,version\r\n/);
+    assert.strictEqual(csv.stderr, 'warning: #1 value.n: bigint value exported as a string\n');
+
+    const back = hdd(['convert', '--from', 'jsonl', '--to', 'hdd'], jsonl.stdout);
+    assert.deepStrictEqual(back, { code: 0, stdout: PURCHASE + '\n', stderr: '' });
+
+    const unknown = hdd(['convert', '--from', 'hdd', '--to', 'xml']);
+    assert.strictEqual(unknown.code, 2);
+    assert.match(unknown.stderr, /--from and --to must be one of hdd, jsonl, csv, cloudevents, otel/);
+});
+
+test('analyze prints the analysis, with a prediction on request', () => {
+    const events = [PURCHASE, VIEW, PURCHASE, VIEW].join('\n') + '\n';
+    const plain = hdd(['analyze'], events);
+    assert.strictEqual(plain.code, 0);
+    const analysis = JSON.parse(plain.stdout);
+    assert.strictEqual(analysis.event_metrics.total, 4);
+    assert.deepStrictEqual(analysis.behavioral_insights.activity_distribution, { purchase: 2, view: 2 });
+
+    const predicted = JSON.parse(hdd(['analyze', '--predict'], events).stdout);
+    assert.strictEqual(predicted.analysis.event_metrics.total, 4);
+    assert.strictEqual(predicted.prediction.next, 'purchase');
+});
+
+test('usage errors exit 2', () => {
+    assert.strictEqual(hdd([]).code, 2);
+    assert.strictEqual(hdd(['--help']).code, 0);
+    const unknown = hdd(['explode']);
+    assert.strictEqual(unknown.code, 2);
+    assert.match(unknown.stderr, /^hdd: unknown command 'explode'/);
+    const missing = hdd(['validate', path.join(os.tmpdir(), 'hdd-cli-missing.hdd')]);
+    assert.deepStrictEqual([missing.code, missing.stderr], [2, `hdd validate: No such file: ${path.join(os.tmpdir(), 'hdd-cli-missing.hdd')}\n`]);
+});
@@ -0,0 +1,216 @@
+// Collector delivery against mock sinks: backoff, rejections, attempt limits,
+// queue limits, sampling and rate limits.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HDD = require('../hdd-core.js');
+const HDDCollector = require('../hdd-collector.js');
+
+function activities(batch) {
+    return batch.map(event => HDD.decode(event).activity);
+}
+
+async function waitFor(predicate, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('timed out waiting for the collector');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// A sink that fails the first `failures` calls and records every call
+function mockSink(failures = 0, error = () => new Error('offline')) {
+    const calls = [];
+    const sink = async batch => {
+        calls.push({ at: Date.now(), batch: activities(batch) });
+        if (calls.length <= failures) throw error();
+    };
+    return { sink, calls };
+}
+
+test('a failed batch waits out its backoff; interval, batch size and flush() do not cut it short', async () => {
+    const { sink, calls } = mockSink(2);
+    const collector = new HDDCollector({ sink, batchSize: 2, flushInterval: 5, retry: { baseDelay: 60 }, random: () => 1 });
+
+    collector.track('a');
+    collector.track('b');
+    await collector.flush();
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(collector.nextRetryIn, 60);
+    assert.ok(collector.nextAttemptAt > HDD.now());
+
+    collector.track('c');
+    collector.track('d');
+    const waiting = await collector.flush();
+    assert.deepStrictEqual(waiting, { sent: false, pending: 4, retryAt: collector.nextAttemptAt });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(calls.length, 1);
+
+    await waitFor(() => collector.pending === 0);
+    assert.deepStrictEqual(calls.map(call => call.batch), [['a', 'b'], ['a', 'b'], ['a', 'b'], ['c', 'd']]);
+    // Full jitter with random() = 1 waits the whole ceiling: 60ms, then 120ms
+    assert.ok(calls[1].at - calls[0].at >= 58, `first retry after ${calls[1].at - calls[0].at}ms`);
+    assert.ok(calls[2].at - calls[1].at >= 118, `second retry after ${calls[2].at - calls[1].at}ms`);
+    assert.strictEqual(collector.nextAttemptAt, null);
+    assert.deepStrictEqual([collector.stats.sent, collector.stats.retries], [4, 2]);
+    await collector.close();
+});
+
+test('close() ends a pending backoff and delivers at once', async () => {
+    const { sink, calls } = mockSink(1);
+    const collector = new HDDCollector({ sink, flushInterval: 0, retry: { baseDelay: '10s' }, random: () => 1 });
+    collector.track('a');
+    assert.strictEqual((await collector.flush()).sent, false);
+    assert.ok(collector.nextAttemptAt >= HDD.now() + 9000);
+
+    const started = Date.now();
+    assert.deepStrictEqual(await collector.close(), { sent: true, pending: 0 });
+    assert.ok(Date.now() - started < 1000);
+    assert.strictEqual(calls.length, 2);
+    assert.deepStrictEqual([collector.retryTimer, collector.nextAttemptAt], [null, null]);
+});
+
+test('4xx responses reject a batch; 408, 429 and 5xx are retried', async () => {
+    const statuses = [400, 429, 200];
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url, method: init.method, body: init.body });
+        return { ok: statuses[0] === 200, status: statuses.shift() };
+    };
+    const collector = new HDDCollector({ endpoint: '/events', fetch, batchSize: 1, flushInterval: 0, random: () => 0 });
+    const rejected = collector.track('rejected');
+    const kept = collector.track('kept');
+
+    const result = await collector.flush();
+    assert.strictEqual(result.sent, false);
+    assert.match(result.error.message, /answered 429/);
+    assert.deepStrictEqual([collector.stats.rejected, collector.pending], [1, 1]);
+    assert.deepStrictEqual(requests.slice(0, 2).map(request => request.body), [rejected + '\n', kept + '\n']);
+
+    await waitFor(() => collector.pending === 0);
+    assert.strictEqual(requests.length, 3);
+    assert.deepStrictEqual(requests.map(request => [request.url, request.method])[2], ['/events', 'POST']);
+    assert.deepStrictEqual([collector.stats.sent, collector.stats.retries], [1, 1]);
+    await collector.close();
+});
+
+test('a sink throwing HDDCollector.Rejection drops the batch without retrying', async () => {
+    const { sink, calls } = mockSink(1, () => new HDDCollector.Rejection('bad batch'));
+    const collector = new HDDCollector({ sink, batchSize: 1, flushInterval: 0 });
+    collector.track('a');
+    collector.track('b');
+    assert.deepStrictEqual(await collector.flush(), { sent: true, pending: 0 });
+    assert.deepStrictEqual(calls.map(call => call.batch), [['a'], ['b']]);
+    assert.deepStrictEqual([collector.stats.rejected, collector.stats.sent, collector.stats.retries], [1, 1, 0]);
+});
+
+test('a batch is dropped after retry.maxAttempts failures', async () => {
+    const { sink, calls } = mockSink(Infinity);
+    const collector = new HDDCollector({ sink, flushInterval: 0, retry: { baseDelay: 1, maxAttempts: 3 }, random: () => 1 });
+    collector.track('a');
+    collector.track('b');
+    await collector.flush();
+
+    await waitFor(() => collector.pending === 0);
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual([collector.stats.failed, collector.stats.retries, collector.stats.sent], [2, 2, 0]);
+    assert.deepStrictEqual([collector.attempts, collector.nextAttemptAt], [0, null]);
+    await collector.close();
+});
+
+test('the oldest events are dropped beyond maxQueue', async () => {
+    const { sink, calls } = mockSink();
+    const collector = new HDDCollector({ sink, maxQueue: 3, flushInterval: 0 });
+    for (const activity of ['a', 'b', 'c', 'd', 'e']) collector.track(activity);
+    assert.deepStrictEqual([collector.pending, collector.stats.tracked, collector.stats.dropped], [3, 5, 2]);
+    await collector.flush();
+    assert.deepStrictEqual(calls.map(call => call.batch), [['c', 'd', 'e']]);
+});
+
+test('sampling keeps events per activity rate', async () => {
+    const draws = [0.2, 0.7, 0.49, 0.5, 0];
+    const { sink, calls } = mockSink();
+    const collector = new HDDCollector({
+        sink, flushInterval: 0, sampling: { view: 0.5, debug: 0, '*': 1 }, random: () => draws.shift()
+    });
+    const kept = ['view', 'view', 'view', 'view', 'debug', 'login'].map(activity => collector.track(activity) !== null);
+    assert.deepStrictEqual(kept, [true, false, true, false, false, true]);
+    assert.deepStrictEqual([collector.stats.tracked, collector.stats.sampled_out], [3, 3]);
+    await collector.flush();
+    assert.deepStrictEqual(calls[0].batch, ['view', 'view', 'login']);
+});
+
+test('rate limits refill per activity over their window', async t => {
+    let time = 1735682400000;
+    HDD.setClock(() => time);
+    t.after(() => HDD.setClock(null));
+
+    const collector = new HDDCollector({ sink: async () => {}, flushInterval: 0, rateLimit: { click: { max: 2, per: '1s' } } });
+    const track = activity => collector.track(activity) !== null;
+    assert.deepStrictEqual([track('click'), track('click'), track('click'), track('view')], [true, true, false, true]);
+    time += 500;
+    assert.deepStrictEqual([track('click'), track('click')], [true, false]);
+    time += 1000;
+    assert.deepStrictEqual([track('click'), track('click'), track('click')], [true, true, false]);
+    assert.strictEqual(collector.stats.rate_limited, 3);
+});
+
+// A sink whose deliveries settle only when the test says so
+function heldSink() {
+    const calls = [];
+    const sink = batch => new Promise((resolve, reject) => calls.push({ batch: activities(batch), resolve, reject }));
+    return { sink, calls };
+}
+
+test('beacon() mid-flush leaves the in-flight batch to the sink', async () => {
+    const { sink, calls } = heldSink();
+    const beacons = [];
+    const navigator = { sendBeacon: (url, body) => beacons.push(body.trim().split('\n').map(line => HDD.decode(line).activity)) };
+    const collector = new HDDCollector({ sink, endpoint: '/events', batchSize: 2, flushInterval: 0 });
+    for (const activity of ['e1', 'e2', 'e3', 'e4']) collector.track(activity);
+    const flushing = collector.flush();
+    await waitFor(() => calls.length === 1);
+    assert.strictEqual(collector.pending, 4);
+
+    assert.strictEqual(collector.beacon(navigator), true);
+    assert.deepStrictEqual(beacons, [['e3', 'e4']]);
+    collector.track('e5');
+    calls[0].resolve();
+    await waitFor(() => calls.length === 2);
+    assert.deepStrictEqual(calls.map(call => call.batch), [['e1', 'e2'], ['e5']]);
+    calls[1].resolve();
+    assert.deepStrictEqual(await flushing, { sent: true, pending: 0 });
+    assert.strictEqual(collector.stats.sent, 5);
+});
+
+test('a failed in-flight batch goes back ahead of newer events, and maxQueue trims only the queue', async () => {
+    const { sink, calls } = heldSink();
+    const saved = [];
+    const buffer = { load: () => [], save: events => saved.push(activities(events)) };
+    const collector = new HDDCollector({ sink, buffer, batchSize: 2, maxQueue: 3, flushInterval: 0, retry: { baseDelay: '10s' } });
+    await collector.ready;
+    for (const activity of ['e1', 'e2']) collector.track(activity);
+    const flushing = collector.flush();
+    await waitFor(() => calls.length === 1);
+
+    for (const activity of ['e3', 'e4', 'e5', 'e6']) collector.track(activity);
+    assert.deepStrictEqual(activities(collector.queue), ['e4', 'e5', 'e6']);
+    assert.strictEqual(collector.stats.dropped, 1);
+    await waitFor(() => saved.length >= 6);
+    assert.deepStrictEqual(saved[saved.length - 1], ['e1', 'e2', 'e4', 'e5', 'e6']);
+
+    calls[0].reject(new Error('offline'));
+    const result = await flushing;
+    assert.strictEqual(result.sent, false);
+    // Back at the head, then the oldest go beyond maxQueue
+    assert.deepStrictEqual(activities(collector.queue), ['e4', 'e5', 'e6']);
+    assert.strictEqual(collector.stats.dropped, 3);
+
+    const closing = collector.close();
+    await waitFor(() => calls.length === 2);
+    calls[1].resolve();
+    await waitFor(() => calls.length === 3);
+    calls[2].resolve();
+    assert.deepStrictEqual(await closing, { sent: true, pending: 0 });
+    assert.deepStrictEqual(calls.map(call => call.batch), [['e1', 'e2'], ['e4', 'e5'], ['e6']]);
+});
@@ -0,0 +1,99 @@
+// Field-level encryption: which fields get sealed, and the Node and WebCrypto
+// backends reading each other's envelopes.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const nodeCrypto = require('node:crypto');
+const HDD = require('../hdd-core.js');
+const HDDApi = require('../hdd-api.js');
+const { loadInBrowser } = require('./browser.js');
+
+const KEY = nodeCrypto.randomBytes(32);
+const OTHER_KEY = nodeCrypto.randomBytes(32);
+
+function event(context, value = 42) {
+    return HDD.encode({ activity: 'signup', value, context, timestamp: 1735682400000 });
+}
+
+function isSealed(value) {
+    return !!value && value.$hdd_enc === 1;
+}
+
+function sealedFields(hddEvent) {
+    const context = HDD.decode(hddEvent).context;
+    return Object.keys(context).filter(key => isSealed(context[key]));
+}
+
+test('default fields are the literal top-level keys', () => {
+    const context = { 'user.email': 'a@example.com', user: { email: 'b@example.com' }, plan: 'pro' };
+    const sealed = HDDApi.encryptContext(event(context), { key: KEY });
+    assert.deepStrictEqual(sealedFields(sealed), ['user.email', 'user', 'plan']);
+    assert.deepStrictEqual(HDD.decode(HDDApi.decryptContext(sealed, KEY)).context, context);
+});
+
+test('escaped dots and array paths reach keys that contain dots', () => {
+    const context = { 'user.email': 'a@example.com', billing: { 'v2.iban': 'DE89', name: 'A' }, user: { email: 'b' } };
+    const sealed = HDD.decode(HDDApi.encryptContext(event(context), {
+        key: KEY, fields: ['user\\.email', ['billing', 'v2.iban'], 'user.email']
+    })).context;
+    assert.ok(isSealed(sealed['user.email']));
+    assert.ok(isSealed(sealed.billing['v2.iban']));
+    assert.ok(isSealed(sealed.user.email));
+    assert.strictEqual(sealed.billing.name, 'A');
+});
+
+test('a listed field that is missing throws', () => {
+    const hddEvent = event({ email: 'a@example.com' });
+    assert.throws(() => HDDApi.encryptContext(hddEvent, { key: KEY, fields: ['email', 'phone'] }), /'phone': not found/);
+    assert.throws(() => HDDApi.encryptContext(hddEvent, { key: KEY, fields: ['email.local'] }), /not found/);
+    assert.throws(() => HDDApi.encryptContext(event(null), { key: KEY, fields: ['email'] }), /not found/);
+    assert.throws(() => HDDApi.encryptContext(hddEvent, { fields: ['email'] }), /key is required/);
+});
+
+test('dates and bigints in the rest of the context keep their type', () => {
+    const context = { email: 'a@example.com', at: new Date(1735682400000), total: 10n };
+    const sealed = HDDApi.encryptContext(event(context), { key: KEY, fields: ['email'] });
+    const decoded = HDD.decode(sealed).context;
+    assert.ok(decoded.at instanceof Date);
+    assert.strictEqual(decoded.total, 10n);
+    assert.deepStrictEqual(HDD.decode(HDDApi.decryptContext(sealed, KEY)).context, context);
+});
+
+test('already sealed fields are left alone and the value can be sealed', () => {
+    const once = HDDApi.encryptContext(event({ email: 'a@example.com' }), { key: KEY, keyId: 'k1', encryptValue: true });
+    const twice = HDDApi.encryptContext(once, { key: OTHER_KEY, keyId: 'k2', encryptValue: true });
+    assert.strictEqual(HDD.decode(twice).context.email.kid, 'k1');
+    assert.strictEqual(HDD.decode(twice).value.kid, 'k1');
+    const restored = HDD.decode(HDDApi.decryptContext(twice, { k1: KEY }));
+    assert.deepStrictEqual([restored.value, restored.context], [42, { email: 'a@example.com' }]);
+    assert.throws(() => HDDApi.decryptContext(twice, OTHER_KEY), /wrong key or tampered/);
+});
+
+test('WebCrypto and Node crypto read each other\'s envelopes', async () => {
+    const context = { email: 'a@example.com', address: { street: 'Main St 1', tags: ['x', 1] } };
+    const hex = KEY.toString('hex');
+
+    const webSealed = await HDDApi.encryptContextAsync(event(context), { key: new Uint8Array(KEY), keyId: 'k1' });
+    assert.deepStrictEqual(HDD.decode(HDDApi.decryptContext(webSealed, { k1: hex })).context, context);
+
+    const nodeSealed = HDDApi.encryptContext(event(context), { key: KEY.toString('base64'), fields: ['address.street'] });
+    assert.deepStrictEqual(HDD.decode(await HDDApi.decryptContextAsync(nodeSealed, KEY)).context, context);
+
+    const cryptoKey = await nodeCrypto.webcrypto.subtle.importKey('raw', KEY, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    const keyed = await HDDApi.encryptContextAsync(event(context), { key: cryptoKey });
+    assert.deepStrictEqual(HDD.decode(await HDDApi.decryptContextAsync(keyed, cryptoKey)).context, context);
+
+    await assert.rejects(HDDApi.decryptContextAsync(webSealed, { k1: OTHER_KEY }), /wrong key or tampered/);
+    await assert.rejects(HDDApi.encryptContextAsync(event(context), { key: 'too short' }), /must be 32 bytes/);
+});
+
+test('browsers encrypt and decrypt through WebCrypto', async () => {
+    const { window, errors } = loadInBrowser();
+    const context = { email: 'a@example.com', plan: 'pro' };
+    const sealed = await window.HDDApi.encryptContextAsync(event(context), { key: KEY.toString('base64'), fields: ['email'] });
+    assert.strictEqual(HDD.decode(sealed).context.plan, 'pro');
+    assert.deepStrictEqual(HDD.decode(HDDApi.decryptContext(sealed, KEY)).context, context);
+    assert.deepStrictEqual(HDD.decode(await window.HDDApi.decryptContextAsync(sealed, KEY.toString('base64'))).context, context);
+    assert.throws(() => window.HDDApi.encryptContext(event(context), { key: KEY }), /requires the Node.js crypto module/);
+    assert.deepStrictEqual(errors, []);
+});
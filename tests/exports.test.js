@@ -0,0 +1,96 @@
+// Smoke test of the published surface: every entry of the package.json
+// exports map through require() and import(), and the UMD bundle as a
+// CommonJS module, an AMD module and a <script>.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { webcrypto } = require('node:crypto');
+const { build } = require('../scripts/build-umd.js');
+const pkg = require('../package.json');
+
+const root = path.join(__dirname, '..');
+
+// One function each entry must expose; a new entry fails until it is listed
+const PROBES = {
+    '.': 'encode',
+    './api': 'analyzePattern',
+    './stream': 'decodeLines',
+    './query': 'runQuery',
+    './interop': 'convert',
+    './store': 'memory',
+    './collector': 'httpSink',
+    './server': 'createHandler'
+};
+
+const BUNDLED = ['HDD', 'HDDStream', 'HDDQuery', 'HDDApi', 'HDDInterop', 'HDDStore', 'HDDCollector'];
+
+function specifier(subpath) {
+    return subpath === '.' ? pkg.name : pkg.name + subpath.slice(1);
+}
+
+const moduleEntries = Object.entries(pkg.exports).filter(([, target]) => typeof target === 'object');
+
+test('every module entry is probed', () => {
+    assert.deepStrictEqual(moduleEntries.map(([subpath]) => subpath).sort(), Object.keys(PROBES).sort());
+});
+
+for (const [subpath, conditions] of moduleEntries) {
+    test(`${specifier(subpath)} loads through require() and import()`, async () => {
+        for (const condition of ['import', 'require']) {
+            for (const file of Object.values(conditions[condition])) {
+                assert.ok(fs.existsSync(path.join(root, file)), `${condition}: ${file} is missing`);
+            }
+        }
+
+        const required = require(specifier(subpath));
+        assert.strictEqual(typeof required[PROBES[subpath]], 'function', `require: ${PROBES[subpath]}`);
+
+        const imported = await import(specifier(subpath));
+        assert.strictEqual(imported.default, required, 'import: default is the CommonJS module');
+        for (const [name, value] of Object.entries(imported)) {
+            assert.notStrictEqual(value, undefined, `import: named export ${name} is undefined`);
+            if (name !== 'default') assert.ok(value === required[name] || value === required, `import: ${name}`);
+        }
+    });
+}
+
+test('package.json is exported', () => {
+    assert.strictEqual(require(`${pkg.name}/package.json`).version, pkg.version);
+});
+
+test('the UMD bundle loads through require(), import(), AMD and a script tag', async () => {
+    const bundlePath = build();
+    assert.strictEqual(path.relative(root, bundlePath), pkg.exports['./umd'].slice(2));
+    const check = (modules, label) => {
+        assert.deepStrictEqual(Object.keys(modules), BUNDLED, label);
+        const event = modules.HDD.encode('purchase', 150);
+        assert.strictEqual(modules.HDD.decode(event).activity, 'purchase', label);
+        assert.strictEqual(modules.HDDApi.validateEvent(event).valid, true, label);
+    };
+
+    check(require(`${pkg.name}/umd`), 'require');
+    check((await import(`${pkg.name}/umd`)).default, 'import');
+
+    const source = fs.readFileSync(bundlePath, 'utf8');
+    let defined = null;
+    const define = (dependencies, factory) => { defined = factory(); };
+    define.amd = {};
+    vm.runInNewContext(source, { define, console }, { filename: 'hdd.umd.js' });
+    check(defined, 'AMD');
+
+    const errors = [];
+    const window = {
+        crypto: webcrypto, CryptoKey: webcrypto.CryptoKey, TextEncoder, TextDecoder, btoa, atob,
+        console: { error: (...args) => errors.push(args), warn() {}, log() {} }
+    };
+    window.self = window;
+    vm.createContext(window);
+    vm.runInContext(source, window, { filename: 'hdd.umd.js' });
+    check(Object.fromEntries(BUNDLED.map(name => [name, window[name]])), 'script');
+    assert.strictEqual(typeof window.HDD.signEvent, 'function');
+    assert.strictEqual(typeof window.HDDApi.encryptContextAsync, 'function');
+    assert.deepStrictEqual(errors, []);
+});
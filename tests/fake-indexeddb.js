@@ -0,0 +1,197 @@
+// A small in-memory IndexedDB: just what IndexedDBAdapter uses. Requests
+// succeed on a later macrotask and a transaction completes once a turn passes
+// with no request outstanding, as in browsers. Databases live as long as the
+// factory, so closing and reopening finds the same records.
+
+function compareKeys(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const order = compareKeys(a[i], b[i]);
+            if (order !== 0) return order;
+        }
+        return a.length - b.length;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) return Array.isArray(a) ? 1 : -1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+class FakeKeyRange {
+    constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+        Object.assign(this, { lower, upper, lowerOpen, upperOpen });
+    }
+
+    static bound(lower, upper, lowerOpen, upperOpen) {
+        return new FakeKeyRange(lower, upper, lowerOpen, upperOpen);
+    }
+
+    static lowerBound(lower, open) {
+        return new FakeKeyRange(lower, undefined, open, false);
+    }
+
+    static upperBound(upper, open) {
+        return new FakeKeyRange(undefined, upper, false, open);
+    }
+
+    includes(key) {
+        if (this.lower !== undefined) {
+            const order = compareKeys(key, this.lower);
+            if (order < 0 || (order === 0 && this.lowerOpen)) return false;
+        }
+        if (this.upper !== undefined) {
+            const order = compareKeys(key, this.upper);
+            if (order > 0 || (order === 0 && this.upperOpen)) return false;
+        }
+        return true;
+    }
+}
+
+class FakeRequest {
+    constructor(transaction) {
+        this.transaction = transaction;
+        this.result = undefined;
+        this.error = null;
+        this.onsuccess = null;
+        this.onerror = null;
+    }
+
+    _succeed(result) {
+        if (this.transaction) this.transaction._pending++;
+        setTimeout(() => {
+            this.result = result;
+            if (this.onsuccess) this.onsuccess();
+            if (this.transaction) this.transaction._settle();
+        }, 0);
+    }
+}
+
+class FakeTransaction {
+    constructor(database) {
+        this.database = database;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        this._pending = 0;
+        this._settle(true);
+    }
+
+    objectStore(name) {
+        return new FakeObjectStore(this, this.database.stores.get(name));
+    }
+
+    // Complete once a turn passes with nothing outstanding; `initial` covers
+    // transactions that never issue a request
+    _settle(initial = false) {
+        if (!initial) this._pending--;
+        setTimeout(() => {
+            if (this._pending === 0 && !this._completed) {
+                this._completed = true;
+                if (this.oncomplete) this.oncomplete();
+            }
+        }, 0);
+    }
+}
+
+class FakeObjectStore {
+    constructor(transaction, data) {
+        this.transaction = transaction;
+        this.data = data;
+    }
+
+    createIndex(name, keyPath) {
+        this.data.indexes.set(name, keyPath);
+    }
+
+    index(name) {
+        const keyPath = this.data.indexes.get(name);
+        return { openCursor: range => this._cursor(record => keyPath.map(path => record[path]), range) };
+    }
+
+    add(value) {
+        const request = new FakeRequest(this.transaction);
+        const id = this.data.nextId++;
+        this.data.records.set(id, { ...value, [this.data.keyPath]: id });
+        request._succeed(id);
+        return request;
+    }
+
+    count() {
+        const request = new FakeRequest(this.transaction);
+        request._succeed(this.data.records.size);
+        return request;
+    }
+
+    openCursor(range) {
+        return this._cursor(record => record[this.data.keyPath], range);
+    }
+
+    // Walks a snapshot of the matching records in key order
+    _cursor(keyOf, range) {
+        const request = new FakeRequest(this.transaction);
+        const entries = [...this.data.records.values()]
+            .map(record => ({ key: keyOf(record), record }))
+            .filter(({ key }) => !range || range.includes(key))
+            .sort((a, b) => compareKeys(a.key, b.key));
+        let position = 0;
+        const step = () => {
+            const entry = entries[position++];
+            request._succeed(entry ? {
+                value: structuredClone(entry.record),
+                continue: step,
+                delete: () => this.data.records.delete(entry.record[this.data.keyPath])
+            } : null);
+        };
+        step();
+        return request;
+    }
+}
+
+class FakeDatabase {
+    constructor() {
+        this.stores = new Map();
+        this.version = 0;
+        this.closed = false;
+    }
+
+    createObjectStore(name, { keyPath, autoIncrement }) {
+        this.stores.set(name, { keyPath, autoIncrement, nextId: 1, records: new Map(), indexes: new Map() });
+        return new FakeObjectStore(null, this.stores.get(name));
+    }
+
+    transaction(name) {
+        if (this.closed) throw new Error('InvalidStateError: the database connection is closed');
+        if (!this.stores.has(name)) throw new Error(`NotFoundError: no object store '${name}'`);
+        return new FakeTransaction(this);
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+function createFakeIndexedDB() {
+    const databases = new Map();
+    const opened = [];
+    const indexedDB = {
+        open(name, version) {
+            const request = new FakeRequest(null);
+            const stored = databases.get(name) || { version: 0, stores: new Map() };
+            databases.set(name, stored);
+            setTimeout(() => {
+                const connection = new FakeDatabase();
+                connection.stores = stored.stores;
+                opened.push(connection);
+                request.result = connection;
+                if (version > stored.version) {
+                    stored.version = version;
+                    if (request.onupgradeneeded) request.onupgradeneeded();
+                }
+                connection.version = stored.version;
+                if (request.onsuccess) request.onsuccess();
+            }, 0);
+            return request;
+        }
+    };
+    return { indexedDB, IDBKeyRange: FakeKeyRange, opened };
+}
+
+module.exports = { createFakeIndexedDB };
@@ -0,0 +1,67 @@
+// Interop exporters: typed values nested in the value or the context come out
+// as strings in every format, each with a warning naming its path.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HDD = require('../hdd-core.js');
+const HDDInterop = require('../hdd-interop.js');
+
+const T0 = 1735682400000;
+
+const EVENT = HDD.encode({
+    activity: 'a',
+    value: { n: 10n, at: new Date(T0), list: [1n] },
+    context: { big: 5n, nested: { when: new Date(0) } },
+    timestamp: T0
+});
+
+const VALUE = { n: '10', at: new Date(T0).toISOString(), list: ['1'] };
+const CONTEXT = { big: '5', nested: { when: new Date(0).toISOString() } };
+
+const WARNINGS = [
+    { index: 0, field: 'value.n', message: 'bigint value exported as a string' },
+    { index: 0, field: 'value.at', message: 'date value exported as an ISO string' },
+    { index: 0, field: 'value.list.0', message: 'bigint value exported as a string' },
+    { index: 0, field: 'context.big', message: 'bigint value exported as a string' },
+    { index: 0, field: 'context.nested.when', message: 'date value exported as an ISO string' }
+];
+
+test('JSON Lines: nested dates and bigints become strings', () => {
+    const { output, warnings } = HDDInterop.toJSONLines([EVENT]);
+    const record = JSON.parse(output);
+    assert.deepStrictEqual([record.value, record.context], [VALUE, CONTEXT]);
+    assert.deepStrictEqual(warnings, WARNINGS);
+});
+
+test('CSV: nested dates and bigints become strings', () => {
+    const { output, warnings } = HDDInterop.toCSV([EVENT]);
+    const { events } = HDDInterop.fromCSV(output);
+    const decoded = HDD.decode(events[0]);
+    assert.deepStrictEqual([decoded.value, decoded.context], [VALUE, CONTEXT]);
+    assert.deepStrictEqual(warnings, WARNINGS);
+});
+
+test('CloudEvents: nested dates and bigints become strings', () => {
+    const { output, warnings } = HDDInterop.toCloudEvents([EVENT]);
+    assert.deepStrictEqual(output[0].data, { value: VALUE, context: CONTEXT });
+    assert.doesNotThrow(() => JSON.stringify(output));
+    assert.deepStrictEqual(warnings, WARNINGS);
+});
+
+test('OpenTelemetry: nested dates and bigints become string values, not empty kvlists', () => {
+    const { output, warnings } = HDDInterop.toOpenTelemetry([EVENT]);
+    const [record] = output.resourceLogs[0].scopeLogs[0].logRecords;
+    const n = record.body.kvlistValue.values.find(entry => entry.key === 'n');
+    assert.deepStrictEqual(n.value, { stringValue: '10' });
+
+    const { events } = HDDInterop.fromOpenTelemetry(output);
+    const decoded = HDD.decode(events[0]);
+    assert.deepStrictEqual([decoded.value, decoded.context], [VALUE, CONTEXT]);
+    assert.deepStrictEqual(warnings, WARNINGS);
+});
+
+test('a top-level typed value keeps its warning on the value field', () => {
+    const { output, warnings } = HDDInterop.toJSONLines([HDD.encode({ activity: 'a', value: 7n, context: null, timestamp: T0 })]);
+    assert.strictEqual(JSON.parse(output).value, '7');
+    assert.deepStrictEqual(warnings, [{ index: 0, field: 'value', message: 'bigint value exported as a string' }]);
+});
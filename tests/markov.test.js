@@ -0,0 +1,32 @@
+// Markov model training: session gaps split training and prediction input.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HDD = require('../hdd-core.js');
+const HDDApi = require('../hdd-api.js');
+
+const T0 = 1735682400000;
+
+function event(activity, minutes) {
+    return HDD.encode({ activity, value: null, context: null, timestamp: T0 + minutes * 60000 });
+}
+
+// Two sessions an hour apart: nothing ever follows 'logout' within one
+const EVENTS = [event('login', 0), event('view', 1), event('logout', 2), event('login', 62), event('view', 63), event('logout', 64)];
+
+test('sessionGap accepts durations as well as milliseconds', () => {
+    for (const sessionGap of ['30m', 1800000]) {
+        const model = HDDApi.trainModel(EVENTS, { sessionGap });
+        assert.strictEqual(model.sessions, 2, `sessionGap ${sessionGap}`);
+        assert.strictEqual(model.sessionGap, 1800000);
+        assert.strictEqual(model.toJSON().sessionGap, 1800000);
+    }
+    assert.strictEqual(HDDApi.trainModel(EVENTS).sessions, 1);
+});
+
+test('a duration sessionGap keeps transitions from crossing sessions', () => {
+    const after = options => HDDApi.trainModel(EVENTS, options).counts[1][JSON.stringify(['logout'])];
+    assert.strictEqual(after({ sessionGap: '30m' }), undefined);
+    assert.deepStrictEqual(after({}), { login: 1 });
+    assert.throws(() => HDDApi.trainModel(EVENTS, { sessionGap: '30 minutes' }), /Invalid session gap '30 minutes'/);
+});
@@ -0,0 +1,84 @@
+// PII detectors: no dates, order ids or timestamps as phones or cards, and
+// checksummed formats win overlaps.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HDD = require('../hdd-core.js');
+const HDDApi = require('../hdd-api.js');
+
+const ALL_DETECTORS = ['email', 'phone', 'iban', 'credit_card', 'ip'];
+
+function sanitize(context, detectors = ALL_DETECTORS, mode = 'redact') {
+    const event = HDD.encode({ activity: 'checkout', value: null, context, timestamp: 1735682400000 });
+    const { event: sanitized, report } = HDDApi.sanitizeContext(event, { keysToSanitize: [], detectors, mode, report: true });
+    return { context: HDD.decode(sanitized).context, changes: report.changes };
+}
+
+test('dates, times, order ids and IPv4 addresses are not phone numbers', () => {
+    const context = {
+        date: '2024-01-15',
+        datetime: '2024-01-15 10:30',
+        iso: '2024-01-15T10:30:00.000Z',
+        local: '15.01.2024 10:30:15',
+        order: '20240115123',
+        order_number: 'order 100200300400 shipped',
+        version: '10.20.30.40'
+    };
+    const { context: result, changes } = sanitize(context, ['phone']);
+    assert.deepStrictEqual(result, context);
+    assert.deepStrictEqual(changes, []);
+});
+
+test('phone numbers are still found around dates', () => {
+    const { context } = sanitize({
+        plus: '+49 30 1234567',
+        grouped: '(555) 123-4567',
+        text: 'call 555-123-4567 on 2024-01-15 at 10:30'
+    }, ['phone']);
+    assert.deepStrictEqual(context, {
+        plus: '[REDACTED]',
+        grouped: '[REDACTED]',
+        text: 'call [REDACTED] on 2024-01-15 at 10:30'
+    });
+});
+
+test('a valid IBAN is redacted whole and labelled iban', () => {
+    const { context, changes } = sanitize({ iban: 'DE89 3704 0044 0532 0130 00', compact: 'pay GB82WEST12345698765432 today' });
+    assert.deepStrictEqual(context, { iban: '[REDACTED]', compact: 'pay [REDACTED] today' });
+    assert.deepStrictEqual(changes.map(change => change.detector), ['iban', 'iban']);
+});
+
+test('an invalid IBAN falls back to the other detectors', () => {
+    const { context } = sanitize({ iban: 'DE00 3704 0044 0532 0130 00' }, ['iban']);
+    assert.deepStrictEqual(context, { iban: 'DE00 3704 0044 0532 0130 00' });
+});
+
+test('epoch millisecond timestamps are not credit cards', () => {
+    // 1735682400007 passes the Luhn check
+    const { context, changes } = sanitize({ at: 1735682400007, text: 'seen at 1735682400007' });
+    assert.deepStrictEqual(context, { at: 1735682400007, text: 'seen at 1735682400007' });
+    assert.deepStrictEqual(changes, []);
+});
+
+test('card numbers are found as numbers and text, and win over phones', () => {
+    const { context, changes } = sanitize({ number: 4111111111111111, text: 'card 4111-1111-1111-1111', amex: '3782 822463 10005' });
+    assert.deepStrictEqual(context, { number: '[REDACTED]', text: 'card [REDACTED]', amex: '[REDACTED]' });
+    assert.deepStrictEqual(changes.map(change => change.detector), ['credit_card', 'credit_card', 'credit_card']);
+});
+
+test('numbers outside 13-19 digits are never Luhn-scanned', () => {
+    const { context } = sanitize({ short: 424242424242, long: '42424242424242424242' }, ['credit_card']);
+    assert.deepStrictEqual(context, { short: 424242424242, long: '42424242424242424242' });
+});
+
+test('several detectors in one string keep their own matches', () => {
+    const { context, changes } = sanitize({ note: 'mail a@example.com or 10.0.0.1, card 4111 1111 1111 1111' }, ALL_DETECTORS, 'truncate');
+    assert.strictEqual(context.note, 'mail *********.com or ****.0.1, card ***************1111');
+    assert.deepStrictEqual(changes.map(change => change.detector).sort(), ['credit_card', 'email', 'ip']);
+});
+
+test('drop mode removes the whole field', () => {
+    const { context, changes } = sanitize({ contact: 'a@example.com', keep: 'fine' }, ['email'], 'drop');
+    assert.deepStrictEqual(context, { keep: 'fine' });
+    assert.deepStrictEqual(changes, [{ path: 'context.contact', mode: 'drop', reason: 'detector', detector: 'email' }]);
+});
@@ -0,0 +1,173 @@
+// Property-style round trip: decode(encode(x)) must give back x for random
+// activities, values and contexts. Seeded, so a failure names the case to replay.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HDD = require('../hdd-core.js');
+
+const SEED = Number(process.env.HDD_TEST_SEED || 0x5eed);
+const RUNS = 500;
+
+// mulberry32
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pieces that exercise the escaping grammar, the type tags and the heuristics
+const FRAGMENTS = [
+    ':', '::', ':::', '\\', '\\\\', '\\:', '\\::', '\\n', '\n', '\r\n',
+    '\\s', '\\b', '\\f', '\\d', '\\i', '\\0', '\\x',
+    '{', '}', '[', ']', '"', '42', '-0', '1e3', 'NaN', 'true', ' ', '',
+    'é', 'ß', '日本', '🙂', '👩‍💻', '\u0000', ' '
+];
+
+function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+function randomString(random, maxParts = 6) {
+    let text = '';
+    const parts = Math.floor(random() * maxParts);
+    for (let i = 0; i < parts; i++) {
+        text += random() < 0.6 ? pick(random, FRAGMENTS) : String.fromCharCode(97 + Math.floor(random() * 26));
+    }
+    return text;
+}
+
+function randomNumber(random) {
+    return pick(random, [
+        () => Math.floor(random() * 1000),
+        () => (random() - 0.5) * 1e6,
+        () => -Math.floor(random() * 100) || 0,
+        () => Number.MAX_SAFE_INTEGER,
+        () => 0
+    ])();
+}
+
+// JSON-safe leaves, so nested structures can hold any of them (JSON has no -0)
+function randomLeaf(random) {
+    return pick(random, [
+        () => randomString(random),
+        () => randomNumber(random),
+        () => random() < 0.5,
+        () => null
+    ])();
+}
+
+// Dates and bigints nest too; they switch the field to typed JSON
+function randomNestedLeaf(random) {
+    if (random() < 0.8) return randomLeaf(random);
+    return random() < 0.5 ? new Date(Math.floor(random() * 4e12)) : BigInt(Math.floor(random() * 1e9)) * 10n ** 9n;
+}
+
+function randomStructure(random, depth) {
+    if (depth >= 3 || random() < 0.3) return randomNestedLeaf(random);
+    if (random() < 0.5) {
+        return Array.from({ length: Math.floor(random() * 4) }, () => randomStructure(random, depth + 1));
+    }
+    const object = {};
+    const keys = Math.floor(random() * 4);
+    for (let i = 0; i < keys; i++) object[randomString(random, 3)] = randomStructure(random, depth + 1);
+    return object;
+}
+
+function randomValue(random) {
+    return pick(random, [
+        () => randomString(random),
+        () => '',
+        () => randomNumber(random),
+        () => pick(random, [NaN, Infinity, -Infinity, -0, 0.1 + 0.2]),
+        () => random() < 0.5,
+        () => null,
+        () => new Date(Math.floor(random() * 4e12)),
+        () => BigInt(Math.floor(random() * 1e6)) * 10n ** 12n,
+        () => randomStructure(random, 1)
+    ])();
+}
+
+function randomContext(random) {
+    if (random() < 0.2) return null;
+    const context = {};
+    const keys = Math.floor(random() * 5);
+    for (let i = 0; i < keys; i++) context[randomString(random, 3)] = randomStructure(random, 1);
+    return context;
+}
+
+function randomActivity(random) {
+    let activity = randomString(random);
+    while (activity === '') activity = randomString(random);
+    return activity;
+}
+
+function assertRoundTrip(input, label) {
+    const encoded = HDD.encode({ ...input, strict: true });
+    assert.ok(!encoded.includes('\n'), `${label}: encoded event spans several lines`);
+    const decoded = HDD.decode(encoded, { strict: true });
+    assert.deepStrictEqual(
+        { activity: decoded.activity, value: decoded.value, context: decoded.context },
+        { activity: input.activity, value: input.value ?? null, context: input.context ?? null },
+        `${label}: ${JSON.stringify(encoded)}`
+    );
+}
+
+test('random events survive encode -> decode unchanged', () => {
+    const random = createRandom(SEED);
+    for (let run = 0; run < RUNS; run++) {
+        const input = { activity: randomActivity(random), value: randomValue(random), context: randomContext(random) };
+        assertRoundTrip(input, `seed ${SEED}, run ${run}`);
+    }
+});
+
+test('separators, backslashes and type tags in every field', () => {
+    for (const fragment of FRAGMENTS.filter(Boolean)) {
+        assertRoundTrip({ activity: fragment, value: fragment, context: { [fragment]: fragment } }, JSON.stringify(fragment));
+        assertRoundTrip({ activity: 'a' + fragment + 'b', value: fragment + fragment, context: null }, JSON.stringify(fragment));
+    }
+});
+
+test('empty strings, empty structures and missing fields', () => {
+    assertRoundTrip({ activity: 'x', value: '', context: { '': '' } }, 'empty strings');
+    assertRoundTrip({ activity: 'x', value: [], context: {} }, 'empty structures');
+    assertRoundTrip({ activity: 'x', value: {}, context: { list: [] } }, 'empty object value');
+    assertRoundTrip({ activity: 'x', value: null, context: null }, 'no value or context');
+});
+
+test('values the untagged heuristics would misread', () => {
+    for (const value of ['42', '-0', '{"a":1}', '[1]', 'NaN', 'true', ' 7 ', -0, NaN, 1e21, true, false]) {
+        assertRoundTrip({ activity: 'typed', value, context: null }, JSON.stringify(String(value)));
+    }
+});
+
+test('nested dates and bigints keep their type', () => {
+    const typed = { at: new Date(0), n: 10n, list: [new Date(1735682400000), -5n, '\\d2024', '\\i1', '\\s'] };
+    assertRoundTrip({ activity: 'typed', value: typed, context: typed }, 'typed');
+    assertRoundTrip({ activity: 'typed', value: [10n], context: { deep: { deeper: [{ at: new Date(1) }] } } }, 'deep typed');
+    const large = { at: new Date(0), items: Array.from({ length: 200 }, (_, i) => BigInt(i)) };
+    assertRoundTrip({ activity: 'typed', value: null, context: large }, 'typed envelope');
+});
+
+test('deeply nested objects and arrays, and enveloped contexts', () => {
+    const nested = { a: [1, { b: [':', '::', { c: '\\s\\0' }] }], d: { e: { f: ['🙂', null, false] } } };
+    assertRoundTrip({ activity: 'nested', value: nested, context: nested }, 'nested');
+    const large = { items: Array.from({ length: 200 }, (_, i) => `item::${i}\\`) };
+    assertRoundTrip({ activity: 'large', value: 1, context: large }, 'enveloped');
+});
+
+test('batches reproduce their events, escaped versions and signatures included', async () => {
+    const events = [
+        HDD.encode({ activity: 'a::b', value: 1, context: null, version: '2.0\\beta:', timestamp: 1735682400000 }),
+        HDD.encode({ activity: 'a::b', value: 2, context: { n: 1n }, version: '2.0\\beta:', timestamp: 1735682400500, sign: { key: 'secret' } }),
+        HDD.encode({ activity: 'c', value: 3, context: null, version: '1.1', timestamp: 1735682400250 })
+    ];
+    const decoded = HDD.decodeBatch(HDD.encodeBatch(events, { strict: true }), { strict: true });
+    assert.deepStrictEqual(decoded, events);
+    assert.strictEqual(HDD.decode(decoded[0], { strict: true }).version, '2.0\\beta:');
+    assert.strictEqual(await HDD.verifyEvent(decoded[1], { key: 'secret' }), 'valid');
+});
@@ -0,0 +1,58 @@
+// HTTP server: oversized bodies get a readable 413, and bearer tokens.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const HDD = require('../hdd-core.js');
+const { createServer } = require('../hdd-server.js');
+
+const EVENT = HDD.encode({ activity: 'login', value: 1, context: null, timestamp: 1735682400000 });
+
+async function listen(t, options) {
+    const server = createServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return server.address().port;
+}
+
+// Writes the body in chunks, as a client uploading a large file does
+function request(port, { method = 'POST', path = '/events', headers = {}, body = '', chunkSize = 64 * 1024 } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, host: '127.0.0.1', method, path, headers, agent: false }, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+            res.on('error', reject);
+        });
+        req.on('error', reject);
+        for (let offset = 0; offset < body.length; offset += chunkSize) req.write(body.slice(offset, offset + chunkSize));
+        req.end();
+    });
+}
+
+test('an oversized body is answered with 413 JSON, not a reset connection', async t => {
+    const port = await listen(t, { maxBodyBytes: 1024 });
+    const body = (EVENT + '\n').repeat(Math.ceil(4 * 1024 * 1024 / (EVENT.length + 1)));
+
+    const response = await request(port, { body });
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual(response.headers.connection, 'close');
+    assert.deepStrictEqual(response.body, { error: 'HDD Server: request body exceeds 1024 bytes', code: 'BODY_TOO_LARGE' });
+
+    const small = await request(port, { body: EVENT + '\n' });
+    assert.deepStrictEqual([small.status, small.body.accepted], [200, 1]);
+});
+
+test('bearer tokens are required and compared in full', async t => {
+    const port = await listen(t, { token: 's3cret' });
+    const statuses = [];
+    for (const authorization of [undefined, 'Bearer s3cret', 'Bearer s3creT', 'Bearer s3cre', 'Bearer s3cret2', 'Bearer ö3cret', 's3cret']) {
+        const headers = authorization === undefined ? {} : { authorization };
+        statuses.push((await request(port, { headers, body: EVENT })).status);
+    }
+    assert.deepStrictEqual(statuses, [401, 200, 401, 401, 401, 401, 401]);
+
+    const denied = await request(port, { method: 'GET', path: '/analyze' });
+    assert.deepStrictEqual(denied.body, { error: 'HDD Server: missing or invalid bearer token', code: 'UNAUTHORIZED' });
+});
@@ -0,0 +1,84 @@
+// Signatures through Node's crypto module and through WebCrypto alone, the
+// way the library runs in a browser.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const nodeCrypto = require('node:crypto');
+const HDD = require('../hdd-core.js');
+const HDDApi = require('../hdd-api.js');
+const { loadInBrowser } = require('./browser.js');
+
+const { webcrypto } = nodeCrypto;
+
+const EVENT = HDD.encode({ activity: 'purchase', value: 150, context: { currency: 'USD' }, timestamp: 1735682400000 });
+
+test('sync and async HS256 signatures are interchangeable', async () => {
+    const signed = HDD.encode({ activity: 'purchase', value: 150, context: { currency: 'USD' }, timestamp: 1735682400000, sign: { key: 'secret' } });
+    assert.strictEqual(await HDD.signEvent(EVENT, { key: 'secret' }), signed);
+    assert.strictEqual(await HDD.verifyEvent(signed, { key: 'secret' }), 'valid');
+    assert.strictEqual(await HDD.verifyEvent(signed, { key: 'other' }), 'tampered');
+    assert.strictEqual(await HDD.verifyEvent(signed.replace('150', '151'), { key: 'secret' }), 'tampered');
+    assert.strictEqual(await HDD.verifyEvent(EVENT, { key: 'secret' }), 'unsigned');
+});
+
+test('Ed25519 with Node key objects, CryptoKeys, JWKs and raw public keys', async () => {
+    const { privateKey, publicKey } = nodeCrypto.generateKeyPairSync('ed25519');
+    const signed = await HDD.signEvent(EVENT, { key: privateKey, algorithm: 'Ed25519' });
+    assert.strictEqual(HDD.decode(signed, { verify: { key: publicKey, algorithm: 'Ed25519' } }).signature, 'valid');
+
+    const jwk = publicKey.export({ format: 'jwk' });
+    assert.strictEqual(await HDD.verifyEvent(signed, { key: jwk, algorithm: 'Ed25519' }), 'valid');
+    const raw = new Uint8Array(Buffer.from(jwk.x, 'base64url'));
+    assert.strictEqual(await HDD.verifyEvent(signed, { key: raw, algorithm: 'Ed25519' }), 'valid');
+
+    const pair = await webcrypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const webSigned = await HDD.signEvent(EVENT, { key: pair.privateKey, algorithm: 'Ed25519' });
+    assert.strictEqual(await HDD.verifyEvent(webSigned, { key: pair.publicKey, algorithm: 'Ed25519' }), 'valid');
+    assert.strictEqual(await HDD.verifyEvent(webSigned, { key: raw, algorithm: 'Ed25519' }), 'tampered');
+});
+
+test('signEvent pads short strings and replaces an old signature', async () => {
+    const signed = await HDD.signEvent('click::1735682400000::1', { key: 'secret' });
+    assert.match(signed, /^click::1735682400000::1::::::hs256:/);
+    assert.strictEqual(HDD.decode(signed, { verify: { key: 'secret' } }).signature, 'valid');
+    const resigned = await HDD.signEvent(signed, { key: 'rotated' });
+    assert.strictEqual(await HDD.verifyEvent(resigned, { key: 'rotated' }), 'valid');
+    await assert.rejects(HDD.signEvent('nope', { key: 'secret' }), { name: 'HDDEncodeError', code: 'INVALID_STRUCTURE' });
+    await assert.rejects(HDD.signEvent(EVENT, { key: 'secret', algorithm: 'RS256' }), { code: 'SIGNING_FAILED' });
+});
+
+test('strict decode throws HDDDecodeError on a bad signature', () => {
+    const signed = HDD.encode({ activity: 'login', value: 1, sign: { key: 'secret' } });
+    assert.throws(() => HDD.decode(signed, { verify: { key: 'other' }, strict: true }),
+        { name: 'HDDDecodeError', code: 'SIGNATURE_MISMATCH', field: 'signature' });
+    assert.throws(() => HDD.decode(HDD.encode('login', 1), { verify: { key: 'secret' }, strict: true }),
+        { name: 'HDDDecodeError', code: 'UNSIGNED' });
+});
+
+test('verifying without a key throws instead of reporting the event tampered', async () => {
+    const signed = HDD.encode({ activity: 'login', value: 1, sign: { key: 'secret' } });
+    const missing = { name: 'HDDDecodeError', code: 'MISSING_KEY', message: 'HDD Crypto Error: Verification key is required' };
+    for (const verify of [{}, { key: '' }, { algorithm: 'Ed25519' }]) {
+        assert.throws(() => HDD.decode(signed, { verify }), missing);
+        assert.throws(() => HDD.decode(HDD.encode('login', 1), { verify, strict: true }), missing);
+        await assert.rejects(HDD.verifyEvent(signed, verify), missing);
+    }
+    await assert.rejects(HDD.verifyEvent(signed), missing);
+    assert.throws(() => HDDApi.verifySignature(signed, {}), missing);
+});
+
+test('browsers sign and verify through WebCrypto', async () => {
+    const { window, errors } = loadInBrowser();
+    const signed = await window.HDD.signEvent(EVENT, { key: 'secret' });
+    assert.strictEqual(signed, await HDD.signEvent(EVENT, { key: 'secret' }));
+    assert.strictEqual(await window.HDD.verifyEvent(signed, { key: 'secret' }), 'valid');
+    assert.strictEqual(await window.HDD.verifyEvent(signed, { key: 'other' }), 'tampered');
+    await assert.rejects(window.HDD.verifyEvent(signed, {}), { code: 'MISSING_KEY' });
+
+    const integrity = window.HDDApi.verifyIntegrity();
+    assert.strictEqual(integrity.signing_works, true);
+    assert.strictEqual(integrity.signing_backend, 'webcrypto');
+    assert.deepStrictEqual(errors, []);
+
+    assert.throws(() => window.HDD.decode(signed, { verify: { key: 'secret' }, strict: true }), { code: 'CRYPTO_UNAVAILABLE' });
+});
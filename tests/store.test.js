@@ -0,0 +1,196 @@
+// Event store adapters: IndexedDB against an in-memory fake, and the file
+// adapter's streaming scans and index staleness checks.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const HDD = require('../hdd-core.js');
+const HDDStore = require('../hdd-store.js');
+const { createFakeIndexedDB } = require('./fake-indexeddb.js');
+
+const T0 = 1735682400000;
+
+function event(activity, offset) {
+    return HDD.encode({ activity, value: offset, context: null, timestamp: T0 + offset });
+}
+
+// Out of time order, with a tie at +30, so ranges and sorting both matter
+const EVENTS = [
+    event('login', 0), event('view', 50), event('purchase', 30), event('view', 10),
+    event('logout', 90), event('view', 30), event('purchase', 70), event('login', 60)
+];
+
+function offsets(records) {
+    return records.map(record => record.timestamp - T0);
+}
+
+async function collect(store, options) {
+    const records = [];
+    for await (const record of store.scan(options)) records.push(record);
+    return records;
+}
+
+function temporaryLog(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hdd-store-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, 'events.hdd');
+}
+
+test('IndexedDB: append assigns ids and scans in time order across pages', async () => {
+    const fake = createFakeIndexedDB();
+    const store = HDDStore.indexedDB({ ...fake, pageSize: 3 });
+    assert.deepStrictEqual(await store.append(EVENTS), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.strictEqual(await store.count(), 8);
+
+    const all = await collect(store);
+    assert.deepStrictEqual(offsets(all), [0, 10, 30, 30, 50, 60, 70, 90]);
+    assert.deepStrictEqual(all.slice(2, 4).map(record => record.id), [3, 6]);
+    assert.deepStrictEqual(all[0], { id: 1, timestamp: T0, activity: 'login', event: EVENTS[0] });
+    await store.close();
+});
+
+test('IndexedDB: time and activity ranges', async () => {
+    const fake = createFakeIndexedDB();
+    const store = HDDStore.indexedDB({ ...fake, pageSize: 2 });
+    await store.append(EVENTS);
+
+    assert.deepStrictEqual(offsets(await collect(store, { from: T0 + 30, to: T0 + 70 })), [30, 30, 50, 60]);
+    assert.deepStrictEqual(offsets(await collect(store, { from: new Date(T0 + 60) })), [60, 70, 90]);
+    assert.deepStrictEqual(offsets(await collect(store, { to: new Date(T0 + 30).toISOString() })), [0, 10]);
+    assert.deepStrictEqual(offsets(await collect(store, { activity: 'view' })), [10, 30, 50]);
+    assert.deepStrictEqual(offsets(await collect(store, { activity: ['login', 'logout'], from: T0 + 1 })), [60, 90]);
+    assert.deepStrictEqual(offsets(await collect(store, { activity: 'purchase', limit: 1 })), [30]);
+    assert.deepStrictEqual(await collect(store, { from: T0 + 100 }), []);
+    await store.close();
+});
+
+test('IndexedDB: records survive closing and reopening the database', async () => {
+    const fake = createFakeIndexedDB();
+    const first = HDDStore.indexedDB({ ...fake, name: 'events-a' });
+    await first.append(EVENTS.slice(0, 4));
+    await first.close();
+    assert.strictEqual(fake.opened[0].closed, true);
+
+    const reopened = HDDStore.indexedDB({ ...fake, name: 'events-a' });
+    assert.strictEqual(await reopened.count(), 4);
+    assert.deepStrictEqual(await reopened.append(EVENTS.slice(4)), [5, 6, 7, 8]);
+    assert.deepStrictEqual(offsets(await collect(reopened)), [0, 10, 30, 30, 50, 60, 70, 90]);
+
+    const other = HDDStore.indexedDB({ ...fake, name: 'events-b' });
+    assert.strictEqual(await other.count(), 0);
+    await Promise.all([reopened.close(), other.close()]);
+});
+
+test('IndexedDB: compaction deletes through a cursor', async () => {
+    const store = HDDStore.indexedDB(createFakeIndexedDB());
+    await store.append([...EVENTS, EVENTS[0]]);
+    assert.deepStrictEqual(await store.compact({ before: T0 + 30, dedupe: true }), { removed: 3, remaining: 6 });
+    assert.deepStrictEqual(offsets(await collect(store)), [30, 30, 50, 60, 70, 90]);
+    await store.close();
+});
+
+test('file: scans merge out-of-order blocks in time order', async t => {
+    const log = temporaryLog(t);
+    const store = HDDStore.file(log, { blockSize: 2 });
+    await store.append(EVENTS);
+
+    const all = await collect(store);
+    assert.deepStrictEqual(offsets(all), [0, 10, 30, 30, 50, 60, 70, 90]);
+    assert.deepStrictEqual(all.map(record => record.id), [1, 4, 3, 6, 2, 8, 7, 5]);
+    assert.deepStrictEqual(offsets(await collect(store, { from: T0 + 30, to: T0 + 70 })), [30, 30, 50, 60]);
+    assert.deepStrictEqual(offsets(await collect(store, { activity: 'view', limit: 2 })), [10, 30]);
+    await store.close();
+});
+
+test('file: a scan stops reading when the caller stops', async t => {
+    const log = temporaryLog(t);
+    const store = HDDStore.file(log, { blockSize: 1 });
+    await store.append(Array.from({ length: 50 }, (_, i) => event('tick', i)));
+
+    const adapter = store.adapter;
+    const reads = [];
+    const open = adapter.fs.promises.open;
+    adapter.fs = { ...adapter.fs, promises: { ...adapter.fs.promises, open: async (...args) => {
+        const handle = await open(...args);
+        const read = handle.read.bind(handle);
+        handle.read = (...readArgs) => {
+            reads.push(readArgs[3]);
+            return read(...readArgs);
+        };
+        return handle;
+    } } };
+    assert.deepStrictEqual(offsets(await collect(store, { limit: 3 })), [0, 1, 2]);
+    assert.strictEqual(reads.length, 3);
+    await store.close();
+});
+
+test('file: an index is rebuilt when the log changes behind it, even at the same size', async t => {
+    const log = temporaryLog(t);
+    const store = HDDStore.file(log);
+    await store.append([event('login', 0), event('view', 10)]);
+    await store.close();
+
+    // Same length, different timestamp and activity
+    const original = fs.readFileSync(log, 'utf8');
+    const edited = original.replace(event('view', 10), event('edit', 20));
+    assert.strictEqual(edited.length, original.length);
+    fs.writeFileSync(log, edited);
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(log, later, later);
+
+    const reopened = HDDStore.file(log);
+    assert.deepStrictEqual((await collect(reopened, { from: T0 + 15 })).map(record => record.activity), ['edit']);
+
+    // Another writer appending to the log is picked up by an open store
+    fs.appendFileSync(log, event('logout', 40) + '\n');
+    assert.strictEqual(await reopened.count(), 3);
+    assert.deepStrictEqual(offsets(await collect(reopened)), [0, 20, 40]);
+
+    const index = JSON.parse(fs.readFileSync(log + '.idx', 'utf8'));
+    assert.strictEqual(index.bytes, fs.statSync(log).size);
+    assert.strictEqual(index.mtimeMs, fs.statSync(log).mtimeMs);
+    await reopened.close();
+});
+
+test('file: compaction streams the log and keeps the index current', async t => {
+    const log = temporaryLog(t);
+    const store = HDDStore.file(log, { blockSize: 3 });
+    await store.append([...EVENTS, EVENTS[0]]);
+    assert.deepStrictEqual(await store.compact({ activities: 'view', dedupe: true }), { removed: 4, remaining: 5 });
+    assert.deepStrictEqual(offsets(await collect(store)), [0, 30, 60, 70, 90]);
+    assert.strictEqual(fs.readFileSync(log, 'utf8').split('\n').length, 6);
+    assert.strictEqual(fs.existsSync(log + '.compact'), false);
+
+    const reopened = HDDStore.file(log, { blockSize: 3 });
+    assert.deepStrictEqual(await reopened.append(event('view', 5)), [6]);
+    assert.deepStrictEqual(offsets(await collect(reopened, { to: T0 + 31 })), [0, 5, 30]);
+    await Promise.all([store.close(), reopened.close()]);
+});
+
+test('file: appending to a log without a final newline starts a new line', async t => {
+    const log = temporaryLog(t);
+    fs.writeFileSync(log, event('login', 0));
+    const store = HDDStore.file(log);
+    assert.deepStrictEqual(await store.append(event('view', 10)), [2]);
+    assert.strictEqual(fs.readFileSync(log, 'utf8'), event('login', 0) + '\n' + event('view', 10) + '\n');
+    assert.deepStrictEqual(offsets(await collect(store)), [0, 10]);
+
+    const index = JSON.parse(fs.readFileSync(log + '.idx', 'utf8'));
+    assert.strictEqual(index.bytes, fs.statSync(log).size);
+    await store.close();
+});
+
+test('file: a line without a valid timestamp does not hide its block', async t => {
+    const log = temporaryLog(t);
+    fs.writeFileSync(log, [event('login', 0), 'bad::xyz::1', event('view', 10)].join('\n') + '\n');
+    const store = HDDStore.file(log);
+    assert.strictEqual(await store.count(), 3);
+    assert.deepStrictEqual(await store.range(), [event('login', 0), event('view', 10)]);
+    assert.deepStrictEqual(await store.range({ from: T0 + 5 }), [event('view', 10)]);
+
+    const [block] = JSON.parse(fs.readFileSync(log + '.idx', 'utf8')).blocks;
+    assert.deepStrictEqual([block.minTs, block.maxTs], [T0, T0 + 10]);
+    await store.close();
+});